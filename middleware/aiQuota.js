@@ -0,0 +1,107 @@
+// middleware/aiQuota.js
+const fs = require("fs");
+const { rateLimit, MemoryStore } = require("express-rate-limit");
+
+/* =========================================================
+   🎟️ Daily quotas for /api/ai (protects the model provider quota)
+   Two limiters run after authorize():
+   - perUser: requests per account per day
+   - perRole: requests shared by everyone with the role per day
+   0 / missing = unlimited. Override with AI_DAILY_QUOTAS (JSON), e.g.
+     {"student":{"perUser":20,"perRole":1500},"admin":{"perUser":0}}
+   Failed requests (4xx/5xx) are not charged. Counters live in
+   memory, so they reset when the process restarts.
+========================================================= */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_QUOTAS = {
+  student: { perUser: 30, perRole: 3000 },
+  faculty: { perUser: 100, perRole: 3000 },
+  staff:   { perUser: 200, perRole: 0 },
+  admin:   { perUser: 0, perRole: 0 },
+};
+
+function quotaFor(role) {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.AI_DAILY_QUOTAS || "{}");
+  } catch {
+    console.warn("⚠️ AI_DAILY_QUOTAS is not valid JSON; using defaults");
+  }
+  const base = DEFAULT_QUOTAS[role] || DEFAULT_QUOTAS.student;
+  const { perUser, perRole } = { ...base, ...(overrides[role] || {}) };
+  return { perUser: Number(perUser) || 0, perRole: Number(perRole) || 0 };
+}
+
+const userStore = new MemoryStore();
+const roleStore = new MemoryStore();
+const roleOf = (req) => String(req.user?.role || "student");
+
+function limiter({ store, scope, key, limitOf }) {
+  return rateLimit({
+    windowMs: DAY_MS,
+    store,
+    limit: (req) => limitOf(req),
+    skip: (req) => !limitOf(req),
+    keyGenerator: key,
+    skipFailedRequests: true,
+    standardHeaders: "draft-7",
+    legacyHeaders: false,
+    handler: (req, res, _next, options) => {
+      const resetTime = req.rateLimit?.resetTime;
+      if (req.file?.path) fs.unlink(req.file.path, () => {}); // upload already received
+      res.status(options.statusCode).json({
+        ok: false,
+        error:
+          scope === "user"
+            ? "Daily AI quota reached for your account. Try again tomorrow."
+            : `Daily AI quota for ${roleOf(req)} accounts is used up. Try again tomorrow.`,
+        quota: { scope, limit: req.rateLimit?.limit, resetAt: resetTime || null },
+      });
+    },
+  });
+}
+
+const perUser = limiter({
+  store: userStore,
+  scope: "user",
+  key: (req) => `user:${req.user.id}`,
+  limitOf: (req) => quotaFor(roleOf(req)).perUser,
+});
+
+const perRole = limiter({
+  store: roleStore,
+  scope: "role",
+  key: (req) => `role:${roleOf(req)}`,
+  limitOf: (req) => quotaFor(roleOf(req)).perRole,
+});
+
+/** Use after authorize(): [perUser, perRole]. */
+const aiQuota = [perUser, perRole];
+
+/**
+ * Today's usage for a user ({ id, role }), as shown on /api/auth/me.
+ * limit/remaining are null when unlimited.
+ */
+async function aiUsage(user) {
+  const role = String(user?.role || "student");
+  const { perUser: userLimit, perRole: roleLimit } = quotaFor(role);
+  const [mine, shared] = await Promise.all([
+    userStore.get(`user:${user?.id}`),
+    roleStore.get(`role:${role}`),
+  ]);
+  const live = (info) => (info && info.resetTime > new Date() ? info : null);
+  const view = (info, limit) => {
+    const used = live(info)?.totalHits || 0;
+    return {
+      used,
+      limit: limit || null,
+      remaining: limit ? Math.max(limit - used, 0) : null,
+      resetAt: live(info)?.resetTime || null,
+    };
+  };
+  return { user: view(mine, userLimit), role: view(shared, roleLimit) };
+}
+
+module.exports = { aiQuota, aiUsage, quotaFor };
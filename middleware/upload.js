@@ -2,13 +2,18 @@
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
+const os = require("os");
+const { resolveUpload, finishUpload } = require("../utils/resumableUploads");
+const { validateFile } = require("../utils/fileValidation");
+const { scanFile } = require("../utils/scanner");
 
-// Ensure <project>/uploads/research exists
-const uploadDir = path.join(__dirname, "..", "uploads", "research");
-fs.mkdirSync(uploadDir, { recursive: true });
+// Multer only stages uploads in a temp dir; routes hand the file to
+// utils/storage (saveUpload) which moves it into the configured backend.
+const tmpDir = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), "repo-uploads");
+fs.mkdirSync(tmpDir, { recursive: true });
 
 const storage = multer.diskStorage({
-  destination: (_, __, cb) => cb(null, uploadDir),
+  destination: (_, __, cb) => cb(null, tmpDir),
   filename: (_, file, cb) => {
     const ext = path.extname(file.originalname || ".pdf").toLowerCase() || ".pdf";
     const name = `${Date.now()}-${Math.round(Math.random() * 1e9)}${ext}`;
@@ -16,7 +21,7 @@ const storage = multer.diskStorage({
   },
 });
 
-const fileFilter = (_req, file, cb) => {
+const pdfOnly = (_req, file, cb) => {
   const mime = (file.mimetype || "").toLowerCase();
   const ok =
     mime === "application/pdf" ||
@@ -28,10 +33,72 @@ const fileFilter = (_req, file, cb) => {
   cb(null, true);
 };
 
-const upload = multer({
-  storage,
-  fileFilter,
-  limits: { fileSize: 50 * 1024 * 1024 }, // ✅ unified 50MB
-});
+/** Writes in-body (base64) uploads to the same temp dir so they can be inspected and saved like req.file. */
+async function stageBuffer(buffer, ext = "") {
+  const p = path.join(tmpDir, `${Date.now()}-${Math.round(Math.random() * 1e9)}${ext}`);
+  await fs.promises.writeFile(p, buffer);
+  return p;
+}
+
+/**
+ * Checks the staged file's real content for `req.user` (magic bytes,
+ * unreadable/encrypted PDFs, role size/page limits) and runs the malware
+ * scanner. Infected files are refused; otherwise the file gains the
+ * detected `mimetype`, `pages` and the `scan` result the route stores.
+ * Throws with err.status (handled like multer errors).
+ */
+async function inspectFile(req, file, { accept = ["pdf"] } = {}) {
+  const checked = await validateFile(file.path, req.user, { accept });
+  if (checked.error) throw Object.assign(new Error(checked.error), { status: checked.status });
+
+  const scan = await scanFile(file.path);
+  if (scan.status === "infected") {
+    console.warn("⚠️ Infected upload rejected:", { user: req.user?.email, signature: scan.signature });
+    throw Object.assign(new Error("The file was flagged by the malware scanner"), { status: 422 });
+  }
+
+  file.mimetype = checked.fileType;
+  file.pages = checked.pages;
+  file.scan = { status: scan.status, signature: scan.signature, engine: scan.engine, scannedAt: scan.scannedAt };
+  return file;
+}
+
+/**
+ * Same temp staging for every route; filters and size limits stay per route.
+ * Whatever is still in the temp dir when the response finishes (validation
+ * errors, failed saves) is removed — stored files were already moved out.
+ * Instead of a file, the body may carry `uploadId` from a finished
+ * resumable upload (utils/resumableUploads.js); it becomes req.file.
+ * Either way the file goes through inspectFile() before the route runs;
+ * `accept` lists the content kinds the route takes (pdf, docx, doc).
+ */
+function createUpload({ fileFilter = pdfOnly, maxBytes = 50 * 1024 * 1024, accept = ["pdf"] } = {}) {
+  const m = multer({ storage, fileFilter, limits: { fileSize: maxBytes } });
+  return {
+    single: (field) => (req, res, next) => {
+      res.on("finish", () => {
+        if (req.file?.uploadId) finishUpload(req.file, res.statusCode < 400);
+        else if (req.file?.path) fs.promises.unlink(req.file.path).catch(() => {});
+      });
+      m.single(field)(req, res, async (err) => {
+        if (err) return next(err);
+        try {
+          if (!req.file && req.body?.uploadId) {
+            req.file = await resolveUpload(req.body.uploadId, req, { fileFilter, maxBytes });
+          }
+          if (req.file) await inspectFile(req, req.file, { accept });
+          next();
+        } catch (e) {
+          next(e);
+        }
+      });
+    },
+  };
+}
+
+const upload = createUpload(); // ✅ unified 50MB, PDF only
 
 module.exports = upload;
+module.exports.createUpload = createUpload;
+module.exports.inspectFile = inspectFile;
+module.exports.stageBuffer = stageBuffer;
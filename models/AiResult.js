@@ -0,0 +1,29 @@
+// models/AiResult.js
+const mongoose = require("mongoose");
+
+/* 🧠 Cached /api/ai output for one paper (see utils/aiCache.js).
+   A result belongs to the exact file bytes (fileHash) and to the
+   analyzer/model configuration that produced it (modelVersion);
+   a new file or config simply misses the cache. */
+const aiResultSchema = new mongoose.Schema(
+  {
+    research: { type: mongoose.Schema.Types.ObjectId, ref: "Research", required: true },
+    fileHash: { type: String, required: true },
+    mode:     { type: String, required: true }, // summary | tldr | methods | recommendations | refscan | citations …
+    modelVersion: { type: String, required: true },
+    inputHash: { type: String, default: "" }, // extra request inputs (abstract, meta…); "" = the paper alone
+
+    output: { type: mongoose.Schema.Types.Mixed, required: true }, // response body as sent
+    model:  { type: String, default: "" },   // what actually produced it ("provider:model" | "heuristic")
+
+    generatedBy: { type: String, default: "" }, // email
+    hits:      { type: Number, default: 0 },
+    lastHitAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+aiResultSchema.index({ research: 1, fileHash: 1, mode: 1, modelVersion: 1, inputHash: 1 }, { unique: true });
+aiResultSchema.index({ research: 1, mode: 1, updatedAt: -1 });
+
+module.exports = mongoose.models.AiResult || mongoose.model("AiResult", aiResultSchema);
@@ -0,0 +1,61 @@
+// models/AuditLog.js
+const mongoose = require("mongoose");
+
+const changeSchema = new mongoose.Schema(
+  {
+    field:  { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after:  { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { _id: false }
+);
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    /* 👤 Who */
+    actor:      { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, index: true },
+    actorEmail: { type: String, default: "", lowercase: true, trim: true, index: true },
+    role:       { type: String, default: "" },
+
+    /* ⚙️ What */
+    action:      { type: String, required: true, index: true }, // e.g. "research.review"
+    targetType:  { type: String, default: "" },                 // "research" | "user"
+    targetId:    { type: String, default: "", index: true },
+    targetLabel: { type: String, default: "" },                 // title / email for humans
+    changes:     { type: [changeSchema], default: [] },
+    meta:        { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    /* 🌐 Where */
+    ip:        { type: String, default: "" },
+    userAgent: { type: String, default: "" },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+/* 🔒 Append-only: block every update/delete path */
+const appendOnly = function (next) {
+  next(new Error("AuditLog is append-only"));
+};
+
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return next(new Error("AuditLog is append-only"));
+  next();
+});
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((op) => auditLogSchema.pre(op, appendOnly));
+
+module.exports =
+  mongoose.models.AuditLog || mongoose.model("AuditLog", auditLogSchema);
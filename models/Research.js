@@ -1,5 +1,60 @@
 const mongoose = require("mongoose");
 
+/* 🗂️ One entry per submitted revision (file + metadata snapshot) */
+const versionSchema = new mongoose.Schema(
+  {
+    version:    { type: Number, required: true },
+    storageKey: { type: String, default: "" }, // never exposed via toJSON
+    filePath:   { type: String, default: "" }, // legacy, pre-storage records
+    fileHash:   { type: String, default: "" }, // sha256 (hex) of the file bytes
+    fileSize:   { type: Number, default: 0 },  // bytes
+    scanStatus: { type: String, default: "" }, // malware scan result for this file
+    fileName: { type: String, default: "" },
+    fileType: { type: String, default: "" },
+    metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+    changedBy:      { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    changedByEmail: { type: String, default: "" },
+    changedByRole:  { type: String, default: "" },
+    changedAt:      { type: Date, default: Date.now },
+    note:           { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+/* 🧭 Review workflow (see utils/workflow.js) */
+const workflowEventSchema = new mongoose.Schema(
+  {
+    stage:   { type: String, default: "" },
+    outcome: {
+      type: String,
+      enum: ["approved", "rejected", "revision_requested", "resubmitted", "published"],
+      required: true,
+    },
+    comment: { type: String, default: "" },
+    by:      { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    byEmail: { type: String, default: "" },
+    role:    { type: String, default: "" },
+    at:      { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/* 🖨️ Per-page OCR result */
+const ocrPageSchema = new mongoose.Schema(
+  {
+    page:       { type: Number, required: true },
+    confidence: { type: Number, default: 0 }, // tesseract 0–100
+    chars:      { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const stripVersionPaths = (ret) => {
+  if (Array.isArray(ret.versions)) {
+    ret.versions = ret.versions.map(({ filePath, storageKey, ...v }) => v);
+  }
+};
+
 const researchSchema = new mongoose.Schema(
   {
     /* 🧾 Basic Info */
@@ -19,14 +74,25 @@ const researchSchema = new mongoose.Schema(
 
 
 
-    /* ⚙️ Status + Review */
+    /* ⚙️ Status + Review (status is derived from workflow for reviewed items) */
     status: {
       type: String,
       enum: ["pending", "approved", "rejected"],
       default: "pending",
       index: true,
     },
-    facultyComment: { type: String, default: "" },
+    facultyComment: { type: String, default: "" }, // latest reviewer comment (legacy UIs)
+
+    workflow: {
+      stage: { type: String, default: "", index: true }, // current stage key ("" = none/done)
+      state: {
+        type: String,
+        enum: ["", "in_review", "revision_requested", "completed", "rejected"],
+        default: "",
+        index: true,
+      },
+      history: { type: [workflowEventSchema], default: [] },
+    },
 
     /* 🧭 Draft/Final flag (NEW) */
     submissionType: {
@@ -36,11 +102,83 @@ const researchSchema = new mongoose.Schema(
       index: true,
     },
 
-    /* 📁 File Metadata (stored on disk; streamed via protected route) */
-    filePath: { type: String, default: "" }, // never exposed via toJSON
+    /* 📁 File Metadata (see utils/storage; streamed via protected routes) */
+    storageKey: { type: String, default: "", index: true }, // "<driver>:<id>", never exposed via toJSON
+    filePath:   { type: String, default: "" }, // legacy disk path of pre-storage records
+    fileHash:   { type: String, default: "", index: true }, // sha256 (hex); equal bytes share one stored file
+    fileSize:   { type: Number, default: 0 }, // bytes (filled in by the storage check for older records)
     fileName: { type: String, default: "" },
     fileType: { type: String, default: "application/pdf" },
 
+    /* 📕 PDF rendition of a DOC/DOCX file (see utils/renditions.js); the original stays above */
+    rendition: {
+      status:      { type: String, enum: ["", "pending", "done", "failed"], default: "" },
+      storageKey:  { type: String, default: "" }, // never exposed via toJSON
+      fileHash:    { type: String, default: "" },
+      fileSize:    { type: Number, default: 0 },
+      fileName:    { type: String, default: "" },
+      sourceKey:   { type: String, default: "" }, // storage key it was converted from
+      convertedAt: { type: Date, default: null },
+      error:       { type: String, default: "" },
+    },
+
+    /* 🦠 Malware scan of the current file (see utils/scanner.js);
+       "infected" / "error" = quarantined, never streamed */
+    scan: {
+      status: {
+        type: String,
+        enum: ["", "clean", "infected", "error", "skipped"],
+        default: "",
+      },
+      signature: { type: String, default: "" },
+      engine:    { type: String, default: "" },
+      scannedAt: { type: Date, default: null },
+    },
+
+    /* 👯 Other records with the same file bytes, set when this one was submitted */
+    possibleDuplicates: [{ type: mongoose.Schema.Types.ObjectId, ref: "Research" }],
+
+    /* 🔎 Extracted PDF text (see utils/textExtraction.js) — search/AI only, never listed */
+    extractedText: { type: String, default: "", select: false },
+    textPages:     { type: [String], default: [], select: false }, // one entry per page
+    textExtraction: {
+      status: {
+        type: String,
+        enum: ["", "pending", "done", "empty", "failed", "unsupported"],
+        default: "",
+      },
+      method:      { type: String, default: "" }, // "pdf-parse" | "ocr"
+      pages:       { type: Number, default: 0 },
+      chars:       { type: Number, default: 0 },
+      extractedAt: { type: Date, default: null },
+      error:       { type: String, default: "" },
+    },
+
+    /* 🖼️ Thumbnail/page previews (see utils/previews.js) */
+    preview: {
+      status:      { type: String, enum: ["", "pending", "done", "failed"], default: "" },
+      pages:       { type: Number, default: 0 },
+      sourcePath:  { type: String, default: "" }, // storage key the images were rendered from
+      generatedAt: { type: Date, default: null },
+      error:       { type: String, default: "" },
+    },
+
+    /* 🖨️ OCR for scanned PDFs (see utils/ocrQueue.js) */
+    ocr: {
+      status: {
+        type: String,
+        enum: ["", "not_needed", "queued", "running", "done", "failed"],
+        default: "",
+        index: true,
+      },
+      pages:         { type: [ocrPageSchema], default: [] },
+      avgConfidence: { type: Number, default: null },
+      attempts:      { type: Number, default: 0 },
+      startedAt:     { type: Date, default: null },
+      finishedAt:    { type: Date, default: null },
+      error:         { type: String, default: "" },
+    },
+
     /* 📊 Additional Metadata */
     year: {
       type: String,
@@ -85,7 +223,7 @@ const researchSchema = new mongoose.Schema(
     uploadedBy:   { type: mongoose.Schema.Types.ObjectId, ref: "User" },
     uploaderRole: { type: String, default: "" }, // "student" | "faculty" | "staff" | "admin"
     forwardedBy:  { type: String, default: "" },
-    source:       { type: String, default: "" }, // "faculty-approved" | "staff-upload" | "student-upload" | "faculty-upload"
+    source:       { type: String, default: "" }, // provenance: "student-upload" | "faculty-upload" | "staff-upload" (legacy: "faculty-approved[-used]")
 
     /* 🏫 Optional college tag */
     college: { type: String, default: "" },
@@ -99,6 +237,14 @@ const researchSchema = new mongoose.Schema(
     },
     embargoUntil:   { type: Date, default: null },
     allowedViewers: { type: [String], default: [] }, // lowercased emails
+    allowDownload:  { type: Boolean, default: true }, // false = read inline only (owners/staff exempt)
+
+    /* 📥 Download counter (events in UsageEvent) */
+    downloadCount: { type: Number, default: 0 },
+
+    /* 🗂️ Revision history (see utils/revisions.js) */
+    version:  { type: Number, default: 1 },
+    versions: { type: [versionSchema], default: [] },
   },
   {
     timestamps: true,
@@ -106,12 +252,26 @@ const researchSchema = new mongoose.Schema(
       transform: (_doc, ret) => {
         // 🚫 never leak storage internals
         delete ret.filePath;
+        delete ret.storageKey;
+        if (ret.preview) delete ret.preview.sourcePath;
+        if (ret.rendition) {
+          delete ret.rendition.storageKey;
+          delete ret.rendition.sourceKey;
+        }
+        stripVersionPaths(ret);
         return ret;
       },
     },
     toObject: {
       transform: (_doc, ret) => {
         delete ret.filePath;
+        delete ret.storageKey;
+        if (ret.preview) delete ret.preview.sourcePath;
+        if (ret.rendition) {
+          delete ret.rendition.storageKey;
+          delete ret.rendition.sourceKey;
+        }
+        stripVersionPaths(ret);
         return ret;
       },
     },
@@ -121,16 +281,39 @@ const researchSchema = new mongoose.Schema(
 /* 🔎 Helpful indexes */
 researchSchema.index({ status: 1, visibility: 1, updatedAt: -1 });
 researchSchema.index({ submissionType: 1, status: 1, updatedAt: -1 });
-researchSchema.index({
-  title: "text",
-  author: "text",
-  keywords: "text",
-  category: "text",
-  categories: "text",
-  genreTags: "text",
-});
+researchSchema.index(
+  {
+    title: "text",
+    abstract: "text",
+    keywords: "text",
+    author: "text",
+    coAuthors: "text",
+    category: "text",
+    categories: "text",
+    genreTags: "text",
+    extractedText: "text",
+  },
+  {
+    name: "research_text", // see utils/search.js ensureTextIndex()
+    weights: {
+      title: 10,
+      keywords: 6,
+      abstract: 4,
+      author: 3,
+      coAuthors: 3,
+      category: 2,
+      categories: 2,
+      genreTags: 2,
+      extractedText: 1,
+    },
+  }
+);
 researchSchema.index({ categories: 1 });
 researchSchema.index({ genreTags: 1 });
+researchSchema.index({ "versions.fileHash": 1 });
+researchSchema.index({ "rendition.storageKey": 1 });
+researchSchema.index({ "rendition.fileHash": 1 });
+researchSchema.index({ "versions.storageKey": 1 });
 
 /* 🧪 Virtuals */
 researchSchema.virtual("isFinal").get(function () {
@@ -0,0 +1,34 @@
+// models/ReviewComment.js
+const mongoose = require("mongoose");
+
+const reviewCommentSchema = new mongoose.Schema(
+  {
+    research: { type: mongoose.Schema.Types.ObjectId, ref: "Research", required: true, index: true },
+
+    /* 📌 Anchor: which submission version (and optionally page) */
+    version: { type: Number, default: 1 },
+    page:    { type: Number, default: null, min: 1 },
+    stage:   { type: String, default: "" }, // workflow stage when posted
+
+    /* 🧵 Threading: replies point at the root comment */
+    parent: { type: mongoose.Schema.Types.ObjectId, ref: "ReviewComment", default: null, index: true },
+
+    body: { type: String, required: true, trim: true, maxlength: 5000 },
+
+    /* 👤 Author */
+    authorId:    { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    authorEmail: { type: String, default: "", lowercase: true, trim: true },
+    authorRole:  { type: String, default: "" },
+
+    /* ✅ Resolution (root comments only) */
+    resolved:   { type: Boolean, default: false, index: true },
+    resolvedBy: { type: String, default: "" },
+    resolvedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+reviewCommentSchema.index({ research: 1, createdAt: 1 });
+
+module.exports =
+  mongoose.models.ReviewComment || mongoose.model("ReviewComment", reviewCommentSchema);
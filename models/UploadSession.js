@@ -0,0 +1,30 @@
+// models/UploadSession.js
+const mongoose = require("mongoose");
+
+/* 📦 Resumable upload in progress (bytes staged in a temp file, see utils/resumableUploads.js) */
+const uploadSessionSchema = new mongoose.Schema(
+  {
+    owner:      { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    ownerEmail: { type: String, default: "", lowercase: true, trim: true },
+
+    fileName: { type: String, required: true, trim: true, maxlength: 255 },
+    fileType: { type: String, default: "application/octet-stream" },
+    size:     { type: Number, required: true, min: 1 }, // declared total bytes
+    offset:   { type: Number, default: 0 },             // bytes received so far
+
+    status: {
+      type: String,
+      enum: ["uploading", "complete"],
+      default: "uploading",
+    },
+
+    // sessions (and their staged bytes) are dropped after this
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+uploadSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports =
+  mongoose.models.UploadSession || mongoose.model("UploadSession", uploadSessionSchema);
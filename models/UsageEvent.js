@@ -0,0 +1,36 @@
+// models/UsageEvent.js
+const mongoose = require("mongoose");
+
+/* 📈 One row per counted read of an item (see utils/usage.js)
+   view     → file streamed inline
+   download → file saved as an attachment
+   detail   → repository record opened (GET /api/repository/:id) */
+const usageEventSchema = new mongoose.Schema(
+  {
+    research: { type: mongoose.Schema.Types.ObjectId, ref: "Research", required: true, index: true },
+    type: {
+      type: String,
+      enum: ["view", "download", "detail"],
+      required: true,
+    },
+
+    // viewer (empty for anonymous / signed-link requests without an account)
+    user:  { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    email: { type: String, default: "", lowercase: true, trim: true },
+    role:  { type: String, default: "" },
+    affiliation: { type: String, enum: ["campus", "external"], default: "external" },
+
+    // the item's college at the time, so reports need no join
+    college: { type: String, default: "" },
+
+    route: { type: String, default: "" }, // which route served it
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+usageEventSchema.index({ research: 1, type: 1, createdAt: -1 });
+usageEventSchema.index({ createdAt: -1, type: 1 });
+
+module.exports = mongoose.models.UsageEvent || mongoose.model("UsageEvent", usageEventSchema);
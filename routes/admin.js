@@ -1,7 +1,13 @@
 const express = require('express');
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
 const { authorize } = require('../middleware/authMiddleware');
+const { recordAudit, toCsv } = require('../utils/audit');
+const { runStorageCheck } = require('../utils/storageIntegrity');
+const storage = require('../utils/storage');
+const { parseStatsQuery, repositoryStats } = require('../utils/stats');
 
 const router = express.Router();
 
@@ -71,6 +77,8 @@ router.post('/create-user', authorize('admin'), async (req, res) => {
       verified: true,
     });
 
+    await recordAudit(req, { action: 'user.create', targetType: 'user', after: user });
+
     res.status(201).json({ message: `${role} account created successfully`, user });
   } catch (err) {
     console.error('❌ Create user error:', err);
@@ -90,9 +98,14 @@ router.put('/users/:id/role', authorize('admin'), async (req, res) => {
     if (!validRoles.includes(role))
       return res.status(400).json({ error: 'Invalid role' });
 
+    const before = await User.findById(id).lean();
+    if (!before) return res.status(404).json({ error: 'User not found' });
+
     const updatedUser = await User.findByIdAndUpdate(id, { role }, { new: true });
     if (!updatedUser) return res.status(404).json({ error: 'User not found' });
 
+    await recordAudit(req, { action: 'user.role', targetType: 'user', before, after: updatedUser });
+
     res.json({ message: 'Role updated successfully', user: updatedUser });
   } catch (err) {
     console.error('❌ Update role failed:', err);
@@ -107,6 +120,8 @@ router.delete('/users/:id', authorize('admin'), async (req, res) => {
     const deletedUser = await User.findByIdAndDelete(id);
     if (!deletedUser) return res.status(404).json({ error: 'User not found' });
 
+    await recordAudit(req, { action: 'user.delete', targetType: 'user', before: deletedUser });
+
     res.json({ message: 'User deleted successfully', user: deletedUser });
   } catch (err) {
     console.error('❌ Delete user failed:', err);
@@ -114,4 +129,140 @@ router.delete('/users/:id', authorize('admin'), async (req, res) => {
   }
 });
 
+/* ==========================================================
+   AUDIT TRAIL — who changed what
+   GET /api/admin/audit
+   Query (all optional):
+     - actor      : actor email (exact, case-insensitive)
+     - action     : e.g. research.review, research.visibility, user.role
+     - targetType : research | user
+     - targetId   : document id
+     - from / to  : ISO dates (createdAt range)
+     - page, limit (max 200)
+     - format     : json (default) | csv  (csv ignores paging, max 10k rows)
+========================================================== */
+router.get('/audit', authorize('admin'), async (req, res) => {
+  try {
+    const { actor, action, targetType, targetId, from, to, format, page = '1', limit = '50' } = req.query;
+
+    const filter = {};
+    if (actor) filter.actorEmail = String(actor).toLowerCase().trim();
+    if (action) filter.action = String(action).trim();
+    if (targetType) filter.targetType = String(targetType).trim();
+    if (targetId) filter.targetId = String(targetId).trim();
+
+    const range = {};
+    if (from && !Number.isNaN(new Date(from).getTime())) range.$gte = new Date(from);
+    if (to && !Number.isNaN(new Date(to).getTime())) range.$lte = new Date(to);
+    if (Object.keys(range).length) filter.createdAt = range;
+
+    if (format === 'csv') {
+      const rows = await AuditLog.find(filter).sort({ createdAt: -1 }).limit(10000).lean();
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-${Date.now()}.csv"`);
+      return res.send(toCsv(rows));
+    }
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const lim = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+    const [data, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * lim)
+        .limit(lim)
+        .lean(),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.json({ data, meta: { total, page: pageNum, limit: lim, pages: Math.ceil(total / lim) } });
+  } catch (err) {
+    console.error('❌ Fetch audit log failed:', err);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+/* ==========================================================
+   REPOSITORY STATISTICS
+   GET /api/admin/stats
+     - from, to    : ISO dates for the series / decision times (default last 12 months)
+     - interval    : day | week | month (default) | year
+     - college     : limit to one college
+     - embargoDays : look-ahead for lifting embargoes (default 30)
+     → submissions, decisionTime, adviserBacklog, embargoesLifting, storage, users
+========================================================== */
+router.get('/stats', authorize('admin'), async (req, res) => {
+  try {
+    const opts = parseStatsQuery(req.query);
+    if (opts.error) return res.status(400).json({ error: opts.error });
+    res.json(await repositoryStats(opts));
+  } catch (err) {
+    console.error('❌ Repository stats failed:', err);
+    res.status(500).json({ error: 'Failed to compute statistics' });
+  }
+});
+
+/* ==========================================================
+   STORAGE INTEGRITY — normalize paths, report, migrate
+   POST /api/admin/storage/check
+     body: { dryRun = true, migrateTo?: local|s3|gridfs, deleteSource = false }
+     → 202 { jobId }  (one job at a time, 409 while one runs)
+   GET  /api/admin/storage/check/:jobId
+     → { status: running | done | failed, report, error }
+   Same job as `node scripts/storageCheck.js`.
+========================================================== */
+const storageJobs = new Map(); // jobId → job (last few kept in memory)
+let storageJobRunning = false;
+
+router.post('/storage/check', authorize('admin'), async (req, res) => {
+  try {
+    const { dryRun = true, migrateTo, deleteSource = false } = req.body || {};
+    if (migrateTo && !storage.DRIVERS[migrateTo]) {
+      return res.status(400).json({ error: 'migrateTo must be local, s3 or gridfs' });
+    }
+    if (storageJobRunning) {
+      return res.status(409).json({ error: 'A storage check is already running' });
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'running',
+      options: { dryRun: dryRun !== false, migrateTo: migrateTo || null, deleteSource: !!deleteSource },
+      startedBy: req.user.email,
+      startedAt: new Date(),
+      report: null,
+      error: '',
+    };
+    storageJobs.set(job.id, job);
+    while (storageJobs.size > 10) storageJobs.delete(storageJobs.keys().next().value);
+
+    storageJobRunning = true;
+    runStorageCheck({ ...job.options, log: console.log })
+      .then((report) => {
+        job.status = 'done';
+        job.report = report;
+      })
+      .catch((err) => {
+        console.error('❌ Storage check failed:', err);
+        job.status = 'failed';
+        job.error = err.message;
+      })
+      .finally(() => {
+        storageJobRunning = false;
+      });
+
+    await recordAudit(req, { action: 'storage.check', targetType: 'storage', meta: job.options });
+    res.status(202).json({ jobId: job.id, status: job.status, options: job.options });
+  } catch (err) {
+    console.error('❌ Start storage check failed:', err);
+    res.status(500).json({ error: 'Failed to start storage check' });
+  }
+});
+
+router.get('/storage/check/:jobId', authorize('admin'), (req, res) => {
+  const job = storageJobs.get(req.params.jobId);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(job);
+});
+
 module.exports = router;
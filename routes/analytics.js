@@ -0,0 +1,115 @@
+// routes/analytics.js
+const express = require("express");
+const mongoose = require("mongoose");
+const Research = require("../models/Research");
+const { authorize } = require("../middleware/authMiddleware");
+const { POLICY_FIELDS, isOwner, ownerFilter } = require("../utils/accessPolicy");
+const { parseWindow, usageReport, countsByItem } = require("../utils/usage");
+
+const router = express.Router();
+
+const STAFF_ROLES = ["staff", "admin"];
+
+/* =========================================================
+   📈 Usage analytics (views, downloads, detail views)
+   Every report takes ?from=&to= (dates) or ?days=N (default 30)
+   and is broken down by day, affiliation, college and role.
+========================================================= */
+
+/* =========================================================
+   👤 My items — authors see their own work only
+   GET /api/analytics/mine
+   → report across all my items + per-item counts
+========================================================= */
+router.get("/mine", authorize(), async (req, res) => {
+  try {
+    const window = parseWindow(req.query);
+    if (window.error) return res.status(400).json({ error: window.error });
+
+    // same ownership rules as /research/:id (isOwner)
+    const items = await Research.find(ownerFilter(req.user))
+      .select("title status visibility year college downloadCount")
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    const ids = items.map((r) => r._id);
+    const [report, perItem] = await Promise.all([
+      usageReport({ research: { $in: ids } }, window),
+      countsByItem(ids, window),
+    ]);
+
+    res.json({
+      ...report,
+      items: items.map((r) => ({
+        _id: r._id,
+        title: r.title,
+        status: r.status,
+        visibility: r.visibility,
+        year: r.year,
+        college: r.college,
+        downloadCount: r.downloadCount || 0,
+        ...(perItem.get(String(r._id)) || { view: 0, download: 0, detail: 0, total: 0 }),
+      })),
+    });
+  } catch (err) {
+    console.error("❌ My analytics error:", err);
+    res.status(500).json({ error: "Failed to load analytics" });
+  }
+});
+
+/* =========================================================
+   📄 One item — its authors/uploader, or staff/admin
+   GET /api/analytics/research/:id
+========================================================= */
+router.get("/research/:id", authorize(), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "Research not found" });
+    }
+    const window = parseWindow(req.query);
+    if (window.error) return res.status(400).json({ error: window.error });
+
+    const r = await Research.findById(req.params.id)
+      .select("title college downloadCount " + POLICY_FIELDS)
+      .lean();
+    if (!r) return res.status(404).json({ error: "Research not found" });
+
+    if (!STAFF_ROLES.includes(req.user.role) && !isOwner(r, req.user)) {
+      return res.status(403).json({ error: "Only the item's authors or staff can see its analytics" });
+    }
+
+    const report = await usageReport({ research: r._id }, window);
+    res.json({
+      research: { _id: r._id, title: r.title, college: r.college, downloadCount: r.downloadCount || 0 },
+      ...report,
+    });
+  } catch (err) {
+    console.error("❌ Research analytics error:", err);
+    res.status(500).json({ error: "Failed to load analytics" });
+  }
+});
+
+/* =========================================================
+   🏛️ Repository-wide — staff/admin
+   GET /api/analytics/repository?college=&type=view|download|detail&top=10
+========================================================= */
+router.get("/repository", authorize(STAFF_ROLES), async (req, res) => {
+  try {
+    const window = parseWindow(req.query);
+    if (window.error) return res.status(400).json({ error: window.error });
+
+    const match = {};
+    if (req.query.college) match.college = String(req.query.college);
+    if (req.query.type) match.type = String(req.query.type);
+    // top=0 turns topItems off
+    const topN = parseInt(req.query.top, 10);
+    const top = Math.min(Math.max(Number.isNaN(topN) ? 10 : topN, 0), 100);
+
+    res.json(await usageReport(match, { ...window, top }));
+  } catch (err) {
+    console.error("❌ Repository analytics error:", err);
+    res.status(500).json({ error: "Failed to load analytics" });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,7 @@ const User = require('../models/User');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { authorize } = require('../middleware/authMiddleware');
+const { aiUsage } = require('../middleware/aiQuota');
 const { sendOtpEmail } = require("../utils/mailer");
 
 
@@ -469,6 +470,7 @@ router.get('/me', authorize(), async (req, res) => {
       affiliation: getAffiliation(user.email),
       college: user.college || '',
       createdAt: user.createdAt,
+      aiUsage: await aiUsage({ id: String(user._id), role: user.role }),
     });
 
   } catch (err) {
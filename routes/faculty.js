@@ -2,37 +2,39 @@
 const express = require('express');
 const router = express.Router();
 const path = require('path');
-const fs = require('fs');
 const multer = require('multer');
 const nodemailer = require('nodemailer');
 
 const { authorize } = require('../middleware/authMiddleware');
 const Research = require('../models/Research');
-
-/* -------------------------------------------
-   Robust path resolver (absolute + /uploads/…)
--------------------------------------------- */
-function resolveAbsPathFromDB(storedPath) {
-  if (!storedPath) return null;
-  const p = String(storedPath).replace(/\\/g, '/');
-
-  if (path.isAbsolute(p)) return p;
-
-  const candidates = [];
-  const trimmed = p.replace(/^\/+/, '');
-  candidates.push(path.resolve(path.join(__dirname, '..', trimmed)));
-  candidates.push(path.resolve(path.join(__dirname, '..', 'uploads', 'research', path.basename(p))));
-  candidates.push(path.resolve(path.join(process.cwd(), trimmed)));
-
-  for (const abs of candidates) {
-    if (fs.existsSync(abs)) return abs;
-  }
-  return candidates[0];
-}
-
-function safeUnlink(absPath) {
-  try { if (absPath && fs.existsSync(absPath)) fs.unlinkSync(absPath); } catch {}
-}
+const { canView, canDownload } = require('../utils/accessPolicy');
+const { beginRevision, commitRevision, allFileKeys } = require('../utils/revisions');
+const { recordAudit } = require('../utils/audit');
+const { listThreads, addComment, setResolved, deleteForResearch } = require('../utils/reviewComments');
+const { queueTextExtraction } = require('../utils/textExtraction');
+const { queuePreviews, removePreviews } = require('../utils/previews');
+const { streamFile } = require('../utils/fileStream');
+const storage = require('../utils/storage');
+const { createUpload } = require('../middleware/upload');
+const { DUPLICATE_POPULATE, flagDuplicates } = require('../utils/duplicates');
+const { isQuarantined } = require('../utils/scanner');
+const { originalSource, viewSource } = require('../utils/renditions');
+const { deliveryFor, removeStamped } = require('../utils/watermark');
+const { removeAiResults } = require('../utils/aiCache');
+const { recordView, recordDownload } = require('../utils/usage');
+const {
+  OUTCOMES,
+  stagesForCollege,
+  stageDef,
+  startWorkflow,
+  ensureWorkflow,
+  canAct,
+  applyDecision,
+  isForwarded,
+  isInPublishQueue,
+  publishQueueFilter,
+  reviewQueueFilter,
+} = require('../utils/workflow');
 
 /* ================================
    Email (optional, graceful if off)
@@ -65,24 +67,11 @@ const notify = async ({ to, subject, html }) => {
 };
 
 /* ================================
-   Multer: /uploads/research
+   Multer: temp staging → utils/storage
 ================================ */
-const uploadDir = path.join(__dirname, '../uploads/research');
-if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
-
-const storage = multer.diskStorage({
-  destination: (_, __, cb) => cb(null, uploadDir),
-  filename: (_, file, cb) => {
-    const safeBase = (file.originalname || 'document').replace(/[^a-z0-9._-]+/gi, '_');
-    const withExt = path.extname(safeBase) ? safeBase : `${safeBase}${path.extname(file.originalname || '') || '.pdf'}`;
-    const name = `${Date.now()}-${Math.round(Math.random() * 1e9)}-${withExt}`;
-    cb(null, name);
-  },
-});
-
-const upload = multer({
-  storage,
-  limits: { fileSize: 20 * 1024 * 1024 },
+const upload = createUpload({
+  maxBytes: 20 * 1024 * 1024,
+  accept: ['pdf', 'docx', 'doc'],
   fileFilter: (_, file, cb) => {
     const ext = (path.extname(file.originalname) || '').toLowerCase();
     const okExt = ['.pdf', '.docx', '.doc'];
@@ -112,77 +101,37 @@ const toKeywords = (v) => {
 router.get('/preview/:id', authorize(['faculty', 'admin']), async (req, res) => {
   try {
     const r = await Research.findById(req.params.id).lean();
-    if (!r || !r.filePath) {
+    if (!r || !storage.fileKey(r)) {
       return res.status(404).json({ error: 'File not found' });
     }
 
     /* ---------- Authorization ---------- */
-    const email = String(req.user.email || '').toLowerCase();
-    const isOwner   = email === String(r.author || '').toLowerCase();
-    const isAdviser = email === String(r.adviser || '').toLowerCase();
-    const isAdmin   = req.user.role === 'admin';
-
-    if (!isOwner && !isAdviser && !isAdmin) {
+    if (!canView(r, req.user)) {
       return res.status(403).json({ error: 'Not authorized to preview this file' });
     }
-
-    /* ---------- Resolve file path ---------- */
-    const filePath = resolveAbsPathFromDB(r.filePath);
-    if (!filePath || !fs.existsSync(filePath)) {
-      console.error('❌ Preview file missing:', {
-        id: r._id,
-        stored: r.filePath,
-        resolved: filePath,
-      });
-      return res.status(404).json({ error: 'File not found on server' });
+    if (isQuarantined(r)) {
+      return res.status(403).json({ error: 'File is quarantined by the malware scanner', quarantined: true });
     }
 
-    const stat = fs.statSync(filePath);
-    const fileSize = stat.size;
-    const range = req.headers.range;
-
-    /* ---------- RANGE REQUEST (CRITICAL) ---------- */
-    if (range) {
-      const parts = range.replace(/bytes=/, '').split('-');
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-
-      if (start >= fileSize) {
-        res.status(416)
-          .setHeader('Content-Range', `bytes */${fileSize}`)
-          .end();
-        return;
+    /* ---------- ?download=1 → attachment (separate permission) ---------- */
+    const download = req.query.download === '1';
+    if (download) {
+      if (!canDownload(r, req.user)) {
+        return res.status(403).json({ error: 'Downloads are disabled for this item' });
       }
-
-      const chunkSize = end - start + 1;
-      const stream = fs.createReadStream(filePath, { start, end });
-
-      res.writeHead(206, {
-        'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-        'Accept-Ranges': 'bytes',
-        'Content-Length': chunkSize,
-        'Content-Type': r.fileType || 'application/pdf',
-        'Content-Disposition': `inline; filename="${encodeURIComponent(
-          r.fileName || 'document.pdf'
-        )}"`,
-      });
-
-      stream.pipe(res);
-      return;
+      recordDownload(req, r, 'faculty.preview');
+    } else {
+      recordView(req, r, 'faculty.preview');
     }
 
-    /* ---------- NO RANGE (fallback) ---------- */
-    res.writeHead(200, {
-      'Content-Length': fileSize,
-      'Content-Type': r.fileType || 'application/pdf',
-      'Accept-Ranges': 'bytes',
-      'Content-Disposition': `inline; filename="${encodeURIComponent(
-        r.fileName || 'document.pdf'
-      )}"`,
+    /* ---------- Stream (stamped per viewer if the visibility policy says so) ---------- */
+    // DOC/DOCX are previewed as their PDF rendition once it exists
+    const file = viewSource(r) || originalSource(r);
+    await streamFile(req, res, {
+      ...(await deliveryFor(req, r, file)),
+      disposition: download ? 'attachment' : 'inline',
     });
 
-    fs.createReadStream(filePath).pipe(res);
-
   } catch (err) {
     console.error('❌ Faculty preview error:', err);
     if (!res.headersSent) {
@@ -194,8 +143,9 @@ router.get('/preview/:id', authorize(['faculty', 'admin']), async (req, res) =>
 
 /* =========================================================
    POST /api/faculty/my-research
-   - draft → pending (faculty-upload)
-   - final → approved (faculty-approved) + email staff
+   - draft → pending, kept for safekeeping (no workflow)
+   - final → enters the workflow after adviser-only stages
+             (default: straight to library publishing) + email staff
 ========================================================= */
 router.post('/my-research', authorize(['faculty', 'admin']), upload.single('file'), async (req, res) => {
   try {
@@ -248,9 +198,10 @@ router.post('/my-research', authorize(['faculty', 'admin']), upload.single('file
       college: college || '',
       uploaderRole: req.user.role,
       uploadedBy: req.user.id,
-      source: subType === 'final' ? 'faculty-approved' : 'faculty-upload',
-      status: subType === 'final' ? 'approved' : 'pending',
+      source: 'faculty-upload',
+      status: 'pending',
       visibility: vis,
+      allowDownload: String(req.body.allowDownload) !== 'false',
       embargoUntil: vis === 'embargo' && embargoUntil ? new Date(embargoUntil) : null,
       submissionType: subType,
     });
@@ -266,12 +217,14 @@ router.post('/my-research', authorize(['faculty', 'admin']), upload.single('file
                   ? 'application/msword'
                   : 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'));
 
-      doc.filePath = req.file.path; // absolute
-      doc.fileName = req.file.originalname || path.basename(req.file.path);
-      doc.fileType = safeMime;
+      storage.setFile(doc, await storage.saveUpload(req.file), {
+        fileName: req.file.originalname || 'document',
+        fileType: safeMime,
+        scan: req.file.scan,
+      });
 
       console.log('📄 Faculty upload:', {
-        savedAbsPath: doc.filePath,
+        storageKey: doc.storageKey,
         originalname: req.file.originalname,
         mimetype: req.file.mimetype,
         normalized: safeMime,
@@ -280,7 +233,14 @@ router.post('/my-research', authorize(['faculty', 'admin']), upload.single('file
       });
     }
 
+    if (subType === 'final') startWorkflow(doc, { skipAdviser: true });
+
     await doc.save();
+    if (req.file) {
+      queueTextExtraction(doc);
+      await flagDuplicates(doc);
+    }
+    await recordAudit(req, { action: 'research.create', after: doc });
 
     if (subType === 'final') {
       const staffList = (process.env.STAFF_PUBLISH_EMAILS || '')
@@ -317,7 +277,7 @@ router.post('/my-research', authorize(['faculty', 'admin']), upload.single('file
 
 /* =========================================================
    PUT /api/faculty/my-research/:id  (edit)
-   - Block edits if already forwarded to staff (source = faculty-approved)
+   - Block edits if already forwarded to staff (publishing stage or done)
    - If switching to FINAL, require non-empty abstract
 ========================================================= */
 router.put('/my-research/:id', authorize(['faculty', 'admin']), upload.single('file'), async (req, res) => {
@@ -330,11 +290,16 @@ router.put('/my-research/:id', authorize(['faculty', 'admin']), upload.single('f
       return res.status(403).json({ error: 'Not allowed' });
     }
 
-    if (r.source === 'faculty-approved') {
+    if (isForwarded(r)) {
       return res.status(409).json({ error: 'This item has been forwarded to staff. Please request staff to update.' });
     }
 
-    const { title, abstract, submissionType, coAuthors } = req.body;
+    const before = r.toObject({ transform: false });
+
+    const { title, abstract, submissionType, coAuthors, note } = req.body;
+
+    // keep the previous file + metadata as a version instead of overwriting it
+    beginRevision(r);
 
     if (typeof title === 'string' && title.trim()) r.title = title.trim();
     if (typeof abstract !== 'undefined') r.abstract = String(abstract || '').trim();
@@ -365,10 +330,8 @@ router.put('/my-research/:id', authorize(['faculty', 'admin']), upload.single('f
       r.submissionType = nextType;
     }
 
-    // ✅ File replacement
+    // ✅ File replacement (old file stays referenced by the version history)
     if (req.file) {
-      safeUnlink(resolveAbsPathFromDB(r.filePath));
-
       const ext = (path.extname(req.file.originalname) || '').toLowerCase();
       const safeMime =
         req.file.mimetype && req.file.mimetype !== 'application/octet-stream'
@@ -379,12 +342,20 @@ router.put('/my-research/:id', authorize(['faculty', 'admin']), upload.single('f
           ? 'application/msword'
           : 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
 
-      r.filePath = req.file.path;
-      r.fileName = req.file.originalname || path.basename(req.file.path);
-      r.fileType = safeMime;
+      storage.setFile(r, await storage.saveUpload(req.file), {
+        fileName: req.file.originalname || 'document',
+        fileType: safeMime,
+        scan: req.file.scan,
+      });
     }
 
+    commitRevision(r, req.user, note || (req.file ? 'Replaced file' : 'Edited metadata'));
     await r.save();
+    if (req.file) {
+      queueTextExtraction(r);
+      await flagDuplicates(r);
+    }
+    await recordAudit(req, { action: 'research.update', before, after: r });
     res.json({ message: 'Updated', research: r });
   } catch (err) {
     console.error('❌ Faculty update failed:', err);
@@ -406,12 +377,17 @@ router.delete('/my-research/:id', authorize(['faculty', 'admin']), async (req, r
       return res.status(403).json({ error: 'Not allowed' });
     }
 
-    if (r.source === 'faculty-approved') {
+    if (isForwarded(r)) {
       return res.status(409).json({ error: 'This item has been forwarded to staff. Please request staff to remove it.' });
     }
 
-    safeUnlink(resolveAbsPathFromDB(r.filePath));
     await r.deleteOne();
+    await storage.release(allFileKeys(r));
+    await deleteForResearch(r._id);
+    await removeAiResults(r._id);
+    removePreviews(r._id);
+    removeStamped(r._id);
+    await recordAudit(req, { action: 'research.delete', before: r });
     res.json({ message: 'Deleted' });
   } catch (err) {
     console.error('❌ Faculty delete failed:', err);
@@ -430,7 +406,7 @@ router.get('/my-research', authorize(['faculty', 'admin']), async (req, res) =>
     })
       .sort({ createdAt: -1 })
       .select(
-        'title abstract status visibility embargoUntil year keywords category college fileName fileType createdAt updatedAt uploaderRole submissionType source'
+        'title abstract status visibility embargoUntil year keywords category college fileName fileType createdAt updatedAt uploaderRole submissionType source workflow'
       );
     res.json(research);
   } catch (err) {
@@ -449,8 +425,9 @@ router.get('/student-submissions', authorize(['faculty', 'admin']), async (req,
     const subs = await Research.find({ adviser: req.user.email })
       .sort({ createdAt: -1 })
       .select(
-        'title abstract author coAuthors student status year keywords category fileName fileType createdAt updatedAt visibility embargoUntil submissionType'
+        'title abstract author coAuthors student status year keywords category fileName fileType createdAt updatedAt visibility embargoUntil submissionType workflow possibleDuplicates'
       )
+      .populate(DUPLICATE_POPULATE)
       .lean();
 
     res.json(subs);
@@ -461,43 +438,94 @@ router.get('/student-submissions', authorize(['faculty', 'admin']), async (req,
 });
 
 
+/* =========================================================
+   GET /api/faculty/workflow
+   → Stage configuration (optionally ?college=) for review UIs
+========================================================= */
+router.get('/workflow', authorize(['faculty', 'admin', 'staff']), (req, res) => {
+  const college = String(req.query.college || req.user.college || '');
+  res.json({ college: college || null, stages: stagesForCollege(college) });
+});
+
+/* =========================================================
+   GET /api/faculty/review-queue
+   → Items waiting at a stage the logged-in user may decide on
+========================================================= */
+router.get('/review-queue', authorize(['faculty', 'admin', 'staff']), async (req, res) => {
+  try {
+    const items = await Research.find(reviewQueueFilter(req.user))
+      .sort({ updatedAt: 1 })
+      .select(
+        'title abstract author coAuthors student adviser status submissionType college fileName fileType createdAt updatedAt workflow possibleDuplicates'
+      )
+      .populate(DUPLICATE_POPULATE)
+      .lean();
+
+    // records from before the workflow are placed on the fly
+    res.json(items.filter(r => {
+      ensureWorkflow(r);
+      return canAct(r, req.user);
+    }));
+  } catch (err) {
+    console.error('❌ Fetch review queue failed:', err);
+    res.status(500).json({ error: 'Failed to fetch review queue' });
+  }
+});
+
 /* =========================================================
    PUT /api/faculty/review/:id
+   Body:
+     - decision: 'approved' | 'rejected' | 'revision' ('revision_requested')
+     - comment
+   → Decides the submission's CURRENT workflow stage only
 ========================================================= */
-router.put('/review/:id', authorize(['faculty', 'admin']), async (req, res) => {
+router.put('/review/:id', authorize(['faculty', 'admin', 'staff']), async (req, res) => {
   try {
-    const { decision, comment } = req.body; // 'approved' | 'rejected'
-    if (!['approved', 'rejected'].includes(decision)) {
+    const { comment } = req.body;
+    const decision = req.body.decision === 'revision' ? 'revision_requested' : req.body.decision;
+    if (!OUTCOMES.includes(decision)) {
       return res.status(400).json({ error: 'Invalid decision' });
     }
 
     const research = await Research.findById(req.params.id);
     if (!research) return res.status(404).json({ error: 'Submission not found' });
 
-    research.status = decision;
+    const before = research.toObject({ transform: false });
+    ensureWorkflow(research);
+
+    const result = applyDecision(research, req.user, decision, comment);
+    if (!result.ok) {
+      return res.status(403).json({ error: result.error, stage: research.workflow.stage || null });
+    }
+
     research.facultyComment = comment || '';
     await research.save();
+    if (research.status === 'approved') queuePreviews(research);
+
+    const stageLabel = (key) => stageDef(research, key)?.label || key;
+    const studentEmail = research.student || research.author;
 
     if (decision === 'approved') {
-      if (research.submissionType === 'draft') {
+      const next = stageDef(research);
+      if (research.workflow.state === 'completed') {
         await notify({
-          to: research.student || research.author,
-          subject: `Draft Approved: ${research.title}`,
+          to: studentEmail,
+          subject: `${research.submissionType === 'draft' ? 'Draft' : 'Submission'} Approved: ${research.title}`,
           html: `
-            <p>Your draft has been approved by faculty.</p>
+            <p>Your ${research.submissionType || 'submission'} has been approved.</p>
             <p><b>Title:</b> ${research.title}</p>
             <p><b>Status:</b> APPROVED</p>
-            <p><i>Note: Draft approvals are not forwarded for publishing.</i></p>
+            ${research.submissionType === 'draft' ? '<p><i>Note: Draft approvals are not forwarded for publishing.</i></p>' : ''}
           `,
         });
-      } else {
+      } else if (next?.publishing) {
         const staffList = (process.env.STAFF_PUBLISH_EMAILS || '')
           .split(',')
           .map(s => s.trim())
           .filter(Boolean);
 
         const recipients = [...new Set([
-          research.student || research.author,
+          studentEmail,
           research.adviser,
           ...staffList,
         ].filter(Boolean))];
@@ -513,13 +541,29 @@ router.put('/review/:id', authorize(['faculty', 'admin']), async (req, res) => {
             <p><b>Abstract:</b><br/>${(research.abstract || '').replace(/\n/g, '<br/>')}</p>
           `,
         });
-
-        research.source = 'faculty-approved';
-        await research.save();
+      } else {
+        await notify({
+          to: studentEmail,
+          subject: `Submission Advanced: ${research.title}`,
+          html: `
+            <p>Your submission passed <b>${stageLabel(result.stage)}</b> and moved to <b>${stageLabel(result.next)}</b>.</p>
+            <p><b>Title:</b> ${research.title}</p>
+          `,
+        });
       }
+    } else if (decision === 'revision_requested') {
+      await notify({
+        to: studentEmail,
+        subject: `Revision Requested: ${research.title}`,
+        html: `
+          <p>A revision was requested during <b>${stageLabel(result.stage)}</b>. Please upload an updated version.</p>
+          <p><b>Title:</b> ${research.title}</p>
+          <p><b>Feedback:</b><br/>${(research.facultyComment || 'No comment').replace(/\n/g, '<br/>')}</p>
+        `,
+      });
     } else {
       await notify({
-        to: research.student || research.author,
+        to: studentEmail,
         subject: `Submission Rejected: ${research.title}`,
         html: `
           <p>Your submission has been rejected.</p>
@@ -529,23 +573,110 @@ router.put('/review/:id', authorize(['faculty', 'admin']), async (req, res) => {
       });
     }
 
-    res.json({ message: `✅ Research ${decision} successfully`, research });
+    await recordAudit(req, { action: 'research.review', before, after: research, meta: { decision, stage: result.stage } });
+
+    res.json({ message: `✅ Research ${decision.replace('_', ' ')} successfully`, research });
   } catch (err) {
     console.error('❌ Review failed:', err);
     res.status(500).json({ error: 'Failed to review submission' });
   }
 });
 
+/* =========================================================
+   💬 Reviewer comments
+   → Admin, adviser, current-stage reviewers, staff on items in
+     the publish queue and anyone who already decided a stage on
+     the paper may take part
+========================================================= */
+const canDiscuss = (research, user) => {
+  if (user.role === 'admin') return true;
+  const email = String(user.email || '').toLowerCase();
+  if (email && String(research.adviser || '').toLowerCase() === email) return true;
+  ensureWorkflow(research); // legacy records: derive the stage, not saved here
+  if (canAct(research, user)) return true;
+  if (user.role === 'staff' && isInPublishQueue(research)) return true;
+  return (research.workflow?.history || []).some(h => h.byEmail === email);
+};
+
+const loadForDiscussion = async (req, res) => {
+  const research = await Research.findById(req.params.id)
+    .select('title adviser student author version workflow submissionType college status source uploaderRole');
+  if (!research) {
+    res.status(404).json({ error: 'Submission not found' });
+    return null;
+  }
+  if (!canDiscuss(research, req.user)) {
+    res.status(403).json({ error: 'Not allowed to comment on this submission' });
+    return null;
+  }
+  return research;
+};
+
+/* GET /api/faculty/review/:id/comments → threaded, oldest first */
+router.get('/review/:id/comments', authorize(['faculty', 'admin', 'staff']), async (req, res) => {
+  try {
+    const research = await loadForDiscussion(req, res);
+    if (!research) return;
+    res.json({ version: research.version || 1, threads: await listThreads(research._id) });
+  } catch (err) {
+    console.error('❌ Fetch comments failed:', err);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+});
+
+/* =========================================================
+   POST /api/faculty/review/:id/comments
+   Body: body, page?, version? (defaults to current), parentId? (reply)
+========================================================= */
+router.post('/review/:id/comments', authorize(['faculty', 'admin', 'staff']), async (req, res) => {
+  try {
+    const research = await loadForDiscussion(req, res);
+    if (!research) return;
+
+    const result = await addComment(research, req.user, req.body || {});
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    if (!result.comment.parent) {
+      await notify({
+        to: research.student || research.author,
+        subject: `New Reviewer Comment: ${research.title}`,
+        html: `
+          <p>A reviewer left a comment on your submission${result.comment.page ? ` (page ${result.comment.page})` : ''}.</p>
+          <p><b>Title:</b> ${research.title}</p>
+          <p><b>Comment:</b><br/>${result.comment.body.replace(/\n/g, '<br/>')}</p>
+        `,
+      });
+    }
+
+    res.status(201).json(result.comment);
+  } catch (err) {
+    console.error('❌ Add comment failed:', err);
+    res.status(500).json({ error: 'Failed to add comment' });
+  }
+});
+
+/* PATCH /api/faculty/review/:id/comments/:commentId  Body: { resolved } */
+router.patch('/review/:id/comments/:commentId', authorize(['faculty', 'admin', 'staff']), async (req, res) => {
+  try {
+    const research = await loadForDiscussion(req, res);
+    if (!research) return;
+
+    const result = await setResolved(research, req.params.commentId, req.user, req.body?.resolved !== false);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json(result.comment);
+  } catch (err) {
+    console.error('❌ Update comment failed:', err);
+    res.status(500).json({ error: 'Failed to update comment' });
+  }
+});
+
 /* =========================================================
    GET /api/faculty/approved-list
 ========================================================= */
 router.get('/approved-list', authorize(['staff', 'admin']), async (req, res) => {
   try {
-    const approved = await Research.find({
-      status: 'approved',
-      submissionType: 'final',
-      source: 'faculty-approved',
-    })
+    const approved = await Research.find(publishQueueFilter())
       .sort({ updatedAt: -1 })
       .select([
         'title',
@@ -562,7 +693,9 @@ router.get('/approved-list', authorize(['staff', 'admin']), async (req, res) =>
         '+keywords',
         '+categories',
         '+genreTags',
+        'possibleDuplicates',
       ].join(' '))
+      .populate(DUPLICATE_POPULATE)
       .lean();
 
     res.json(approved);
@@ -588,6 +721,9 @@ router.use((err, req, res, next) => {
   if (err && err.message && /Only PDF|DOCX/i.test(err.message)) {
     return res.status(400).json({ error: err.message });
   }
+  if (err?.status && err.status < 500) {
+    return res.status(err.status).json({ error: err.message }); // uploadId / content validation problems
+  }
   return next(err);
 });
 
@@ -596,15 +732,11 @@ router.use((err, req, res, next) => {
 ========================================================= */
 router.get('/approved/:id', authorize(['staff','admin']), async (req, res) => {
   try {
-    const r = await Research.findOne({
-      _id: req.params.id,
-      status: 'approved',
-      submissionType: 'final',
-      source: 'faculty-approved',
-    })
+    const r = await Research.findOne({ _id: req.params.id, ...publishQueueFilter() })
       .select(
-        'title author adviser updatedAt fileName fileType visibility embargoUntil submissionType abstract year keywords categories genreTags category filePath'
+        'title author adviser updatedAt fileName fileType visibility embargoUntil submissionType abstract year keywords categories genreTags category filePath possibleDuplicates'
       )
+      .populate(DUPLICATE_POPULATE)
       .lean();
 
     if (!r) return res.status(404).json({ error: 'Approved item not found' });
@@ -2,6 +2,14 @@
 const express = require("express");
 const Research = require("../models/Research");
 const { authorize } = require("../middleware/authMiddleware");
+const { POLICY_FIELDS, canView, buildAllowedFilter } = require("../utils/accessPolicy");
+const { parseSearchQuery, textClause, buildHighlights, bodyExcerpts } = require("../utils/search");
+const { previewFile, previewsReady, previewUrls, queuePreviews } = require("../utils/previews");
+const { fileKey } = require("../utils/storage");
+const { streamFile } = require("../utils/fileStream");
+const { isQuarantined } = require("../utils/scanner");
+const { recordDetail } = require("../utils/usage");
+const { cachedResult } = require("../utils/aiCache");
 const jwt = require("jsonwebtoken");
 
 const router = express.Router();
@@ -12,25 +20,7 @@ function publicBase(req) {
   return (process.env.PUBLIC_API_BASE || `${req.protocol}://${req.get("host")}/api`).replace(/\/+$/,'');
 }
 
-// Build a Mongo filter that returns ONLY records the current user is allowed to see.
-function buildAllowedFilter(user, extra = {}) {
-  const now = new Date();
-  const base = { status: "approved" };
-
-  const ors = [
-    { visibility: "public" },
-    { visibility: "embargo", embargoUntil: { $ne: null, $lte: now } },
-    { visibility: "private", allowedViewers: String(user.email).toLowerCase() },
-  ];
-
-  if (user?.isCampus) {
-    ors.push({ visibility: "campus" });
-  }
-
-  return { ...base, $or: ors, ...extra };
-}
-
-function sanitize(r) {
+function sanitize(r, base = "") {
   return {
     _id: r._id,
     title: r.title,
@@ -49,6 +39,7 @@ function sanitize(r) {
     updatedAt: r.updatedAt,
     visibility: r.visibility,
     embargoUntil: r.embargoUntil,
+    ...previewUrls(r, base), // thumbnailUrl, previewUrls[]
   };
 }
 
@@ -70,7 +61,6 @@ router.get("/", authorize(), async (req, res) => {
       category,
       genre,
       role,
-      sort = "latest",
       page = "1",
       limit = "20",
     } = req.query;
@@ -78,23 +68,13 @@ router.get("/", authorize(), async (req, res) => {
     const pageNum = Math.max(parseInt(page, 10) || 1, 1);
     const lim = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
 
-    const andParts = [];
+    // "word", "exact phrase", -excluded → MongoDB $text (see utils/search.js)
+    const parsed = parseSearchQuery(q);
+    // meta.sort reports the order actually applied: no query → nothing to rank by relevance
+    let sort = ["relevance", "latest", "year"].includes(req.query.sort) ? req.query.sort : "";
+    if (!sort || (sort === "relevance" && !parsed)) sort = parsed ? "relevance" : "latest";
 
-    if (q && String(q).trim()) {
-      const regex = new RegExp(String(q).trim(), "i");
-      andParts.push({
-        $or: [
-          { title: regex },
-          { author: regex },
-{ coAuthors: regex },
-          { keywords: regex },
-          { year: regex },
-          { category: regex },
-          { categories: regex },
-          { genreTags: regex },
-        ],
-      });
-    }
+    const andParts = [];
 
     if (year && String(year).trim()) {
       andParts.push({ year: String(year).trim() });
@@ -120,29 +100,47 @@ router.get("/", authorize(), async (req, res) => {
       andParts.push({ uploaderRole: String(role) });
     }
 
-    const filter = buildAllowedFilter(
-      req.user,
-      andParts.length ? { $and: andParts } : {}
-    );
-
-    const sortStage =
-      sort === "year" ? { year: -1, updatedAt: -1 } : { updatedAt: -1 };
+    const filter = buildAllowedFilter(req.user, {
+      status: "approved",
+      ...(andParts.length ? { $and: andParts } : {}),
+    });
+    // $text must sit at the top level of the query
+    if (parsed) Object.assign(filter, textClause(parsed));
+
+    const byRelevance = sort === "relevance";
+    const sortStage = byRelevance
+      ? { score: { $meta: "textScore" }, updatedAt: -1 }
+      : sort === "year"
+        ? { year: -1, updatedAt: -1 }
+        : { updatedAt: -1 };
+
+    const query = Research.find(filter, parsed ? { score: { $meta: "textScore" } } : {})
+      .sort(sortStage)
+      .skip((pageNum - 1) * lim)
+      .limit(lim)
+      .select(
+        "title author  coAuthors year abstract keywords category categories genreTags landingPageUrl " +
+          "fileName filePath storageKey preview uploaderRole createdAt updatedAt visibility embargoUntil"
+      );
 
     const [items, total] = await Promise.all([
-      Research.find(filter)
-        .sort(sortStage)
-        .skip((pageNum - 1) * lim)
-        .limit(lim)
-        .select(
-          "title author  coAuthors year abstract keywords category categories genreTags landingPageUrl " +
-            "fileName uploaderRole createdAt updatedAt visibility embargoUntil"
-        )
-        .lean(),
+      query.lean(),
       Research.countDocuments(filter),
     ]);
+    // body snippets come from a bounded slice of extractedText, not the full text
+    const excerpts = parsed ? await bodyExcerpts(Research, items.map((r) => r._id), parsed) : null;
 
+    const base = publicBase(req);
     res.json({
-      data: items.map(sanitize),
+      data: items.map((r) =>
+        parsed
+          ? {
+              ...sanitize(r, base),
+              score: r.score,
+              highlights: buildHighlights({ ...r, bodyExcerpt: excerpts.get(String(r._id)) }, parsed),
+            }
+          : sanitize(r, base)
+      ),
       meta: {
         total,
         page: pageNum,
@@ -168,7 +166,7 @@ router.get("/", authorize(), async (req, res) => {
 ========================================================= */
 router.get("/facets", authorize(), async (req, res) => {
   try {
-    const baseAllowed = buildAllowedFilter(req.user);
+    const baseAllowed = buildAllowedFilter(req.user, { status: "approved" });
 
     const categoriesAgg = await Research.aggregate([
       { $match: baseAllowed },
@@ -213,7 +211,7 @@ router.get("/:id", authorize(), async (req, res) => {
     const r = await Research.findById(req.params.id)
       .select(
         "title author coAuthors year abstract keywords category categories genreTags landingPageUrl " +
-          "fileName uploaderRole createdAt updatedAt visibility embargoUntil allowedViewers"
+          "fileName filePath storageKey fileHash preview uploaderRole college createdAt updatedAt " + POLICY_FIELDS
       )
       .lean();
 
@@ -221,26 +219,78 @@ router.get("/:id", authorize(), async (req, res) => {
       return res.status(404).json({ error: "Research not found" });
     }
 
-    const now = new Date();
-    const allowed =
-      r.visibility === "public" ||
-      (r.visibility === "embargo" && r.embargoUntil && new Date(r.embargoUntil) <= now) ||
-      (r.visibility === "campus" && req.user?.isCampus) ||
-      (r.visibility === "private" &&
-        Array.isArray(r.allowedViewers) &&
-        r.allowedViewers
-          .map((e) => String(e).toLowerCase())
-          .includes(String(req.user.email).toLowerCase()));
-
-    if (!allowed) return res.status(403).json({ error: "Not authorized to view this item" });
+    if (!canView(r, req.user)) return res.status(403).json({ error: "Not authorized to view this item" });
+    recordDetail(req, r);
 
-    res.json(sanitize(r));
+    // AI summary of the current file, if one was generated (utils/aiCache)
+    const ai = await cachedResult(r, "summary");
+    res.json({
+      ...sanitize(r, publicBase(req)),
+      aiSummary: ai?.output?.summary
+        ? { summary: ai.output.summary, model: ai.model, generatedAt: ai.updatedAt }
+        : null,
+    });
   } catch (err) {
     console.error("❌ Repository detail fetch error:", err);
     res.status(500).json({ error: "Failed to fetch research" });
   }
 });
 
+/* =========================================================
+   🖼️ Cover thumbnail / low-res page previews (visibility-aware)
+   GET /api/repository/:id/thumbnail
+   GET /api/repository/:id/preview/:page
+   → Images are rendered on first request if missing; until then
+     404 + Retry-After so the UI can keep its generic icon.
+========================================================= */
+async function sendPreviewImage(req, res, name) {
+  const r = await Research.findById(req.params.id)
+    .select("filePath storageKey fileName fileType preview scan rendition " + POLICY_FIELDS)
+    .lean();
+
+  if (!r || r.status !== "approved" || !fileKey(r) || isQuarantined(r)) {
+    return res.status(404).json({ error: "Not found" });
+  }
+  if (!canView(r, req.user)) return res.status(403).json({ error: "Not authorized" });
+
+  const abs = previewsReady(r) ? previewFile(r._id, name) : null;
+  if (!abs) {
+    const failed = r.preview?.status === "failed" && r.preview?.sourcePath === fileKey(r);
+    if (!failed) queuePreviews(r);
+    if (!failed) res.set("Retry-After", "10");
+    return res.status(404).json({ error: failed ? "Preview unavailable" : "Preview not ready" });
+  }
+
+  await streamFile(req, res, {
+    absPath: abs,
+    fileName: `${name}.webp`,
+    fileType: "image/webp",
+    cacheControl: "private, max-age=86400",
+  });
+}
+
+router.get("/:id/thumbnail", authorize(), async (req, res) => {
+  try {
+    await sendPreviewImage(req, res, "cover");
+  } catch (err) {
+    console.error("❌ Thumbnail error:", err);
+    if (!res.headersSent) res.status(500).json({ error: "Failed to load thumbnail" });
+  }
+});
+
+router.get("/:id/preview/:page", authorize(), async (req, res) => {
+  try {
+    const page = parseInt(req.params.page, 10);
+    if (!Number.isInteger(page) || page < 1) {
+      return res.status(400).json({ error: "Invalid page" });
+    }
+    await sendPreviewImage(req, res, `page-${page}`);
+  } catch (err) {
+    console.error("❌ Preview image error:", err);
+    if (!res.headersSent) res.status(500).json({ error: "Failed to load preview" });
+  }
+});
+
 /* =========================================================
    🎟️ Campus-aware signed preview (visibility-based)
    GET /api/repository/file/:id/signed
@@ -250,25 +300,14 @@ router.get("/:id", authorize(), async (req, res) => {
 router.get("/file/:id/signed", authorize(), async (req, res) => {
   try {
     const r = await Research.findById(req.params.id)
-      .select("status visibility embargoUntil allowedViewers")
+      .select(POLICY_FIELDS)
       .lean();
 
     if (!r || r.status !== "approved") {
       return res.status(404).json({ error: "Not found" });
     }
 
-    const now = new Date();
-    const allowed =
-      r.visibility === "public" ||
-      (r.visibility === "embargo" && r.embargoUntil && new Date(r.embargoUntil) <= now) ||
-      (r.visibility === "campus" && req.user?.isCampus) ||
-      (r.visibility === "private" &&
-        Array.isArray(r.allowedViewers) &&
-        r.allowedViewers
-          .map((e) => String(e).toLowerCase())
-          .includes(String(req.user.email).toLowerCase()));
-
-    if (!allowed) {
+    if (!canView(r, req.user)) {
       return res.status(403).json({ error: "Not authorized" });
     }
 
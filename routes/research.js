@@ -2,39 +2,33 @@
 const express = require("express");
 const { authorize, authorizeOrSig } = require("../middleware/authMiddleware");
 const Research = require("../models/Research");
-const multer = require("multer");
+const {
+  canView,
+  canDownload,
+  hasPrivilegedAccess,
+  isOwner,
+  ownerFilter,
+  buildAllowedFilter,
+} = require("../utils/accessPolicy");
+const { findVersion, listVersions, restoreVersion } = require("../utils/revisions");
+const { recordAudit } = require("../utils/audit");
+const { queueTextExtraction } = require("../utils/textExtraction");
+const { queuePreviews } = require("../utils/previews");
+const { streamFile } = require("../utils/fileStream");
+const storage = require("../utils/storage");
+const { createUpload } = require("../middleware/upload");
+const { flagDuplicates } = require("../utils/duplicates");
+const { isQuarantined } = require("../utils/scanner");
+const { pdfSource, originalSource, viewSource, needsRendition } = require("../utils/renditions");
+const { deliveryFor } = require("../utils/watermark");
+const { recordView, recordDownload } = require("../utils/usage");
+const { publishQueueFilter, markPublished, ensureWorkflow, resubmit } = require("../utils/workflow");
 const path = require("path");
-const fs = require("fs");
 const jwt = require("jsonwebtoken");
 
 const router = express.Router();
 
 const SIGNED_URL_SECRET = process.env.SIGNED_URL_SECRET || "change-me";
-const MSUIIT_DOMAIN = "@g.msuiit.edu.ph";
-
-/* -------------------------------------------
-   Robust path resolver for anything in filePath
--------------------------------------------- */
-function resolveAbsPathFromDB(storedPath) {
-  if (!storedPath) return null;
-  const p = String(storedPath).replace(/\\/g, "/");
-
-  if (p.startsWith("/uploads/")) {
-    return path.resolve(path.join(__dirname, "..", `.${p}`));
-  }
-  if (p.startsWith("./")) return path.resolve(path.join(__dirname, "..", p));
-  if (p.startsWith("uploads/")) return path.resolve(path.join(__dirname, "..", p));
-
-  if (path.isAbsolute(p)) {
-    if (fs.existsSync(p)) return p;
-    const baseName = path.basename(p);
-    const rebased = path.resolve(path.join(__dirname, "..", "uploads", "research", baseName));
-    if (fs.existsSync(rebased)) return rebased;
-    return p;
-  }
-
-  return path.resolve(path.join(__dirname, "..", "uploads", "research", p));
-}
 
 /* small helper to build absolute API base for links */
 function publicBase(req) {
@@ -42,7 +36,7 @@ function publicBase(req) {
 }
 
 /* -------------------------------------------
-   Helpers: parsing + visibility access control
+   Helpers: parsing
 -------------------------------------------- */
 function toArray(csvOrArr) {
   if (!csvOrArr) return [];
@@ -60,89 +54,20 @@ const toKeywords = (v) => toArray(v);
 const toCats     = (v) => toArray(v);
 const toTags     = (v) => toArray(v);
 
-function sameEmail(a, b) {
-  return String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
-}
-
-function userDomain(email) {
-  const e = String(email || "").toLowerCase();
-  const at = e.lastIndexOf("@");
-  return at >= 0 ? e.slice(at) : "";
-}
-
-function isOwnerStaffOrAdviser(r, user) {
-  const email = String(user?.email || "").toLowerCase();
-  const userId = String(user?.id || "");
-  const role = String(user?.role || "").toLowerCase();
-
-  const isOwnerEmail =
-    [String(r.student || "").toLowerCase(), String(r.author || "").toLowerCase()].includes(email);
-  const isUploader = String(r.uploadedBy || "") === userId;
-  const isStaff = role === "staff" || role === "admin";
-  const isAdviser = !!email && sameEmail(email, r.adviser);
-
-  return isOwnerEmail || isUploader || isStaff || isAdviser;
-}
-
-/** Centralized gate for viewing a research file or generating a signed link. */
-function canView(r, user) {
-  if (isOwnerStaffOrAdviser(r, user)) return true;
-
-  const viewerEmail = String(user?.email || "").toLowerCase();
-  const viewerDomain = userDomain(viewerEmail);
-
-  const vis = (r.visibility || "campus").toLowerCase();
-  const embargoUntil = r.embargoUntil ? new Date(r.embargoUntil) : null;
-  const now = new Date();
-
-  if (vis === "embargo") {
-    if (embargoUntil && now < embargoUntil) return false;
-    return viewerDomain === MSUIIT_DOMAIN;
-  }
-
-  if (vis === "public") {
-    return true; // any authenticated user
-  }
-
-  if (vis === "campus") {
-    return viewerDomain === MSUIIT_DOMAIN;
-  }
-
-  if (vis === "private") {
-    const allow = Array.isArray(r.allowedViewers) ? r.allowedViewers.map(String) : [];
-    return allow.map(e => e.toLowerCase()).includes(viewerEmail);
-  }
-
-  // default fallback (treat like campus)
-  return viewerDomain === MSUIIT_DOMAIN;
-}
-
 /* =========================================================
    LIST approved (role-scoped)
 ========================================================= */
 router.get("/", authorize(), async (req, res) => {
   try {
-    const email = String(req.user.email || "").toLowerCase();
     const userId = String(req.user.id || "");
     const role = String(req.user.role || "").toLowerCase();
 
-    let filter;
-    if (role === "student") {
-      filter = {
-        status: "approved",
-        $or: [{ student: email }, { author: email }, { uploadedBy: userId }],
-      };
-    } else if (role === "staff" || role === "admin") {
-      filter = {
-        status: "approved",
-        $or: [{ uploaderRole: { $in: ["staff", "admin"] } }, { uploadedBy: userId }],
-      };
-    } else {
-      filter = {
-        status: "approved",
-        $or: [{ uploaderRole: { $in: ["staff", "admin"] } }, { uploadedBy: userId }],
-      };
-    }
+    // students list their own work; everyone else the staff uploads + their own,
+    // narrowed to what the shared access policy lets this viewer see
+    const scope = role === "student"
+      ? ownerFilter(req.user)
+      : { $or: [{ uploaderRole: { $in: ["staff", "admin"] } }, { uploadedBy: userId }] };
+    const filter = buildAllowedFilter(req.user, { status: "approved", ...scope });
 
     const list = await Research.find(filter)
       .sort({ updatedAt: -1 })
@@ -162,7 +87,6 @@ router.get("/", authorize(), async (req, res) => {
           "uploadedBy",
           "visibility",
           "embargoUntil",
-          "allowedViewers",
           "uploaderRole",
           "year",
           "keywords",
@@ -183,24 +107,9 @@ router.get("/", authorize(), async (req, res) => {
 /* =========================================================
    Multer config (PDF only) — RELAXED FILTER
 ========================================================= */
-const uploadDir = path.join(__dirname, "../uploads/research");
-if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
-
-const storage = multer.diskStorage({
-  destination: (_, __, cb) => cb(null, uploadDir),
-  filename: (_, file, cb) => {
-    const rawName = file.originalname || "document";
-    const hasExt = path.extname(rawName);
-    const safeBase = rawName.replace(/[^a-z0-9._-]+/gi, "_");
-    const finalName = hasExt ? safeBase : `${safeBase}.pdf`;
-    const unique = `${Date.now()}-${Math.round(Math.random() * 1e9)}-${finalName}`;
-    cb(null, unique);
-  },
-});
-
-const upload = multer({
-  storage,
-  limits: { fileSize: 50 * 1024 * 1024 }, // ✅ 50 MB
+const upload = createUpload({
+  maxBytes: 50 * 1024 * 1024, // ✅ 50 MB
+  accept: ["pdf"],
 
   fileFilter: (_, file, cb) => {
     const mime = (file.mimetype || "").toLowerCase();
@@ -268,6 +177,8 @@ router.post(
       }
       let tags = toTags(genreTags);
 
+      const stored = await storage.saveUpload({ ...req.file, originalname: normalizedName });
+
       const doc = new Research({
         title: String(title).trim(),
         author: String(author).trim(),
@@ -280,8 +191,11 @@ router.post(
         genreTags: tags,                   // new array
         status: "approved",
         fileName: normalizedName,
-        filePath: `/uploads/research/${req.file.filename}`,
+        storageKey: stored.storageKey,
+        fileHash: stored.fileHash,
+        fileSize: stored.fileSize,
         fileType: normalizedType,
+        scan: req.file.scan,
         uploadedBy: req.user.id,
         uploaderRole: req.user.role,
         visibility: ["public", "campus", "private", "embargo"].includes((visibility || "").toLowerCase())
@@ -292,6 +206,10 @@ router.post(
       });
 
       await doc.save();
+      queueTextExtraction(doc);
+      queuePreviews(doc);
+      await flagDuplicates(doc);
+      await recordAudit(req, { action: "research.upload", after: doc });
       res.status(201).json({ message: "✅ Uploaded successfully", research: doc });
     } catch (err) {
       console.error("❌ Staff upload error:", err);
@@ -305,6 +223,7 @@ router.post(
 
 /* =========================================================
    🎟️ Mint short-lived signed preview URL — honors visibility
+   ?download=1 → a link that saves the file (needs canDownload)
 ========================================================= */
 router.get("/file/:id/signed", authorize(), async (req, res) => {
   try {
@@ -316,15 +235,24 @@ router.get("/file/:id/signed", authorize(), async (req, res) => {
     if (!canView(r, req.user)) {
       return res.status(403).json({ error: "Not authorized" });
     }
+    if (isQuarantined(r)) {
+      return res.status(403).json({ error: "File is quarantined by the malware scanner", quarantined: true });
+    }
+    const download = req.query.download === "1";
+    if (download && !canDownload(r, req.user)) {
+      return res.status(403).json({ error: "Downloads are disabled for this item" });
+    }
 
     const sig = jwt.sign(
-      { sub: req.user.id, fileId: String(r._id) },
+      // email lets the streamer stamp the copy for this viewer
+      { sub: req.user.id, email: req.user.email, fileId: String(r._id), download },
       SIGNED_URL_SECRET,
       { expiresIn: "2m" }
     );
 
-    const url = `${publicBase(req)}/research/file/${r._id}?sig=${encodeURIComponent(sig)}`;
-    return res.json({ url, expiresIn: 120 });
+    const url =
+      `${publicBase(req)}/research/file/${r._id}?sig=${encodeURIComponent(sig)}` + (download ? "&download=1" : "");
+    return res.json({ url, expiresIn: 120, download });
   } catch (err) {
     console.error("❌ signed URL error:", err);
     return res.status(500).json({ error: "Failed to create signed URL" });
@@ -333,26 +261,29 @@ router.get("/file/:id/signed", authorize(), async (req, res) => {
 
 /* =========================================================
    🔒 File streamer — honors visibility (and signed links)
+   ?download=1 → attachment, only where canDownload allows
+   (signed links: only when minted with download)
 ========================================================= */
 router.get("/file/:id", authorizeOrSig(), async (req, res) => {
-  let fileStream = null;
-  
   try {
     // 1. Validate and fetch research document
     const r = await Research.findById(req.params.id).lean();
-    if (!r || !r.filePath || r.status !== "approved") {
+    if (!r || !storage.fileKey(r)) {
       console.warn("❌ File request rejected:", { 
         id: req.params.id, 
         exists: !!r, 
-        hasPath: !!r?.filePath, 
+        hasFile: !!storage.fileKey(r), 
         status: r?.status 
       });
       return res.status(404).json({ error: "File not found" });
     }
 
-    // 2. Check authorization
+    // 2. Check authorization (signed links are only minted for approved items)
     if (req.user?._signedUrl) {
       const claimed = String(req.user?._sig?.fileId || "");
+      if (r.status !== "approved") {
+        return res.status(404).json({ error: "File not found" });
+      }
       if (claimed !== String(req.params.id)) {
         console.warn("❌ Invalid signed URL:", {
           claimed,
@@ -373,83 +304,157 @@ router.get("/file/:id", authorizeOrSig(), async (req, res) => {
       }
     }
 
-    // 3. Resolve and validate file path
-    const abs = resolveAbsPathFromDB(r.filePath);
-    console.log("📄 File path resolution:", {
-      original: r.filePath,
-      resolved: abs,
-      exists: abs ? fs.existsSync(abs) : false
-    });
+    // 2b. Optional past revision (?version=N) — owners, advisers and staff only
+    let target = r;
+    if (req.query.version) {
+      if (req.user?._signedUrl || !hasPrivilegedAccess(r, req.user)) {
+        return res.status(403).json({ error: "Not authorized to view past versions" });
+      }
+      target = findVersion(r, req.query.version);
+      if (!target || !storage.fileKey(target)) {
+        return res.status(404).json({ error: "Version not found" });
+      }
+    }
 
-    if (!abs || !fs.existsSync(abs)) {
-      console.error("❌ File missing on disk:", { 
-        id: r._id, 
-        resolvedAbs: abs, 
-        stored: r.filePath 
-      });
-      return res.status(404).json({ error: "File not found on disk" });
+    // 2c. Quarantined files (scan flagged or failed) are never served
+    if (isQuarantined(target)) {
+      console.warn("❌ Quarantined file request:", { fileId: r._id, userEmail: req.user?.email });
+      return res.status(403).json({ error: "File is quarantined by the malware scanner", quarantined: true });
     }
 
-    // 4. Set proper headers for PDF viewing
-    const contentType = r.fileType || "application/pdf";
-    const fileName = r.fileName || "document.pdf";
-    
-    res.setHeader("Content-Type", contentType);
-    res.setHeader("Content-Disposition", `inline; filename="${encodeURIComponent(fileName)}"`);
-    res.setHeader("Cache-Control", "public, max-age=3600"); // 1 hour cache
-    
-    // 5. Stream file with proper error handling
-    fileStream = fs.createReadStream(abs);
-    
-    fileStream.on('error', (err) => {
-      console.error("❌ Stream error:", { 
-        error: err.message, 
-        fileId: r._id,
-        path: abs 
-      });
-      if (!res.headersSent) {
-        res.status(500).json({ error: "Failed to stream file" });
-      }
-    });
+    // 2d. DOC/DOCX are served as their PDF rendition; owners, advisers and
+    //     staff can ask for the uploaded file itself with ?original=1
+    const wantsOriginal =
+      req.query.original === "1" && !req.user?._signedUrl && hasPrivilegedAccess(r, req.user);
+    const file = target === r && !wantsOriginal ? viewSource(r) : originalSource(target);
+    if (!file) {
+      return res.status(409).json({ error: "PDF rendition is not ready yet", rendition: r.rendition?.status || "" });
+    }
 
-    fileStream.on('open', () => {
-      console.log("✅ Started streaming:", { 
-        id: r._id,
-        type: contentType,
-        name: fileName
-      });
-    });
+    // 2e. Saving a copy is a separate permission from reading inline
+    const download = req.query.download === "1";
+    if (download) {
+      const allowed = req.user?._signedUrl ? !!req.user._sig?.download : canDownload(r, req.user);
+      if (!allowed) return res.status(403).json({ error: "Downloads are disabled for this item" });
+      recordDownload(req, r, "research.file");
+    } else if (target === r) {
+      // past revisions are review traffic, not readership
+      recordView(req, r, "research.file");
+    }
 
-    // Pipe with error handling
-    fileStream.pipe(res).on('error', (err) => {
-      console.error("❌ Pipe error:", err);
-      if (!res.headersSent) {
-        res.status(500).json({ error: "Stream pipe failed" });
-      }
+    // 3. Stream from storage, or a copy stamped for this viewer when the
+    //    visibility policy asks for it (Range / ETag / private caching)
+    await streamFile(req, res, {
+      ...(await deliveryFor(req, r, file)),
+      disposition: download ? "attachment" : "inline",
     });
-
   } catch (err) {
     console.error("❌ File fetch error:", {
       error: err.message,
       stack: err.stack,
       fileId: req.params.id
     });
-    
-    if (fileStream) {
-      fileStream.destroy();
-    }
-    
+
     if (!res.headersSent) {
       res.status(500).json({ error: "Failed to fetch file" });
     }
   }
+});
+
+/* =========================================================
+   🗂️ Revision history
+   GET  /api/research/:id/versions
+   POST /api/research/:id/versions/:version/restore
+   (past files stream via /api/research/file/:id?version=N)
+========================================================= */
+router.get("/:id/versions", authorize(), async (req, res) => {
+  try {
+    const r = await Research.findById(req.params.id).lean();
+    if (!r) return res.status(404).json({ error: "Research not found" });
+    if (!hasPrivilegedAccess(r, req.user)) {
+      return res.status(403).json({ error: "Not authorized to view revision history" });
+    }
+
+    const base = publicBase(req);
+    const versions = listVersions(r).map(v => ({
+      ...v,
+      fileUrl: v.hasFile ? `${base}/research/file/${r._id}?version=${v.version}` : null,
+    }));
+
+    res.json({ id: r._id, currentVersion: r.version || 1, versions });
+  } catch (err) {
+    console.error("❌ List versions error:", err);
+    res.status(500).json({ error: "Failed to load versions" });
+  }
+});
+
+router.post("/:id/versions/:version/restore", authorize(), async (req, res) => {
+  try {
+    const r = await Research.findById(req.params.id);
+    if (!r) return res.status(404).json({ error: "Research not found" });
+
+    const isStaff = ["staff", "admin"].includes(req.user.role);
+    if (!isStaff && !isOwner(r, req.user)) {
+      return res.status(403).json({ error: "Only the owner or staff can restore versions" });
+    }
+    if (!isStaff && r.status === "approved") {
+      return res.status(409).json({ error: "Approved items can only be changed by staff" });
+    }
+
+    const before = r.toObject({ transform: false });
+    if (!isStaff) {
+      ensureWorkflow(r);
+      // a rejection is final: restoring would leave it pending outside every review queue
+      if (r.workflow.state === "rejected") {
+        return res.status(409).json({ error: "Rejected items cannot be restored; submit a new upload instead" });
+      }
+    }
+
+    const restored = restoreVersion(r, req.params.version, req.user);
+    if (!restored) return res.status(404).json({ error: "Version not found" });
+
+    // an owner-restored revision goes back into review (at the same stage after "revision requested")
+    if (!isStaff && !resubmit(r, req.user)) r.status = "pending";
+    await r.save();
+    queueTextExtraction(r);
+    await recordAudit(req, { action: "research.restore-version", before, after: r, meta: { version: Number(req.params.version) } });
+
+    res.json({ message: `Restored version ${req.params.version}`, currentVersion: r.version, research: r });
+  } catch (err) {
+    console.error("❌ Restore version error:", err);
+    res.status(500).json({ error: "Failed to restore version" });
+  }
+});
 
-  // Cleanup on request abort/close
-  req.on('close', () => {
-    if (fileStream) {
-      fileStream.destroy();
+/* =========================================================
+   📥 Download policy — owner or staff
+   PUT /api/research/:id/download-policy   { allowDownload: boolean }
+   → readable inline either way; false blocks saving a copy for
+     everyone but owners, advisers and staff
+========================================================= */
+router.put("/:id/download-policy", authorize(), async (req, res) => {
+  try {
+    if (typeof req.body?.allowDownload !== "boolean") {
+      return res.status(400).json({ error: "allowDownload must be true or false" });
+    }
+    const r = await Research.findById(req.params.id);
+    if (!r) return res.status(404).json({ error: "Research not found" });
+
+    const isStaff = ["staff", "admin"].includes(req.user.role);
+    if (!isStaff && !isOwner(r, req.user)) {
+      return res.status(403).json({ error: "Only the owner or staff can change the download policy" });
     }
-  });
+
+    const before = r.toObject({ transform: false });
+    r.allowDownload = req.body.allowDownload;
+    await r.save();
+    await recordAudit(req, { action: "research.download-policy", before, after: r, fields: ["allowDownload"] });
+
+    res.json({ _id: r._id, allowDownload: r.allowDownload, downloadCount: r.downloadCount });
+  } catch (err) {
+    console.error("❌ Download policy update error:", err);
+    res.status(500).json({ error: "Failed to update download policy" });
+  }
 });
 
 /* =========================================================
@@ -457,11 +462,7 @@ router.get("/file/:id", authorizeOrSig(), async (req, res) => {
 ========================================================= */
 router.get("/faculty/approved-list", authorize(["staff", "admin"]), async (req, res) => {
   try {
-    const approved = await Research.find({
-      status: "approved",
-      submissionType: "final",
-      source: "faculty-approved",
-    })
+    const approved = await Research.find(publishQueueFilter())
       .sort({ updatedAt: -1 })
       .select(
         'title author coAuthors adviser updatedAt fileName visibility embargoUntil abstract year keywords categories genreTags submissionType'
@@ -498,31 +499,26 @@ router.post("/upload-from-approved", authorize(["staff","admin"]), async (req, r
     }
 
     // Pull full fields so we can use them as fallbacks
-    const src = await Research.findOne({
-      _id: sourceId,
-      status: "approved",
-      source: "faculty-approved",
-    })
-      .select("+abstract +year +keywords +categories +genreTags +category +filePath +fileName +fileType +coAuthors" )
-      .lean();
-
-    if (!src) return res.status(404).json({ error: "Approved source not found" });
-
-    const srcAbs = resolveAbsPathFromDB(src.filePath || "");
-    if (!srcAbs || !fs.existsSync(srcAbs)) {
-      return res.status(404).json({ error: "Source file missing on disk" });
+    const srcDoc = await Research.findOne({ _id: sourceId, ...publishQueueFilter() });
+    if (!srcDoc) return res.status(404).json({ error: "Approved source not found" });
+    const src = srcDoc.toObject({ transform: false });
+
+    // DOC/DOCX submissions are published as their PDF rendition
+    const pdf = pdfSource(src);
+    if (!pdf) {
+      return res.status(409).json({
+        error: needsRendition(src) ? "PDF rendition of the source is not ready yet" : "Source has no PDF file",
+      });
+    }
+    if (isQuarantined(src)) {
+      return res.status(409).json({ error: "Source file is quarantined by the malware scanner" });
+    }
+    if (!(await storage.exists(pdf.key))) {
+      return res.status(404).json({ error: "Source file missing from storage" });
     }
 
-    const destDir = path.join(__dirname, "../uploads/research");
-    if (!fs.existsSync(destDir)) fs.mkdirSync(destDir, { recursive: true });
-
-    const ext = path.extname(srcAbs) || ".pdf";
     const safeTitle = String(title).trim().replace(/[^a-z0-9._-]+/gi, "_").slice(0, 60) || "file";
-    const newFileName = `${Date.now()}_${safeTitle}${ext}`;
-    const destAbs = path.join(destDir, newFileName);
-
-    // hard link if possible; otherwise copy
-    try { fs.linkSync(srcAbs, destAbs); } catch { fs.copyFileSync(srcAbs, destAbs); }
+    const newFileName = `${Date.now()}_${safeTitle}.pdf`;
 
     // ---------- Fallbacks ----------
     const finalAbstract = String((abstract ?? "")).trim() || src.abstract || "";
@@ -558,22 +554,27 @@ router.post("/upload-from-approved", authorize(["staff","admin"]), async (req, r
 
       status: "approved",
       fileName: newFileName,
-      filePath: `/uploads/research/${newFileName}`,
-      fileType: "application/pdf",
+      // same bytes → the published record shares the source's stored file
+      storageKey: pdf.key,
+      fileHash: pdf.fileHash,
+      fileSize: pdf.fileSize,
+      fileType: pdf.fileType,
+      scan: src.scan,
       uploadedBy: req.user.id,
       uploaderRole: req.user.role,
       visibility: "campus",
       allowedViewers: [],
       embargoUntil: null,
-      source: "faculty-approved",
+      source: "staff-upload",
       submissionType: "final",
     });
 
-    // consume the approved source so it won't show up again
-    await Research.updateOne(
-      { _id: sourceId, source: "faculty-approved" },
-      { $set: { source: "faculty-approved-used" } }
-    );
+    // close the source's publishing stage so it won't show up again
+    markPublished(srcDoc, req.user, `Published as ${doc._id}`);
+    await srcDoc.save();
+    queueTextExtraction(doc);
+    queuePreviews(doc);
+    await recordAudit(req, { action: "research.publish", after: doc, meta: { sourceId: String(sourceId) } });
 
     return res.json({
       _id: doc._id,
@@ -5,12 +5,27 @@ const router = express.Router();
 const Research = require("../models/Research");
 const { authorize } = require("../middleware/authMiddleware");
 const upload = require("../middleware/upload"); // must export upload.single("file")
+const { recordAudit } = require("../utils/audit");
+const { queueTextExtraction } = require("../utils/textExtraction");
+const { queueOcr } = require("../utils/ocrQueue");
+const { queuePreviews, removePreviews } = require("../utils/previews");
+const { isInPublishQueue, markPublished } = require("../utils/workflow");
+const { deleteForResearch } = require("../utils/reviewComments");
+const { escapeRegExp } = require("../utils/search");
+const { allFileKeys } = require("../utils/revisions");
+const { DUPLICATE_POPULATE, flagDuplicates } = require("../utils/duplicates");
+const storage = require("../utils/storage");
+const { scanFile, isQuarantined } = require("../utils/scanner");
+const { pdfSource, needsRendition } = require("../utils/renditions");
+const { removeStamped } = require("../utils/watermark");
+const { removeAiResults } = require("../utils/aiCache");
 
 /* -------------------- Constants & Helpers -------------------- */
 
 const ALLOWED_VIS = ["public", "campus", "private", "embargo"];
 const ALLOWED_STATUS = ["pending", "approved", "rejected"];
 const ALLOWED_ROLES = ["student", "faculty", "staff", "admin"];
+const ALLOWED_OCR = ["not_needed", "queued", "running", "done", "failed"];
 
 function toArrayLower(input) {
   if (!input) return [];
@@ -26,22 +41,10 @@ function toArrayLower(input) {
 // Strip storage internals
 function sanitize(doc) {
   if (!doc) return doc;
-  const { filePath, ...safe } = doc;
+  const { filePath, storageKey, ...safe } = doc;
   return safe;
 }
 
-function relFilePathFromMulter(file) {
-  if (!file) return "";
-  // Prefer a stable /uploads/... path (works with your /uploads/research destination)
-  if (file.path && /[\/\\]uploads[\/\\]/i.test(file.path)) {
-    // Normalize to /uploads/...
-    const normalized = file.path.replace(/\\/g, "/");
-    const idx = normalized.toLowerCase().lastIndexOf("/uploads/");
-    return idx >= 0 ? normalized.slice(idx) : `/uploads/research/${file.filename}`;
-  }
-  return `/uploads/research/${file.filename}`;
-}
-
 /* =========================================================
    📤 Upload research (staff/admin)
    POST /api/research-admin/upload
@@ -52,6 +55,7 @@ function relFilePathFromMulter(file) {
      - visibility   ('public' | 'campus' | 'private' | 'embargo')
      - embargoUntil (ISO date, required if visibility='embargo')
      - allowedViewers (comma-separated emails) if visibility='private'
+     - allowDownload ('false' → read inline only; default true)
      - categories   (comma-separated or array)   ← NEW
      - genreTags    (comma-separated or array)   ← NEW
      - landingPageUrl (string)                   ← NEW
@@ -99,6 +103,7 @@ router.post(
       }
 
       const viewers = vis === "private" ? toArrayLower(allowedViewers) : [];
+      const stored = await storage.saveUpload(req.file);
 
       const doc = new Research({
         title,
@@ -131,8 +136,11 @@ router.post(
         landingPageUrl: String(landingPageUrl || "").trim(),
 
         fileName: req.file.originalname || "",
-        filePath: relFilePathFromMulter(req.file), // stored on disk
+        storageKey: stored.storageKey,
+        fileHash: stored.fileHash,
+        fileSize: stored.fileSize,
         fileType: req.file.mimetype || "application/pdf",
+        scan: req.file.scan,
         uploadedBy: req.user?.id,
         uploaderRole: req.user?.role || "",
         source: "staff-upload",
@@ -140,9 +148,14 @@ router.post(
         visibility: vis,
         embargoUntil: embargoDate,
         allowedViewers: viewers,
+        allowDownload: String(req.body.allowDownload) !== "false",
       });
 
       await doc.save();
+      queueTextExtraction(doc);
+      queuePreviews(doc);
+      await flagDuplicates(doc);
+      await recordAudit(req, { action: "research.upload", after: doc });
       return res.json({
         message: "Research uploaded successfully",
         research: sanitize(doc.toObject()),
@@ -211,6 +224,11 @@ router.put(
         update.allowedViewers = [];
       }
 
+      const before = await Research.findById(req.params.id).lean();
+      if (!before) {
+        return res.status(404).json({ error: "Research not found" });
+      }
+
       const research = await Research.findByIdAndUpdate(
         req.params.id,
         update,
@@ -221,6 +239,8 @@ router.put(
         return res.status(404).json({ error: "Research not found" });
       }
 
+      await recordAudit(req, { action: "research.visibility", before, after: research });
+
       const { filePath, ...safe } = research;
       res.json({ message: "Visibility updated", research: safe });
     } catch (err) {
@@ -234,9 +254,11 @@ router.put(
    📝 Unified update (metadata + publishing + taxonomy)
    PUT /api/research-admin/:id
    Body (any subset):
-     - metadata: title, author, year, abstract, keywords, category, college, status
+     - metadata: title, author, year, abstract, keywords, category, college
      - publishing: visibility, embargoUntil, allowedViewers, landingPageUrl
      - taxonomy: categories, genreTags
+   status is not editable here: it follows the review workflow
+   (faculty review / publish actions)
 ========================================================= */
 router.put(
   "/:id",
@@ -278,10 +300,6 @@ router.put(
               .map((k) => k.trim())
               .filter(Boolean);
       }
-      if (status && ALLOWED_STATUS.includes(status)) {
-        update.status = status;
-      }
-
       // ----- taxonomy -----
       if (categories != null) {
         update.categories = Array.isArray(categories)
@@ -333,11 +351,19 @@ router.put(
         }
       }
 
+      const before = await Research.findById(req.params.id).lean();
+      if (!before) return res.status(404).json({ error: "Research not found" });
+      // forms may echo the current status back; only a change is refused
+      if (status != null && status !== before.status) {
+        return res.status(400).json({ error: "Status follows the review workflow; use the review or publish actions instead" });
+      }
+
       const doc = await Research.findByIdAndUpdate(req.params.id, update, {
         new: true, runValidators: true,
       }).lean();
 
       if (!doc) return res.status(404).json({ error: "Research not found" });
+      await recordAudit(req, { action: "research.update", before, after: doc });
       return res.json({ message: "Updated", research: sanitize(doc) });
     } catch (err) {
       console.error("❌ Update failed:", err);
@@ -359,7 +385,12 @@ router.delete(
       if (!doc) return res.status(404).json({ error: "Research not found" });
 
       await doc.deleteOne();
-      // (Optional) unlink physical file here with fs.unlinkSync if desired
+      await storage.release(allFileKeys(doc));
+      await deleteForResearch(doc._id);
+      await removeAiResults(doc._id);
+      removePreviews(doc._id);
+      removeStamped(doc._id);
+      await recordAudit(req, { action: "research.delete", before: doc });
       return res.json({ message: "Research deleted successfully" });
     } catch (err) {
       console.error("❌ Delete failed:", err);
@@ -378,6 +409,7 @@ router.delete(
      - year     : exact year
      - role     : uploaderRole filter (student/faculty/staff/admin)
      - college  : string
+     - ocr      : not_needed | queued | running | done | failed
      - sort     : latest (default) | year
      - page     : default 1
      - limit    : default 20 (max 100)
@@ -394,6 +426,7 @@ router.get(
         year,
         role,
         college,
+        ocr,
         sort = "latest",
         page = "1",
         limit = "20",
@@ -406,7 +439,7 @@ router.get(
 
       // Search
       if (search && String(search).trim()) {
-        const regex = new RegExp(String(search).trim(), "i");
+        const regex = new RegExp(escapeRegExp(String(search).trim().slice(0, 200)), "i");
         filter.$or = [
           { title: regex },
           { author: regex },
@@ -423,6 +456,7 @@ router.get(
       if (year && String(year).trim()) filter.year = String(year).trim();
       if (role && ALLOWED_ROLES.includes(role)) filter.uploaderRole = role;
       if (college && String(college).trim()) filter.college = String(college).trim();
+      if (ocr && ALLOWED_OCR.includes(ocr)) filter["ocr.status"] = ocr;
 
       const sortStage =
         sort === "year" ? { year: -1, updatedAt: -1 } : { updatedAt: -1 };
@@ -434,9 +468,10 @@ router.get(
           .limit(lim)
          .select(
   "title author coAuthors year abstract keywords category categories genreTags landingPageUrl " +
-  "fileName fileType uploaderRole status visibility embargoUntil allowedViewers college createdAt updatedAt"
+  "fileName fileType uploaderRole status visibility embargoUntil allowedViewers college createdAt updatedAt " +
+  "textExtraction.status ocr.status ocr.avgConfidence ocr.finishedAt ocr.error possibleDuplicates"
 )
-
+          .populate(DUPLICATE_POPULATE)
           .lean(),
         Research.countDocuments(filter),
       ]);
@@ -455,6 +490,7 @@ router.get(
           year: year || null,
           role: role || null,
           college: college || null,
+          ocr: ocr || null,
         },
       });
     } catch (err) {
@@ -473,9 +509,9 @@ router.get("/:id", authorize(["admin", "staff"]), async (req, res) => {
     const doc = await Research.findById(req.params.id)
       .select(
   "title author coAuthors year abstract keywords category categories genreTags landingPageUrl " +
-  "fileName fileType uploaderRole status visibility embargoUntil allowedViewers college createdAt updatedAt"
+  "fileName fileType uploaderRole status visibility embargoUntil allowedViewers college createdAt updatedAt possibleDuplicates"
 )
-
+      .populate(DUPLICATE_POPULATE)
       .lean();
 
     if (!doc) return res.status(404).json({ error: "Research not found" });
@@ -487,34 +523,100 @@ router.get("/:id", authorize(["admin", "staff"]), async (req, res) => {
   }
 });
 
+/* =========================================================
+   🖨️ OCR status (per-page confidence) / re-run
+   GET  /api/research-admin/:id/ocr
+   POST /api/research-admin/:id/ocr
+========================================================= */
+router.get("/:id/ocr", authorize(["admin", "staff"]), async (req, res) => {
+  try {
+    const doc = await Research.findById(req.params.id).select("title textExtraction ocr").lean();
+    if (!doc) return res.status(404).json({ error: "Research not found" });
+    return res.json({ _id: doc._id, title: doc.title, textExtraction: doc.textExtraction, ocr: doc.ocr });
+  } catch (err) {
+    console.error("❌ Fetch OCR status failed:", err);
+    return res.status(500).json({ error: "Failed to fetch OCR status" });
+  }
+});
 
-router.post("/import/:id", authorize(["staff", "admin"]), async (req, res) => {
+router.post("/:id/ocr", authorize(["admin", "staff"]), async (req, res) => {
   try {
-    const src = await Research.findById(req.params.id).lean();
-    if (!src || src.status !== "approved" || src.source !== "faculty-approved") {
-      return res.status(404).json({ error: "Source not importable" });
+    const doc = await Research.findById(req.params.id).select("title filePath storageKey fileName fileType rendition ocr");
+    const key = storage.fileKey(doc);
+    if (!doc || !key) return res.status(404).json({ error: "Research not found" });
+    if (["queued", "running"].includes(doc.ocr?.status)) {
+      return res.status(409).json({ error: "OCR already in progress" });
     }
 
-    // Resolve absolute path from src.filePath
-    let abs;
-    const p = src.filePath;
-    if (path.isAbsolute(p)) abs = p;
-    else if (String(p || "").startsWith("/uploads/"))
-      abs = path.resolve(path.join(__dirname, "..", `.${p}`));
-    else abs = path.resolve(path.join(__dirname, "..", p));
+    const pdf = pdfSource(doc);
+    if (!pdf) {
+      return res.status(409).json({
+        error: needsRendition(doc) ? "PDF rendition is not ready yet" : "OCR needs a PDF file",
+      });
+    }
+    if (!(await storage.exists(pdf.key))) {
+      return res.status(404).json({ error: "File missing from storage" });
+    }
+
+    await queueOcr({ researchId: doc._id, key, source: pdf.key });
+    await recordAudit(req, { action: "research.ocr", after: doc, fields: [] });
+    return res.status(202).json({ message: "OCR queued", ocr: { status: "queued" } });
+  } catch (err) {
+    console.error("❌ Queue OCR failed:", err);
+    return res.status(500).json({ error: "Failed to queue OCR" });
+  }
+});
 
-    if (!fs.existsSync(abs)) {
-      return res.status(404).json({ error: "Source file missing on disk" });
+/* =========================================================
+   🦠 Re-scan the current file (e.g. after a scanner outage)
+   POST /api/research-admin/:id/scan
+   → clean lifts the quarantine; infected/error keeps it
+========================================================= */
+router.post("/:id/scan", authorize(["admin", "staff"]), async (req, res) => {
+  try {
+    const doc = await Research.findById(req.params.id);
+    const key = storage.fileKey(doc);
+    if (!doc || !key) return res.status(404).json({ error: "Research not found" });
+    if (!(await storage.exists(key))) {
+      return res.status(404).json({ error: "File missing from storage" });
     }
 
-    // Copy to /uploads/research
-    const uploadsDir = path.resolve(path.join(__dirname, "..", "uploads", "research"));
-    if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir, { recursive: true });
+    const before = doc.toObject();
+    const { status, signature, engine, scannedAt } = await storage.withLocalFile(key, scanFile);
+    doc.scan = { status, signature, engine, scannedAt };
+    await doc.save();
+    if (!isQuarantined(doc)) queuePreviews(doc);
+
+    await recordAudit(req, { action: "research.scan", before, after: doc, fields: ["scan"] });
+    return res.json({ _id: doc._id, scan: doc.scan, quarantined: isQuarantined(doc) });
+  } catch (err) {
+    console.error("❌ Malware re-scan failed:", err);
+    return res.status(500).json({ error: "Failed to scan file" });
+  }
+});
+
+router.post("/import/:id", authorize(["staff", "admin"]), async (req, res) => {
+  try {
+    const srcDoc = await Research.findById(req.params.id);
+    if (!srcDoc || !isInPublishQueue(srcDoc)) {
+      return res.status(404).json({ error: "Source not importable" });
+    }
+    const src = srcDoc.toObject({ transform: false });
+
+    // DOC/DOCX submissions are published as their PDF rendition
+    const pdf = pdfSource(src);
+    if (!pdf) {
+      return res.status(409).json({
+        error: needsRendition(src) ? "PDF rendition of the source is not ready yet" : "Source has no PDF file",
+      });
+    }
+    if (isQuarantined(src)) {
+      return res.status(409).json({ error: "Source file is quarantined by the malware scanner" });
+    }
+    if (!(await storage.exists(pdf.key))) {
+      return res.status(404).json({ error: "Source file missing from storage" });
+    }
 
-    const ext = path.extname(src.fileName || "document.pdf") || ".pdf";
-    const newName = `${Date.now()}-${Math.round(Math.random() * 1e9)}${ext}`;
-    const newRel = `/uploads/research/${newName}`;
-    fs.copyFileSync(abs, path.join(uploadsDir, newName));
 
     const vis = ["public","campus","private","embargo"].includes(req.body.visibility)
       ? req.body.visibility
@@ -533,9 +635,12 @@ router.post("/import/:id", authorize(["staff", "admin"]), async (req, res) => {
       genreTags: src.genreTags || [],
       landingPageUrl: "",
 
-      fileName: src.fileName || "document.pdf",
-      filePath: newRel,
-      fileType: src.fileType || "application/pdf",
+      fileName: pdf.fileName,
+      storageKey: pdf.key, // same bytes → shared stored file
+      fileHash: pdf.fileHash,
+      fileSize: pdf.fileSize,
+      fileType: pdf.fileType,
+      scan: src.scan,
 
       uploadedBy: req.user.id,
       uploaderRole: "staff",
@@ -551,6 +656,12 @@ router.post("/import/:id", authorize(["staff", "admin"]), async (req, res) => {
       college: src.college || "",
     });
 
+    markPublished(srcDoc, req.user, `Imported as ${doc._id}`);
+    await srcDoc.save();
+    queueTextExtraction(doc);
+    queuePreviews(doc);
+
+    await recordAudit(req, { action: "research.import", after: doc, meta: { sourceId: String(src._id) } });
     res.status(201).json({ message: "Imported", research: sanitize(doc.toObject()) });
   } catch (err) {
     console.error("❌ Import failed:", err);
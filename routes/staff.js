@@ -1,6 +1,8 @@
 const express = require('express');
 const { authorize } = require('../middleware/authMiddleware');
 const Research = require('../models/Research');
+const { recordAudit } = require('../utils/audit');
+const { publishQueueFilter } = require('../utils/workflow');
 
 const router = express.Router();
 
@@ -9,7 +11,7 @@ const router = express.Router();
 ========================================================= */
 router.get('/approved', authorize(['staff', 'admin']), async (req, res) => {
   try {
-    const approved = await Research.find({ status: 'approved', source: 'faculty-approved' })
+    const approved = await Research.find(publishQueueFilter())
       .sort({ updatedAt: -1 })
       .select('title author adviser updatedAt fileName visibility embargoUntil');
     res.json(approved);
@@ -48,6 +50,7 @@ router.post('/upload', authorize(['staff', 'admin']), async (req, res) => {
     });
 
     await newResearch.save();
+    await recordAudit(req, { action: 'research.upload', after: newResearch });
     res.status(201).json({ message: '✅ Research uploaded successfully', research: newResearch });
   } catch (err) {
     console.error('❌ Upload failed:', err);
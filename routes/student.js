@@ -1,13 +1,26 @@
 // routes/student.js
 const express = require('express');
-const path = require('path');
-const fs = require('fs');
-const multer = require('multer');
 const nodemailer = require('nodemailer');
 const jwt = require('jsonwebtoken');
 
 const { authorize } = require('../middleware/authMiddleware');
 const Research = require('../models/Research');
+const { canView, canDownload, isOwner } = require('../utils/accessPolicy');
+const { beginRevision, commitRevision, allFileKeys } = require('../utils/revisions');
+const { recordAudit } = require('../utils/audit');
+const { startWorkflow, resubmit } = require('../utils/workflow');
+const { queueTextExtraction } = require('../utils/textExtraction');
+const { removePreviews } = require('../utils/previews');
+const { streamFile } = require('../utils/fileStream');
+const storage = require('../utils/storage');
+const { createUpload, inspectFile, stageBuffer } = require('../middleware/upload');
+const { flagDuplicates } = require('../utils/duplicates');
+const { isQuarantined } = require('../utils/scanner');
+const { originalSource, viewSource } = require('../utils/renditions');
+const { deliveryFor, removeStamped } = require('../utils/watermark');
+const { removeAiResults } = require('../utils/aiCache');
+const { recordView, recordDownload } = require('../utils/usage');
+const { threadsByResearch, listThreads, addComment, setResolved, deleteForResearch } = require('../utils/reviewComments');
 
 const router = express.Router();
 
@@ -24,21 +37,11 @@ function normalizeKeywords(input) {
 
 const FIVE_MIN_MS = 5 * 60 * 1000;
 
-// ✅ FIX 1: Use same directory structure as faculty
-const uploadDir = path.join(__dirname, '../uploads/research');
-if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, uploadDir),
-  filename: (req, file, cb) => {
-    const unique = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    cb(null, unique + path.extname(file.originalname));
-  },
-});
-
-const upload = multer({
-  storage,
-  limits: { fileSize: 50 * 1024 * 1024 }, // ✅ 50 MB
+// Staged in a temp dir; handed to utils/storage once the request is valid
+const ACCEPT = ['pdf', 'docx']; // content kinds checked by inspectFile
+const upload = createUpload({
+  maxBytes: 50 * 1024 * 1024, // ✅ 50 MB
+  accept: ACCEPT,
   fileFilter: (req, file, cb) => {
 
     const allowed = [
@@ -50,45 +53,6 @@ const upload = multer({
   },
 });
 
-// ✅ FIX 2: Use same path resolution as faculty
-function resolveAbsPathFromDB(storedPath) {
-  if (!storedPath) return null;
-  const p = String(storedPath).replace(/\\/g, '/');
-
-  if (path.isAbsolute(p)) {
-    if (fs.existsSync(p)) return p;
-  }
-
-  const candidates = [];
-  const trimmed = p.replace(/^\/+/, '');
-  candidates.push(path.resolve(path.join(__dirname, '..', trimmed)));
-  candidates.push(path.resolve(path.join(__dirname, '..', 'uploads', 'research', path.basename(p))));
-  candidates.push(path.resolve(path.join(process.cwd(), trimmed)));
-
-  for (const abs of candidates) {
-    if (fs.existsSync(abs)) return abs;
-  }
-  return candidates[0];
-}
-
-const canReadItem = (user, item) => {
-  if (item.visibility === 'public') return true;
-  if (item.visibility === 'embargo') {
-    if (item.embargoUntil && new Date() >= new Date(item.embargoUntil)) return true;
-    return false;
-  }
-  if (item.visibility === 'campus') {
-    return user?.affiliation === 'MSU-IIT';
-  }
-  return (
-    user?.role === 'admin' ||
-    String(user?.id) === String(item.uploadedBy) ||
-    (item.college && user?.college && item.college === user.college) ||
-    (Array.isArray(item.allowedViewers) &&
-      item.allowedViewers.includes((user?.email || '').toLowerCase()))
-  );
-};
-
 let transporter;
 try {
   transporter = nodemailer.createTransport({
@@ -227,79 +191,50 @@ router.get(
       if (!research) {
         return res.status(404).json({ error: 'Research not found' });
       }
-      if (!research.filePath) {
-        return res.status(404).json({ error: 'File not found (no filePath on record)' });
+      // DOC/DOCX are viewed as their PDF rendition once it exists
+      const file = viewSource(research) || originalSource(research);
+      const key = file?.key;
+      if (!key) {
+        return res.status(404).json({ error: 'File not found (no file on record)' });
       }
 
       /* ---------- Permission checks ---------- */
-      const email = String(req.user.email || '').toLowerCase();
-      const role = req.user.role;
-      const isStudent = email === String(research.student || '').toLowerCase();
-      const isAuthor = email === String(research.author || '').toLowerCase();
-      const isAdviser = email === String(research.adviser || '').toLowerCase();
-      const isAdmin = role === 'admin';
-      const isFaculty = role === 'faculty';
-      const isApproved = research.status === 'approved';
-      const isMSUIIT =
-        email.endsWith('@g.msuiit.edu.ph') || email.endsWith('@msuiit.edu.ph');
-
-      const canAccess =
-        isStudent ||
-        isAuthor ||
-        isAdviser ||
-        isAdmin ||
-        (isFaculty && isApproved) ||
-        (isApproved &&
-          (research.visibility === 'public' ||
-            (research.visibility === 'campus' && isMSUIIT)));
-
-      if (!canAccess) {
-        console.warn('❌ Access denied:', { user: email, researchId: research._id });
+      if (!canView(research, req.user)) {
+        console.warn('❌ Access denied:', { user: req.user.email, researchId: research._id });
         return res.status(403).json({ error: 'Not authorized to view this file' });
       }
+      if (isQuarantined(research)) {
+        return res.status(403).json({ error: 'File is quarantined by the malware scanner', quarantined: true });
+      }
 
-      /* ---------- Resolve file path ---------- */
-      const absPath = resolveAbsPathFromDB(research.filePath);
-      if (!absPath || !fs.existsSync(absPath)) {
-        console.error('❌ File missing on disk:', {
-          id: research._id,
-          storedPath: research.filePath,
-          resolvedPath: absPath,
-        });
+      /* ---------- Check the stored file ---------- */
+      const stats = await storage.stat(key);
+      if (!stats) {
+        console.error('❌ File missing from storage:', { id: research._id, key });
         return res.status(404).json({ error: 'File not found on server' });
       }
 
-      const stats = fs.statSync(absPath);
       if (stats.size === 0) {
         console.error('❌ File is empty (0 bytes)');
         return res.status(500).json({ error: 'File is empty' });
       }
 
-      console.log('✅ Serving file:', {
-        id: research._id,
-        size: `${(stats.size / 1024).toFixed(2)} KB`,
-        type: research.fileType || 'application/pdf',
-        path: absPath,
-      });
-
-      /* ---------- Stream safely ---------- */
-      res.setHeader('Content-Type', research.fileType || 'application/pdf');
-      res.setHeader(
-        'Content-Disposition',
-        `inline; filename="${encodeURIComponent(
-          research.fileName || 'document.pdf'
-        )}"`
-      );
-
-      // Important: flush headers before piping
-      res.flushHeaders();
+      /* ---------- ?download=1 → attachment (separate permission) ---------- */
+      const download = req.query.download === '1';
+      if (download) {
+        if (!canDownload(research, req.user)) {
+          return res.status(403).json({ error: 'Downloads are disabled for this item' });
+        }
+        recordDownload(req, research, 'student.file');
+      } else {
+        recordView(req, research, 'student.file');
+      }
 
-      const stream = fs.createReadStream(absPath);
-      stream.on('error', (err) => {
-        console.error('❌ Stream error:', err);
-        if (!res.headersSent) res.status(500).end('Stream error');
+      /* ---------- Stream (stamped per viewer if the visibility policy says so) ---------- */
+      await streamFile(req, res, {
+        ...(await deliveryFor(req, research, file)),
+        disposition: download ? 'attachment' : 'inline',
       });
-      stream.pipe(res);
     } catch (err) {
       console.error('❌ File retrieval error:', err);
       if (!res.headersSent)
@@ -319,11 +254,17 @@ router.put('/revise/:id', authorize(['student']), upload.single('file'), async (
     if (!research) return res.status(404).json({ error: 'Research not found or not owned by this student' });
 
     const elapsedMs = Date.now() - new Date(research.createdAt).getTime();
-    if (elapsedMs > FIVE_MIN_MS) {
+    const revisionRequested = research.workflow?.state === 'revision_requested';
+    if (elapsedMs > FIVE_MIN_MS && !revisionRequested) {
       return res.status(403).json({ error: 'You can only revise within 5 minutes after upload.' });
     }
 
-    const { title, abstract, adviser, submissionType, keywords, authors } = req.body;
+    const { title, abstract, adviser, submissionType, keywords, authors, note } = req.body;
+
+    const before = research.toObject({ transform: false });
+
+    // keep the previous file + metadata as a version instead of overwriting it
+    beginRevision(research);
 
     if (typeof title === 'string' && title.trim()) research.title = title;
     if (typeof abstract !== 'undefined') research.abstract = abstract;
@@ -349,20 +290,32 @@ router.put('/revise/:id', authorize(['student']), upload.single('file'), async (
     }
 
     if (req.file && req.file.path) {
-      if (research.filePath && fs.existsSync(research.filePath)) {
-        try { fs.unlinkSync(research.filePath); } catch {}
-      }
-      research.filePath = req.file.path;
-      research.fileName = req.file.originalname;
-      research.fileType = req.file.mimetype;
+      storage.setFile(research, await storage.saveUpload(req.file), {
+        fileName: req.file.originalname,
+        fileType: req.file.mimetype,
+        scan: req.file.scan,
+      });
     }
 
-    research.status = 'pending';
+    commitRevision(research, req.user, note || (req.file ? 'Revised file' : 'Revised metadata'));
+    if (revisionRequested) {
+      // back into review at the same stage
+      resubmit(research, req.user);
+    } else {
+      research.status = 'pending';
+    }
     await research.save();
+    if (req.file) {
+      queueTextExtraction(research);
+      await flagDuplicates(research);
+    }
+    await recordAudit(req, { action: 'research.revise', before, after: research });
 
-    await cancelFinalEmail(String(research._id));
-    const remaining = Math.max(0, FIVE_MIN_MS - elapsedMs);
-    await queueFinalEmail(String(research._id), remaining);
+    if (elapsedMs <= FIVE_MIN_MS) {
+      await cancelFinalEmail(String(research._id));
+      const remaining = Math.max(0, FIVE_MIN_MS - elapsedMs);
+      await queueFinalEmail(String(research._id), remaining);
+    }
 
     res.json({ message: 'Revision uploaded successfully', research });
   } catch (err) {
@@ -389,10 +342,13 @@ router.delete('/delete/:id', authorize(['student']), async (req, res) => {
 
     await cancelFinalEmail(String(research._id));
 
-    if (research.filePath && fs.existsSync(research.filePath)) {
-      try { fs.unlinkSync(research.filePath); } catch {}
-    }
     await research.deleteOne();
+    await storage.release(allFileKeys(research));
+    await deleteForResearch(research._id);
+    await removeAiResults(research._id);
+    removePreviews(research._id);
+    removeStamped(research._id);
+    await recordAudit(req, { action: 'research.delete', before: research });
 
     res.json({ message: 'Research deleted successfully' });
   } catch (err) {
@@ -407,15 +363,17 @@ router.delete('/delete/:id', authorize(['student']), async (req, res) => {
 router.get('/file/download/:id', authorize(['student']), async (req, res) => {
   try {
     const research = await Research.findById(req.params.id).lean();
-    if (!research || !research.filePath) return res.status(404).json({ error: 'File not found' });
-    if (!canReadItem(req.user, research)) return res.status(403).json({ error: 'Forbidden' });
-
-    const absPath = resolveAbsPathFromDB(research.filePath);
-    if (!absPath || !fs.existsSync(absPath)) {
-      return res.status(404).json({ error: 'File not found on server' });
-    }
-
-    res.download(absPath, research.fileName || 'file');
+    if (!research || !storage.fileKey(research)) return res.status(404).json({ error: 'File not found' });
+    if (!canView(research, req.user)) return res.status(403).json({ error: 'Forbidden' });
+    if (isQuarantined(research)) return res.status(403).json({ error: 'File is quarantined by the malware scanner', quarantined: true });
+    if (!canDownload(research, req.user)) return res.status(403).json({ error: 'Downloads are disabled for this item' });
+    recordDownload(req, research, 'student.download');
+
+    // owners get their upload as-is; everyone else the (stamped) PDF when there is one
+    const file = isOwner(research, req.user)
+      ? originalSource(research)
+      : viewSource(research) || originalSource(research);
+    await streamFile(req, res, { ...(await deliveryFor(req, research, file)), disposition: 'attachment' });
   } catch (err) {
     console.error('❌ File download error:', err);
     res.status(500).json({ error: 'Failed to download file' });
@@ -440,7 +398,7 @@ router.post(
       }
       if (err) {
         console.error('❌ Upload error:', err);
-        return res.status(400).json({ error: err.message });
+        return res.status(err.status || 400).json({ error: err.message });
       }
       next();
     });
@@ -463,7 +421,7 @@ router.post(
       } = req.body;
 
       if (!title || !abstract) {
-        return res.status(400).json({ error: 'Title and abstract are required.' });
+          return res.status(400).json({ error: 'Title and abstract are required.' });
       }
 
       const vis = ['public', 'campus', 'private', 'embargo'].includes(visibility) 
@@ -487,26 +445,31 @@ router.post(
 
       // FormData upload
       if (req.file && req.file.path) {
+        const stored = await storage.saveUpload(req.file);
         console.log('📤 FormData upload:', {
-          path: req.file.path,
+          key: stored.storageKey,
+          deduplicated: stored.deduplicated,
           size: `${(req.file.size / 1024).toFixed(2)} KB`,
-          exists: fs.existsSync(req.file.path)
         });
 
-        const newResearch = await Research.create({
+        const newResearch = new Research({
           title,
           abstract,
           adviser: adviser || '',
           author: req.user.email,
           student: req.user.email,
           coAuthors,
-          filePath: req.file.path, // Already absolute
+          storageKey: stored.storageKey,
+          fileHash: stored.fileHash,
+          fileSize: stored.fileSize,
           fileName: req.file.originalname,
           fileType: req.file.mimetype,
+          scan: req.file.scan,
           status: 'pending',
           submissionType: subType,
           visibility: vis,
           embargoUntil: emb,
+          allowDownload: String(req.body.allowDownload) !== 'false',
           college: college || '',
           year: year || '',
           keywords: parsedKeywords,
@@ -515,7 +478,12 @@ router.post(
           uploadedBy: req.user.id,
           source: 'student-upload',
         });
+        startWorkflow(newResearch);
+        await newResearch.save();
+        queueTextExtraction(newResearch);
+        await flagDuplicates(newResearch);
 
+        await recordAudit(req, { action: 'research.create', after: newResearch });
         await sendImmediateReceipt(newResearch);
         await queueFinalEmail(String(newResearch._id), FIVE_MIN_MS);
 
@@ -552,30 +520,39 @@ if (buffer.length > MAX_FILE_SIZE) {
         }
 
         const uniqueName = `${Date.now()}-${Math.round(Math.random() * 1e9)}${ext}`;
-        const fullPath = path.join(uploadDir, uniqueName); // Uses uploads/research
-
-        fs.writeFileSync(fullPath, buffer);
+        // staged as req.file so it gets the same content checks + scan (and temp cleanup)
+        req.file = { fieldname: 'file', originalname: uniqueName, mimetype: mimeType, size: buffer.length, path: await stageBuffer(buffer, ext) };
+        try {
+          await inspectFile(req, req.file, { accept: ACCEPT });
+        } catch (e) {
+          return res.status(e.status || 400).json({ error: e.message });
+        }
+        const stored = await storage.saveUpload(req.file);
 
         console.log('📤 Base64 upload:', {
-          path: fullPath,
+          key: stored.storageKey,
+          deduplicated: stored.deduplicated,
           size: `${(buffer.length / 1024).toFixed(2)} KB`,
-          exists: fs.existsSync(fullPath)
         });
 
-        const newResearch = await Research.create({
+        const newResearch = new Research({
           title,
           abstract,
           adviser: adviser || '',
           author: req.user.email,
           student: req.user.email,
           coAuthors,
-          filePath: fullPath, // Absolute path
+          storageKey: stored.storageKey,
+          fileHash: stored.fileHash,
+          fileSize: stored.fileSize,
           fileName: uniqueName,
-          fileType: mimeType,
+          fileType: req.file.mimetype,
+          scan: req.file.scan,
           status: 'pending',
           submissionType: subType,
           visibility: vis,
           embargoUntil: emb,
+          allowDownload: String(req.body.allowDownload) !== 'false',
           college: college || '',
           year: year || '',
           keywords: parsedKeywords,
@@ -584,7 +561,12 @@ if (buffer.length > MAX_FILE_SIZE) {
           uploadedBy: req.user.id,
           source: 'student-upload',
         });
+        startWorkflow(newResearch);
+        await newResearch.save();
+        queueTextExtraction(newResearch);
+        await flagDuplicates(newResearch);
 
+        await recordAudit(req, { action: 'research.create', after: newResearch });
         await sendImmediateReceipt(newResearch);
         await queueFinalEmail(String(newResearch._id), FIVE_MIN_MS);
 
@@ -611,15 +593,82 @@ router.get('/my-research', authorize(['student']), async (req, res) => {
     const myResearch = await Research.find({ student: req.user.email })
       .sort({ createdAt: -1 })
       .select(
-        'title abstract adviser author coAuthors student status submissionType facultyComment fileName fileType createdAt visibility embargoUntil year keywords category college'
-      );
-    res.json(myResearch);
+        'title abstract adviser author coAuthors student status submissionType facultyComment workflow version fileName fileType createdAt visibility embargoUntil year keywords category college'
+      )
+      .lean();
+
+    const threads = await threadsByResearch(myResearch.map(r => r._id));
+    res.json(myResearch.map(r => {
+      const comments = threads[String(r._id)] || [];
+      return { ...r, comments, unresolvedComments: comments.filter(c => !c.resolved).length };
+    }));
   } catch (err) {
     console.error('❌ Fetch my research failed:', err);
     res.status(500).json({ error: 'Failed to fetch student research' });
   }
 });
 
+/* =========================================================
+   💬 Reviewer comments on the student's own submissions
+   GET   /api/student/research/:id/comments
+   POST  /api/student/research/:id/comments            { body, parentId?, page? }
+   PATCH /api/student/research/:id/comments/:commentId { resolved }
+========================================================= */
+const loadOwnResearch = async (req, res) => {
+  const research = await Research.findById(req.params.id)
+    .select('title adviser student author version workflow');
+  if (!research) {
+    res.status(404).json({ error: 'Research not found' });
+    return null;
+  }
+  if (research.student !== req.user.email) {
+    res.status(403).json({ error: 'Not authorized to view comments on this research' });
+    return null;
+  }
+  return research;
+};
+
+router.get('/research/:id/comments', authorize(['student']), async (req, res) => {
+  try {
+    const research = await loadOwnResearch(req, res);
+    if (!research) return;
+    res.json({ version: research.version || 1, threads: await listThreads(research._id) });
+  } catch (err) {
+    console.error('❌ Fetch comments failed:', err);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+});
+
+router.post('/research/:id/comments', authorize(['student']), async (req, res) => {
+  try {
+    const research = await loadOwnResearch(req, res);
+    if (!research) return;
+
+    const result = await addComment(research, req.user, req.body || {});
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.status(201).json(result.comment);
+  } catch (err) {
+    console.error('❌ Add comment failed:', err);
+    res.status(500).json({ error: 'Failed to add comment' });
+  }
+});
+
+router.patch('/research/:id/comments/:commentId', authorize(['student']), async (req, res) => {
+  try {
+    const research = await loadOwnResearch(req, res);
+    if (!research) return;
+
+    const result = await setResolved(research, req.params.commentId, req.user, req.body?.resolved !== false);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json(result.comment);
+  } catch (err) {
+    console.error('❌ Update comment failed:', err);
+    res.status(500).json({ error: 'Failed to update comment' });
+  }
+});
+
 /* =========================================================
    GET /api/student/research (proxy to main research route)
 ========================================================= */
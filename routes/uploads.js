@@ -0,0 +1,86 @@
+// routes/uploads.js
+const express = require("express");
+const { authorize } = require("../middleware/authMiddleware");
+const {
+  createSession,
+  getSession,
+  appendChunk,
+  abortSession,
+} = require("../utils/resumableUploads");
+
+const router = express.Router();
+
+const ANY_ROLE = ["student", "faculty", "staff", "admin"];
+const CHUNK_TYPES = ["application/offset+octet-stream", "application/octet-stream"];
+
+/* =========================================================
+   📦 Resumable uploads
+   POST   /api/uploads        { fileName, fileType, size } → 201 session
+   GET    /api/uploads/:id    → session (offset = bytes received)
+   PATCH  /api/uploads/:id    raw chunk, header Upload-Offset
+                              → session, or 409 + Upload-Offset to resume from
+   DELETE /api/uploads/:id    → abort
+   Finished uploads are attached by sending `uploadId` to
+   POST /api/student/upload, PUT /api/student/revise/:id,
+   POST|PUT /api/faculty/my-research, POST /api/research/upload
+   and POST /api/research-admin/upload.
+========================================================= */
+
+function send(res, result, okStatus = 200) {
+  if (result.offset != null) res.set("Upload-Offset", String(result.offset));
+  if (result.error) {
+    return res.status(result.status || 400).json({ error: result.error, offset: result.offset });
+  }
+  res.set("Upload-Offset", String(result.session.offset));
+  return res.status(okStatus).json(result.session);
+}
+
+router.post("/", authorize(ANY_ROLE), async (req, res) => {
+  try {
+    send(res, await createSession(req.user, req.body || {}), 201);
+  } catch (err) {
+    console.error("❌ Create upload failed:", err);
+    res.status(500).json({ error: "Failed to start upload" });
+  }
+});
+
+router.get("/:id", authorize(ANY_ROLE), async (req, res) => {
+  try {
+    res.set("Cache-Control", "no-store");
+    send(res, await getSession(req.params.id, req.user));
+  } catch (err) {
+    console.error("❌ Fetch upload failed:", err);
+    res.status(500).json({ error: "Failed to fetch upload" });
+  }
+});
+
+router.patch("/:id", authorize(ANY_ROLE), async (req, res) => {
+  try {
+    const type = String(req.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+    if (!CHUNK_TYPES.includes(type)) {
+      return res.status(415).json({ error: "Send chunks as application/offset+octet-stream" });
+    }
+    const offset = req.headers["upload-offset"];
+    if (offset == null || !/^\d+$/.test(String(offset))) {
+      return res.status(400).json({ error: "Upload-Offset header is required" });
+    }
+
+    send(res, await appendChunk(req.params.id, req.user, req, Number(offset)));
+  } catch (err) {
+    console.error("❌ Upload chunk failed:", err);
+    if (!res.headersSent) res.status(500).json({ error: "Failed to write chunk" });
+  }
+});
+
+router.delete("/:id", authorize(ANY_ROLE), async (req, res) => {
+  try {
+    const result = await abortSession(req.params.id, req.user);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ message: "Upload aborted" });
+  } catch (err) {
+    console.error("❌ Abort upload failed:", err);
+    res.status(500).json({ error: "Failed to abort upload" });
+  }
+});
+
+module.exports = router;
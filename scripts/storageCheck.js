@@ -0,0 +1,61 @@
+// scripts/storageCheck.js
+/* =========================================================
+   🧹 Storage integrity check / migration (CLI)
+   node scripts/storageCheck.js [--dry-run] [--migrate-to=local|s3|gridfs]
+                                [--delete-source] [--json]
+   --dry-run        report only, change nothing
+   --migrate-to     copy every file into that backend
+   --delete-source  remove the old copies after migrating
+   --json           print the full report as JSON
+   Exit code 1 when files are missing or errors occurred.
+========================================================= */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { runStorageCheck } = require("../utils/storageIntegrity");
+
+function parseArgs(argv) {
+  const opts = { dryRun: false, migrateTo: undefined, deleteSource: false, json: false };
+  for (const arg of argv) {
+    if (arg === "--dry-run") opts.dryRun = true;
+    else if (arg === "--delete-source") opts.deleteSource = true;
+    else if (arg === "--json") opts.json = true;
+    else if (arg.startsWith("--migrate-to=")) opts.migrateTo = arg.split("=")[1];
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  return opts;
+}
+
+function printList(label, items, fmt) {
+  if (!items.length) return;
+  console.log(`\n${label} (${items.length}):`);
+  for (const item of items) console.log(`  - ${fmt(item)}`);
+}
+
+async function main() {
+  const { json, ...opts } = parseArgs(process.argv.slice(2));
+
+  mongoose.set("strictQuery", true);
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const report = await runStorageCheck({ ...opts, log: json ? () => {} : console.log });
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    const at = (e) => `${e.id}${e.version != null ? ` v${e.version}` : ""}`;
+    printList("Normalized", report.normalized, (e) => `${at(e)}: ${e.from} → ${e.to}`);
+    printList("Missing", report.missing, (e) => `${at(e)}: ${e.key}`);
+    printList("Zero-byte", report.zeroByte, (e) => `${at(e)}: ${e.key}`);
+    printList("Migrated", report.migrated, (e) => `${at(e)}: ${e.from} → ${e.to}`);
+    printList("Orphans", report.orphans, (k) => k);
+    printList("Errors", report.errors, (e) => `${e.id ? at(e) : e.key || e.driver}: ${e.error}`);
+  }
+
+  await mongoose.disconnect();
+  process.exitCode = report.missing.length || report.errors.length ? 1 : 0;
+}
+
+main().catch((err) => {
+  console.error("❌ Storage check failed:", err.message);
+  process.exit(1);
+});
@@ -9,6 +9,7 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
+const { ensureTextIndex } = require('./utils/search');
 
 // ================================
 // App Init
@@ -65,8 +66,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  exposedHeaders: ['Content-Disposition'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Upload-Offset'],
+  exposedHeaders: ['Content-Disposition', 'Upload-Offset'],
 };
 
 app.use(cors(corsOptions));
@@ -93,9 +94,10 @@ mongoose.set('strictQuery', true);
 
 mongoose
   .connect(process.env.MONGO_URI)
-  .then(() =>
-    console.log('✅ MongoDB connected (Atlas → repositoryDB)')
-  )
+  .then(() => {
+    console.log('✅ MongoDB connected (Atlas → repositoryDB)');
+    ensureTextIndex(require('./models/Research'));
+  })
   .catch(err => {
     console.error('❌ MongoDB connection failed:', err.message);
     process.exit(1);
@@ -113,6 +115,8 @@ app.use('/api/staff', require('./routes/staff'));
 app.use('/api/repository', require('./routes/repositoryRoutes'));
 app.use('/api/ai', require('./routes/aiRoutes'));
 app.use('/api/research-admin', require('./routes/researchAdmin'));
+app.use('/api/uploads', require('./routes/uploads'));
+app.use('/api/analytics', require('./routes/analytics'));
 
 // ================================
 // Health Check (Railway monitoring)
@@ -151,6 +155,11 @@ app.use((err, _req, res, _next) => {
     return res.status(400).json({ error: err.message });
   }
 
+  // e.g. resumable upload problems (utils/resumableUploads.js)
+  if (err.status && err.status < 500) {
+    return res.status(err.status).json({ error: err.message });
+  }
+
   console.error('❌ Unhandled error:', err);
   res.status(500).json({ error: 'Internal server error' });
 });
@@ -0,0 +1,155 @@
+// utils/accessPolicy.js
+const { isMsuiitG } = require("../middleware/authMiddleware");
+const { escapeRegExp } = require("./search");
+
+/* =========================================================
+   🔒 Single source of truth for "who may see a research item"
+
+   Rules (same for boolean checks and Mongo listing filters):
+     1. staff/admin → everything
+     2. owner (student/author email or uploader) or adviser → their item,
+        whatever its status
+     3. everyone else → approved items only, by visibility:
+          public   → any authenticated user
+          campus   → MSU-IIT accounts
+          embargo  → nobody until embargoUntil, then public
+          private  → emails listed in allowedViewers
+     4. saving a copy (download) additionally needs allowDownload !== false,
+        unless rule 1 or 2 applies
+========================================================= */
+
+const STAFF_ROLES = ["staff", "admin"];
+
+// Fields a lean()/select() query must include for canView() to decide.
+const POLICY_FIELDS =
+  "status visibility embargoUntil allowedViewers allowDownload student author adviser uploadedBy";
+
+const lower = (v) => String(v || "").trim().toLowerCase();
+
+function viewerOf(user) {
+  const email = lower(user?.email);
+  return {
+    email,
+    id: String(user?.id || ""),
+    role: lower(user?.role),
+    isCampus: !!user?.isCampus || isMsuiitG(email),
+  };
+}
+
+/** Owner, uploader, adviser or staff/admin — may see the item in any state. */
+function hasPrivilegedAccess(r, user) {
+  if (!r) return false;
+  const v = viewerOf(user);
+
+  if (STAFF_ROLES.includes(v.role)) return true;
+  if (!v.email && !v.id) return false;
+
+  const isOwnerEmail = !!v.email && [lower(r.student), lower(r.author)].includes(v.email);
+  const isUploader = !!v.id && String(r.uploadedBy || "") === v.id;
+  const isAdviser = !!v.email && lower(r.adviser) === v.email;
+
+  return isOwnerEmail || isUploader || isAdviser;
+}
+
+/** Author/student email or uploader — the people a file belongs to (no staff/adviser shortcut). */
+function isOwner(r, user) {
+  if (!r) return false;
+  const v = viewerOf(user);
+  const isOwnerEmail = !!v.email && [lower(r.student), lower(r.author)].includes(v.email);
+  const isUploader = !!v.id && String(r.uploadedBy || "") === v.id;
+  return isOwnerEmail || isUploader;
+}
+
+// stored emails may carry stray case/whitespace; the checks above lowercase and trim them
+const emailMatch = (email) => new RegExp(`^\\s*${escapeRegExp(email)}\\s*$`, "i");
+
+/** Mongo filter equivalent to isOwner(), e.g. for "my items" listings. */
+function ownerFilter(user) {
+  const v = viewerOf(user);
+  const ors = [];
+  if (v.email) ors.push({ student: emailMatch(v.email) }, { author: emailMatch(v.email) });
+  if (/^[a-f0-9]{24}$/i.test(v.id)) ors.push({ uploadedBy: v.id });
+  return ors.length ? { $or: ors } : { _id: null };
+}
+
+/** Visibility-only decision for an approved item (no ownership shortcuts). */
+function visibilityAllows(r, user, now = new Date()) {
+  const v = viewerOf(user);
+  const vis = lower(r.visibility) || "campus";
+
+  if (vis === "public") return true;
+  if (vis === "campus") return v.isCampus;
+  if (vis === "embargo") {
+    return !!r.embargoUntil && new Date(r.embargoUntil) <= now;
+  }
+  if (vis === "private") {
+    const allow = Array.isArray(r.allowedViewers) ? r.allowedViewers.map(lower) : [];
+    return !!v.email && allow.includes(v.email);
+  }
+
+  // unknown value → treat like campus
+  return v.isCampus;
+}
+
+/** Boolean gate for a single Research document (lean or hydrated). */
+function canView(r, user) {
+  if (!r) return false;
+  if (hasPrivilegedAccess(r, user)) return true;
+  if (r.status !== "approved") return false;
+  return visibilityAllows(r, user);
+}
+
+/**
+ * May the viewer save the file (Content-Disposition: attachment)?
+ * Needs canView(); records with allowDownload=false are inline-only
+ * except for owners, advisers and staff.
+ */
+function canDownload(r, user) {
+  if (!canView(r, user)) return false;
+  return r.allowDownload !== false || hasPrivilegedAccess(r, user);
+}
+
+/**
+ * Mongo filter equivalent to canView(), for listings.
+ * `extra` is AND-ed on top (e.g. { status: "approved" } for the catalogue).
+ * Like canView(): emails match trimmed and case-insensitively, and a
+ * missing or unknown visibility counts as campus.
+ */
+function buildAllowedFilter(user, extra = {}) {
+  const v = viewerOf(user);
+  const hasExtra = extra && Object.keys(extra).length > 0;
+
+  if (STAFF_ROLES.includes(v.role)) {
+    return hasExtra ? { ...extra } : {};
+  }
+
+  const now = new Date();
+  const email = v.email ? emailMatch(v.email) : null;
+
+  const visibilityOrs = [
+    { visibility: "public" },
+    { visibility: "embargo", embargoUntil: { $ne: null, $lte: now } },
+  ];
+  if (email) visibilityOrs.push({ visibility: "private", allowedViewers: email });
+  if (v.isCampus) visibilityOrs.push({ visibility: { $nin: ["public", "embargo", "private"] } });
+
+  const ors = [{ status: "approved", $or: visibilityOrs }];
+  if (email) {
+    ors.push({ student: email }, { author: email }, { adviser: email });
+  }
+  if (/^[a-f0-9]{24}$/i.test(v.id)) ors.push({ uploadedBy: v.id });
+
+  const access = { $or: ors };
+  return hasExtra ? { $and: [access, extra] } : access;
+}
+
+module.exports = {
+  POLICY_FIELDS,
+  canView,
+  canDownload,
+  hasPrivilegedAccess,
+  isOwner,
+  ownerFilter,
+  visibilityAllows,
+  buildAllowedFilter,
+};
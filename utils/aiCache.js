@@ -0,0 +1,168 @@
+// utils/aiCache.js
+const crypto = require("crypto");
+const AiResult = require("../models/AiResult");
+const { fileKey } = require("./storage");
+const { TASKS, taskConfig } = require("./llm");
+const { getMode } = require("./aiModes");
+
+/* =========================================================
+   🧠 AI result cache
+   /api/ai output for a repository paper is stored per
+   (researchId, file hash, mode, model version) and served
+   straight from Mongo until the file changes (new hash) or the
+   analyzer/model config changes (new modelVersion). Staff/admin
+   can force a regeneration with ?refresh=1 (or body.refresh).
+   Only requests about a record are cached — uploaded files are
+   always processed fresh. Extra inputs (abstract, meta, text)
+   are part of the key through inputHash.
+========================================================= */
+
+// bump when an analyzer's output format or logic changes
+const ANALYZER_VERSION = "1";
+const STAFF_ROLES = ["staff", "admin"];
+
+const sha1 = (v) => crypto.createHash("sha1").update(String(v)).digest("hex");
+
+/** Identity of the file a result was computed from. */
+function fileIdentity(doc) {
+  if (doc?.fileHash) return doc.fileHash;
+  const key = fileKey(doc);
+  return key ? `key:${key}` : ""; // older records hashed later by the storage check
+}
+
+/**
+ * Analyzer version + the model config behind a mode (heuristic-only
+ * modes: analyzer version). "tools:<name>" modes are the abstract-tools
+ * analyzers (utils/aiModes), which carry their own version and task.
+ */
+function modelVersion(mode) {
+  const [scope, name] = mode.includes(":") ? mode.split(":") : ["", mode];
+  const analyzer = scope === "tools" ? getMode(name) : null;
+  const task = analyzer ? analyzer.task : name;
+
+  let cfg = "heuristic";
+  if (TASKS.includes(task)) {
+    const t = taskConfig(task);
+    cfg = JSON.stringify([t.chain, t.instruction, t.minLength, t.maxLength, t.temperature]);
+  }
+  const version = analyzer ? `${ANALYZER_VERSION}.${analyzer.version}` : ANALYZER_VERSION;
+  return `${version}-${sha1(cfg).slice(0, 12)}`;
+}
+
+function inputHash(inputs = {}) {
+  const present = Object.entries(inputs).filter(([, v]) => v != null && v !== "" && !(typeof v === "object" && !Object.keys(v).length));
+  return present.length ? sha1(JSON.stringify(present)) : "";
+}
+
+const wantsRefresh = (req) =>
+  STAFF_ROLES.includes(req.user?.role) &&
+  (req.query.refresh === "1" || req.body?.refresh === true || req.body?.refresh === "true");
+
+/**
+ * Cache key of a request after checkSource (req.aiSource), or null
+ * when it is not cacheable (no record, uploaded file, no mode).
+ */
+function cacheKey(req, mode, inputs = {}) {
+  const src = req.aiSource || {};
+  mode = String(mode || "");
+  if (!src.researchId || !src.fileHash || !mode || req.file) return null;
+  return {
+    research: String(src.researchId),
+    fileHash: src.fileHash,
+    mode,
+    modelVersion: modelVersion(mode),
+    inputHash: inputHash(inputs),
+  };
+}
+
+/** Cached response body ({ ...output, cached: true }) or null. Never throws. */
+async function readCache(key) {
+  try {
+    const hit = await AiResult.findOneAndUpdate(
+      key,
+      { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } },
+      { new: true }
+    ).lean();
+    return hit ? { ...hit.output, cached: true, generatedAt: hit.updatedAt } : null;
+  } catch (err) {
+    console.error("❌ AI cache lookup failed:", err.message);
+    return null;
+  }
+}
+
+const cacheable = (status, body) =>
+  status < 400 && body && typeof body === "object" && body.ok !== false && !body.error;
+
+/** Stores a successful response body; returns the body as sent ({ …, cached: false }). */
+function writeCache(key, status, body, email = "") {
+  if (!key || !cacheable(status, body)) return body;
+  AiResult.findOneAndUpdate(
+    key,
+    { $set: { output: body, model: String(body.model || ""), generatedBy: email, hits: 0, lastHitAt: null } },
+    { upsert: true }
+  )
+    // results for files this record no longer has are dead weight
+    .then(() => AiResult.deleteMany({ research: key.research, mode: key.mode, fileHash: { $ne: key.fileHash } }))
+    .catch((err) => console.error("❌ AI cache store failed:", err.message));
+  return { ...body, cached: false, generatedAt: new Date() };
+}
+
+/**
+ * Middleware for /api/ai routes, after checkSource.
+ *   modeOf(req)    → mode name
+ *   inputsOf(req)  → extra inputs that change the output
+ * Cache hits answer right away; otherwise the route runs and
+ * its successful JSON is stored.
+ */
+function aiCache(modeOf, inputsOf = () => ({})) {
+  return async (req, res, next) => {
+    const key = cacheKey(req, modeOf(req), inputsOf(req));
+    if (!key) return next();
+
+    const refresh = wantsRefresh(req);
+    const hit = refresh ? null : await readCache(key);
+    if (hit) {
+      res.set("X-AI-Cache", "hit");
+      return res.json(hit);
+    }
+
+    res.set("X-AI-Cache", refresh ? "refresh" : "miss");
+    const json = res.json.bind(res);
+    res.json = (body) => json(writeCache(key, res.statusCode, body, req.user?.email));
+    next();
+  };
+}
+
+/**
+ * Cached output of `mode` for the record's current file and model config
+ * (or null). Only results from the paper alone count: one built with a
+ * caller's extra text/abstract (inputHash ≠ "") is not the paper's own.
+ */
+async function cachedResult(doc, mode) {
+  const fileHash = fileIdentity(doc);
+  if (!doc?._id || !fileHash) return null;
+  return AiResult.findOne({
+    research: doc._id,
+    fileHash,
+    mode,
+    modelVersion: modelVersion(mode),
+    inputHash: "",
+  }).lean();
+}
+
+/** Cached output goes with the paper when it is deleted. */
+async function removeAiResults(researchId) {
+  await AiResult.deleteMany({ research: researchId });
+}
+
+module.exports = {
+  fileIdentity,
+  modelVersion,
+  cacheKey,
+  readCache,
+  writeCache,
+  wantsRefresh,
+  aiCache,
+  cachedResult,
+  removeAiResults,
+};
@@ -0,0 +1,161 @@
+// utils/aiJobs.js
+const crypto = require("crypto");
+
+/* =========================================================
+   ⏳ Background AI jobs (POST /api/ai/jobs)
+   Model calls can take a minute or more, longer than most
+   proxies wait, so the slow /api/ai tasks can also run as jobs:
+   the POST answers with a job id and the client polls
+   GET /api/ai/jobs/:id or listens to /api/ai/jobs/:id/events.
+   BullMQ when REDIS_HOST is set (same setup as the student
+   notify queue), otherwise an in-process queue running up to
+   AI_JOB_CONCURRENCY jobs at once. Finished jobs are kept for
+   AI_JOB_TTL_MS (default 1 hour).
+
+   The work itself is set by the routes: setProcessor(fn) with
+   fn(data, report) → result; report(percent, stage) updates the
+   progress, a thrown error fails the job.
+========================================================= */
+
+const connection = { host: process.env.REDIS_HOST, port: Number(process.env.REDIS_PORT || 6379) };
+const CONCURRENCY = Math.max(Number(process.env.AI_JOB_CONCURRENCY) || 2, 1);
+const JOB_TTL_MS = Number(process.env.AI_JOB_TTL_MS) || 60 * 60 * 1000;
+
+let processor = async () => {
+  throw new Error("AI job processor not set");
+};
+const setProcessor = (fn) => {
+  processor = fn;
+};
+
+let aiQueue = null;
+let hasRedis = !!process.env.REDIS_HOST;
+if (hasRedis) {
+  try {
+    const { Queue, Worker } = require("bullmq");
+    aiQueue = new Queue("ai", { connection });
+    new Worker(
+      "ai",
+      (job) =>
+        processor(job.data, (percent, stage) =>
+          job
+            .updateProgress({ percent, stage })
+            .catch((err) => console.warn("⚠️ Could not update AI job progress:", err.message))
+        ),
+      { connection, concurrency: CONCURRENCY }
+    );
+  } catch (e) {
+    console.warn("⚠️ BullMQ not available; AI jobs run in-process.", e?.message || e);
+    hasRedis = false;
+  }
+}
+
+/* ---------- in-process fallback ---------- */
+const memJobs = new Map();
+const waiting = [];
+let running = 0;
+
+function pump() {
+  while (running < CONCURRENCY && waiting.length) {
+    const job = waiting.shift();
+    running++;
+    job.state = "running";
+    job.startedAt = new Date();
+    const report = (percent, stage) => {
+      job.progress = { percent, stage };
+    };
+    Promise.resolve()
+      .then(() => processor(job.data, report))
+      .then(
+        (result) => {
+          job.state = "completed";
+          job.result = result;
+          job.progress = { percent: 100, stage: "done" };
+        },
+        (err) => {
+          job.state = "failed";
+          job.error = err?.message || String(err);
+        }
+      )
+      .finally(() => {
+        job.finishedAt = new Date();
+        running--;
+        setTimeout(() => memJobs.delete(job.id), JOB_TTL_MS).unref();
+        pump();
+      });
+  }
+}
+
+/* ---------- public view of a job ---------- */
+const BULL_STATES = {
+  waiting: "queued",
+  delayed: "queued",
+  prioritized: "queued",
+  "waiting-children": "queued",
+  active: "running",
+  completed: "completed",
+  failed: "failed",
+};
+
+async function viewOf(job) {
+  if (!hasRedis) {
+    return {
+      id: job.id,
+      task: job.data.task,
+      owner: job.data.user?.id,
+      state: job.state,
+      progress: job.progress,
+      result: job.result ?? null,
+      error: job.error || null,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt || null,
+    };
+  }
+  const state = BULL_STATES[await job.getState()] || "queued";
+  return {
+    id: job.id,
+    task: job.data.task,
+    owner: job.data.user?.id,
+    state,
+    progress: state === "completed" ? { percent: 100, stage: "done" } : job.progress || { percent: 0, stage: "queued" },
+    result: state === "completed" ? job.returnvalue ?? null : null,
+    error: state === "failed" ? job.failedReason || "Job failed" : null,
+    createdAt: new Date(job.timestamp),
+    finishedAt: job.finishedOn ? new Date(job.finishedOn) : null,
+  };
+}
+
+/**
+ * Queues a job. data: { task, user: { id, role, email }, … } (JSON only).
+ * → job view ({ id, state, progress, … })
+ */
+async function createJob(data) {
+  const id = crypto.randomUUID();
+  if (hasRedis && aiQueue) {
+    const job = await aiQueue.add(data.task, data, {
+      jobId: id,
+      attempts: 1, // the LLM layer already retries
+      removeOnComplete: { age: Math.ceil(JOB_TTL_MS / 1000) },
+      removeOnFail: { age: Math.ceil(JOB_TTL_MS / 1000) },
+    });
+    return viewOf(job);
+  }
+
+  const job = { id, data, state: "queued", progress: { percent: 0, stage: "queued" }, createdAt: new Date() };
+  memJobs.set(id, job);
+  waiting.push(job);
+  pump();
+  return viewOf(job);
+}
+
+/** Job view or null (unknown / expired). */
+async function getJob(id) {
+  if (hasRedis && aiQueue) {
+    const job = await aiQueue.getJob(String(id));
+    return job ? viewOf(job) : null;
+  }
+  const job = memJobs.get(String(id));
+  return job ? viewOf(job) : null;
+}
+
+module.exports = { setProcessor, createJob, getJob };
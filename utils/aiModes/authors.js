@@ -0,0 +1,243 @@
+// utils/aiModes/authors.js
+
+/* --------------------- Name / citation normalization --------------------
+   Author strings from the upload form (names, "Last, First", emails,
+   arrays of user objects) → clean names and APA / IEEE / BibTeX forms. */
+
+function normalizeCoAuthors(input) {
+  return toStringArray(input)
+    .map(sanitizeAuthorRaw)
+    .filter(Boolean);
+}
+
+function sanitizeAuthorRaw(s = "") {
+  const raw = String(s || "").trim();
+  if (!raw) return "";
+
+  // capture email (so we can derive a name if needed)
+  const emailMatch = raw.match(/\b[A-Z0-9._%+-]+@(?:[A-Z0-9-]+\.)+[A-Z]{2,}\b/i);
+  const email = emailMatch ? emailMatch[0] : "";
+
+  // remove emails + bracketed stuff containing emails
+  let cleaned = raw
+    .replace(/\([^)]*@[^\)]*\)/g, " ")
+    .replace(/<[^>]*@[^\>]*>/g, " ")
+    .replace(/\b[A-Z0-9._%+-]+@(?:[A-Z0-9-]+\.)+[A-Z]{2,}\b/ig, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  // if nothing left, derive from email username (juan.dela_cruz -> Juan Dela Cruz)
+  if (!cleaned && email) {
+    const username = email.split("@")[0];
+    const p = partsFromUsername(username);
+    cleaned = [p.first, p.middle, p.last].filter(Boolean).join(" ").trim();
+  }
+
+  return cleaned;
+}
+
+const cap = (s = "") => s ? s[0].toUpperCase() + s.slice(1).toLowerCase() : "";
+
+function partsFromUsername(username = "") {
+  const tokens = username.split(/[._-]+/).filter(Boolean);
+  if (tokens.length >= 2) {
+    const last = cap(tokens[tokens.length - 1]);
+    const first = cap(tokens[0]);
+    const middleTokens = tokens.slice(1, tokens.length - 1).map(cap);
+    return { first, middle: middleTokens.join(" "), last };
+  }
+  return { first: "", middle: "", last: cap(tokens[0] || "Author") };
+}
+
+function toStringArray(v) {
+  if (!v) return [];
+
+  // ✅ handle array input
+  if (Array.isArray(v)) {
+    return v
+      .map((x) => {
+        // if it's an object, pick best field
+        if (x && typeof x === "object") {
+          return (
+            x.name ||
+            x.fullName ||
+            x.author ||
+            x.email ||
+            x.userEmail ||
+            ""
+          );
+        }
+        return String(x);
+      })
+      .map((s) => String(s).trim())
+      .filter(Boolean);
+  }
+
+  // ✅ handle object input
+  if (typeof v === "object") {
+    const one =
+      v.name || v.fullName || v.author || v.email || v.userEmail || "";
+    return one ? [String(one).trim()] : [];
+  }
+
+  // ✅ handle string input (your original behavior)
+  const s = String(v).trim();
+  if (!s) return [];
+  if (s.includes(";")) return s.split(";").map(x => x.trim()).filter(Boolean);
+
+  const commaParts = s.split(",").map(x => x.trim()).filter(Boolean);
+  if (commaParts.length >= 2 && commaParts.some(p => /\s/.test(p) || /@/.test(p))) return commaParts;
+
+  return [s];
+}
+
+function titleToken(tok = "") {
+  const t = String(tok).trim();
+  if (!t) return "";
+  if (/^[A-Z]\.?$/.test(t)) return t.endsWith(".") ? t : t + ".";
+  return cap(t);
+}
+
+function parseNamePartsSmart(name = "") {
+  const s = String(name || "").replace(/\s+/g, " ").trim();
+  if (!s) return { first: "", middle: "", last: "" };
+
+  // "Last, First Middle"
+  if (s.includes(",")) {
+    const [lastRaw, restRaw] = s.split(",").map(x => x.trim());
+    const rest = (restRaw || "").split(/\s+/).filter(Boolean);
+    const first = rest.shift() || "";
+    const middle = rest.join(" ");
+    return { first: titleToken(first), middle: middle.split(/\s+/).map(titleToken).join(" ").trim(), last: lastRaw.split(/\s+/).map(titleToken).join(" ").trim() };
+  }
+
+  // "First Middle Last" (with particles like Dela/Del/De/Van/Von etc. treated as part of last name)
+  const parts = s.split(/\s+/).filter(Boolean);
+
+  const particles = new Set([
+    "de","del","dela","da","di","dos","das","van","von","der","den","al","el","st","st."
+  ]);
+
+  let i = parts.length - 1;
+  const lastTokens = [parts[i]];
+  i--;
+
+  while (i >= 0) {
+    const w = parts[i].toLowerCase().replace(/\./g, "");
+    const prev = i > 0 ? parts[i - 1].toLowerCase().replace(/\./g, "") : "";
+
+    // handle "de la"
+    if (w === "la" && prev === "de") {
+      lastTokens.unshift(parts[i - 1], parts[i]);
+      i -= 2;
+      continue;
+    }
+
+    if (particles.has(w)) {
+      lastTokens.unshift(parts[i]);
+      i--;
+      continue;
+    }
+    break;
+  }
+
+  const given = parts.slice(0, i + 1);
+  const first = given.shift() || "";
+  const middle = given.join(" ");
+
+  return {
+    first: titleToken(first),
+    middle: middle.split(/\s+/).map(titleToken).join(" ").trim(),
+    last: lastTokens.map(titleToken).join(" ").trim(),
+  };
+}
+
+function nameToAPA(name = "") {
+  const p = parseNamePartsSmart(name);
+  if (!p.last && !p.first) return "Author";
+
+  const mids = p.middle ? p.middle.split(/\s+/).filter(Boolean) : [];
+  const initials = [p.first, ...mids]
+    .filter(Boolean)
+    .map(w => (w[0] ? w[0].toUpperCase() + "." : ""))
+    .join(" ")
+    .trim();
+
+  return `${p.last || "Author"}${initials ? `, ${initials}` : ""}`.trim();
+}
+
+function apaToIEEE(apa = "") {
+  // "Last, F. M." -> "F. M. Last"
+  const [last, initials] = apa.split(",").map(s => s.trim());
+  return `${initials || ""} ${last || ""}`.trim().replace(/\s+/g, " ");
+}
+
+function authorsToBibtex(authors = []) {
+  // "Last, First Middle" joined by " and "
+  return authors
+    .map(n => {
+      const p = parseNamePartsSmart(n);
+      const given = [p.first, p.middle].filter(Boolean).join(" ").trim();
+      const last = p.last || "Author";
+      return given ? `${last}, ${given}` : `${last}`;
+    })
+    .join(" and ");
+}
+
+function buildAuthorList(primary, coAuthors) {
+  const a0 = sanitizeAuthorRaw(primary);
+  const co = toStringArray(coAuthors).map(sanitizeAuthorRaw);
+
+  const list = [a0, ...co].map(s => String(s || "").trim()).filter(Boolean);
+
+  // dedupe (case-insensitive)
+  const seen = new Set();
+  const out = [];
+  for (const n of list) {
+    const key = n.toLowerCase().replace(/\s+/g, " ").trim();
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    out.push(n);
+  }
+  return out.length ? out : ["Author"];
+}
+
+function formatApaAuthors(list = []) {
+  if (list.length === 0) return "Author";
+  if (list.length === 1) return list[0];
+  if (list.length === 2) return `${list[0]}, & ${list[1]}`;
+  return `${list.slice(0, -1).join(", ")}, & ${list[list.length - 1]}`;
+}
+
+function formatIeeeAuthors(list = []) {
+  if (list.length === 0) return "Author";
+  if (list.length === 1) return list[0];
+  if (list.length === 2) return `${list[0]} and ${list[1]}`;
+  return `${list.slice(0, -1).join(", ")}, and ${list[list.length - 1]}`;
+}
+
+function toSentenceCase(s = "") {
+  return s
+    .toLowerCase()
+    .replace(/(^\w)|([.!?]\s+\w)/g, (m) => m.toUpperCase())
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function normalizeYear(y) {
+  const m = String(y || "").match(/\d{4}/);
+  return m ? m[0] : "n.d.";
+}
+
+module.exports = {
+  normalizeCoAuthors,
+  buildAuthorList,
+  parseNamePartsSmart,
+  nameToAPA,
+  apaToIEEE,
+  authorsToBibtex,
+  formatApaAuthors,
+  formatIeeeAuthors,
+  toSentenceCase,
+  normalizeYear,
+};
@@ -0,0 +1,97 @@
+// utils/aiModes/citations.js
+const { extractReferencesFromText } = require("./text");
+const {
+  normalizeCoAuthors,
+  buildAuthorList,
+  parseNamePartsSmart,
+  nameToAPA,
+  apaToIEEE,
+  authorsToBibtex,
+  formatApaAuthors,
+  formatIeeeAuthors,
+  toSentenceCase,
+  normalizeYear,
+} = require("./authors");
+
+/* 🔖 How to cite the paper itself (APA, IEEE, BibTeX) from the upload
+   metadata, plus the paper's own reference list when it can be read. */
+
+async function run({ paperText = "", meta = {} } = {}) {
+  const { title = "", author = "", coAuthors, year = "" } = meta || {};
+
+  // author + coAuthors (string | array | objects), emails → proper names
+  const authorList = buildAuthorList(author, normalizeCoAuthors(coAuthors));
+  const apaList = authorList.map(nameToAPA);
+  const ieeeList = apaList.map(apaToIEEE);
+
+  const yr = normalizeYear(year);
+  const titleSentence = toSentenceCase(title || "Untitled study");
+
+  const apa = `${formatApaAuthors(apaList)} (${yr}). ${titleSentence}.`;
+  const ieee = `${formatIeeeAuthors(ieeeList)}, "${titleSentence}," ${yr}.`;
+
+  const firstLast = (parseNamePartsSmart(authorList[0]).last || "author")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+  const bibkey = `${firstLast}${yr === "n.d." ? "nd" : yr}`;
+
+  const bibtex = [
+    `@article{${bibkey},`,
+    `  title={${title || "Untitled study"}},`,
+    `  author={${authorsToBibtex(authorList) || "Author"}},`,
+    `  year={${yr}}`,
+    `}`,
+  ].join("\n");
+
+  const text = `### Citations\n**APA**\n> ${apa}\n\n**IEEE**\n> ${ieee}\n\n**BibTeX**\n\`\`\`bibtex\n${bibtex}\n\`\`\``;
+
+  const refs = extractReferencesFromText(paperText);
+  return {
+    text,
+    citations: { apa, ieee, bibtex },
+    references: refs.length ? refs : undefined,
+  };
+}
+
+module.exports = {
+  name: "citations",
+  aliases: ["self-cite"],
+  version: 1,
+  task: null,
+  description: "APA, IEEE and BibTeX citations for the paper, plus its own reference list.",
+  inputs: {
+    type: "object",
+    properties: {
+      meta: {
+        type: "object",
+        properties: {
+          title: { type: "string" },
+          author: { type: "string" },
+          coAuthors: {
+            description: "Names, emails or user objects; a \";\" or \",\" separated string also works.",
+            type: ["array", "string"],
+          },
+          year: { type: ["string", "number"] },
+        },
+      },
+    },
+  },
+  output: {
+    type: "object",
+    required: ["text", "citations"],
+    properties: {
+      text: { type: "string", description: "Markdown with all three formats." },
+      citations: {
+        type: "object",
+        required: ["apa", "ieee", "bibtex"],
+        properties: {
+          apa: { type: "string" },
+          ieee: { type: "string" },
+          bibtex: { type: "string" },
+        },
+      },
+      references: { type: "array", items: { type: "string" } },
+    },
+  },
+  run,
+};
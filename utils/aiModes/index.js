@@ -0,0 +1,87 @@
+// utils/aiModes/index.js
+
+/* =========================================================
+   🧰 Analyzers behind POST /api/ai/abstract-tools { mode }
+   One module per mode, each exporting:
+     name, aliases     mode names it answers to
+     description
+     version           bump when its output changes (drops its cached results)
+     task              utils/llm task it may call, or null (heuristic only)
+     inputs            JSON schema of the request fields it reads
+                       (besides mode / researchId / filePath)
+     output            JSON schema of its response
+     run(input)        → output; input = { paperText, abstract, meta }
+   run() never sees req/res, so a mode can be tested on its own
+   with text extracted from a fixture PDF. A new analyzer is a new
+   module added to MODES; GET /api/ai/modes lists them.
+========================================================= */
+
+const MODES = [
+  require("./tldr"),
+  require("./methods"),
+  require("./recommendations"),
+  require("./refscan"),
+  require("./citations"),
+];
+
+const byName = new Map();
+for (const mode of MODES) {
+  for (const name of [mode.name, ...(mode.aliases || [])]) byName.set(name, mode);
+}
+
+/** Mode module by name or alias, or null. */
+const getMode = (name) => byName.get(String(name || "")) || null;
+
+/** What GET /api/ai/modes shows. */
+const describeModes = () =>
+  MODES.map(({ name, aliases = [], description, version, task, inputs, output }) => ({
+    name,
+    aliases,
+    description,
+    version,
+    usesModel: !!task,
+    inputs,
+    output,
+  }));
+
+const TYPE_CHECKS = {
+  string: (v) => typeof v === "string",
+  number: (v) => typeof v === "number",
+  integer: Number.isInteger,
+  boolean: (v) => typeof v === "boolean",
+  array: Array.isArray,
+  object: (v) => !!v && typeof v === "object" && !Array.isArray(v),
+};
+
+/**
+ * Checks a value against the small JSON-schema subset the modes use
+ * (type, required, properties, items). → list of problems ([] = ok)
+ */
+function checkOutput(schema = {}, value, path = "output") {
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.some((t) => TYPE_CHECKS[t]?.(value))) return [`${path} should be ${types.join(" | ")}`];
+
+  const problems = [];
+  if (TYPE_CHECKS.object(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) problems.push(`${path}.${key} is missing`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) problems.push(...checkOutput(sub, value[key], `${path}.${key}`));
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => problems.push(...checkOutput(schema.items, item, `${path}[${i}]`)));
+  }
+  return problems;
+}
+
+/** Runs a mode; an output that breaks its schema is logged, not fatal. */
+async function runMode(mode, input) {
+  const out = await mode.run(input);
+  const problems = checkOutput(mode.output, out);
+  if (problems.length) console.warn(`⚠️ AI mode "${mode.name}" output does not match its schema:`, problems);
+  return out;
+}
+
+module.exports = { MODES, getMode, describeModes, checkOutput, runMode };
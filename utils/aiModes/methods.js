@@ -0,0 +1,618 @@
+// utils/aiModes/methods.js
+const { runTask } = require("../llm");
+const { normalizeParagraph } = require("./text");
+
+/* 🔬 Methodology checklist read from the paper's methodology section;
+   the "methods" LLM task describes the study when no section is found. */
+
+async function run({ paperText = "", abstract = "" } = {}) {
+  const fullText = paperText || abstract || "";
+  
+  // Clean text but preserve paragraph structure
+  const cleanedText = fullText
+    .replace(/\r\n/g, '\n')
+    .replace(/\n\s*\n\s*\n+/g, '\n\n')
+    .trim();
+  
+  const lowerText = cleanedText.toLowerCase();
+  
+  // Helper function to create a concise summary with complete sentences
+  const createConciseSummary = (text, maxSentences = 2, maxWords = 50) => {
+    if (!text || text === "Not specified in the methodology section.") {
+      return text;
+    }
+    
+    // Split into complete sentences (preserving punctuation)
+    const sentences = text.match(/[^.!?]*[.!?]/g) || [];
+    const cleanSentences = sentences
+      .map(s => s.trim())
+      .filter(s => s.length > 10 && !s.match(/^\s*$/));
+    
+    if (cleanSentences.length === 0) {
+      // If no proper sentences found, try to create one
+      const words = text.split(/\s+/).filter(w => w.length > 0);
+      if (words.length > 5) {
+        const sentence = words.slice(0, Math.min(15, words.length)).join(' ');
+        return sentence + (sentence.endsWith('.') ? '' : '.');
+      }
+      return text;
+    }
+    
+    // Take first N sentences
+    const summarySentences = cleanSentences.slice(0, maxSentences);
+    let summary = summarySentences.join(' ');
+    
+    // Ensure it's properly capitalized
+    if (summary.length > 0) {
+      summary = summary.charAt(0).toUpperCase() + summary.slice(1);
+    }
+    
+    // If we have a complete summary, return it
+    if (summary.length > 0) {
+      return summary;
+    }
+    
+    return text;
+  };
+  
+  // Helper function to ensure complete sentences when truncating
+  const truncateToCompleteSentence = (text, maxLength = 400) => {
+    if (text.length <= maxLength) return text;
+    
+    // Try to find the last complete sentence within maxLength
+    const truncated = text.substring(0, maxLength);
+    const lastPeriod = truncated.lastIndexOf('.');
+    const lastQuestion = truncated.lastIndexOf('?');
+    const lastExclamation = truncated.lastIndexOf('!');
+    
+    const lastSentenceEnd = Math.max(lastPeriod, lastQuestion, lastExclamation);
+    
+    if (lastSentenceEnd > 0) {
+      return text.substring(0, lastSentenceEnd + 1);
+    }
+    
+    // If no sentence end found, find the last space
+    const lastSpace = truncated.lastIndexOf(' ');
+    if (lastSpace > 0) {
+      return text.substring(0, lastSpace) + '...';
+    }
+    
+    return truncated + '...';
+  };
+  
+  // Function to extract and summarize research design
+  const extractResearchDesign = () => {
+    const patterns = [
+      /Research Design\s*\n([\s\S]*?)(?=\n\s*(?:Research Setting|Participants|Instruments|Data Gathering|Data Collection|Chapter|References))/i,
+      /Methodology\s*\n([\s\S]*?)(?=\n\s*(?:Setting|Participants|Instruments|Data|Results|Findings|Chapter))/i,
+      /The research design[^.!?]*[.!?]\s*([^.!?]*[.!?])/i,
+      /This study (?:utilized|used|employed)[^.!?]*[.!?]\s*([^.!?]*[.!?])/i
+    ];
+    
+    for (const pattern of patterns) {
+      const match = cleanedText.match(pattern);
+      if (match && match[1]) {
+        let extracted = match[1].trim();
+        
+        // Clean the text but keep complete sentences
+        extracted = extracted.replace(/\s+/g, ' ')
+                            .replace(/\n/g, ' ')
+                            .replace(/table\s+\d+.*?(?=\s|$)/gi, '')
+                            .replace(/figure\s+\d+.*?(?=\s|$)/gi, '')
+                            .trim();
+        
+        if (extracted.length > 20) {
+          return truncateToCompleteSentence(createConciseSummary(extracted, 2, 60), 300);
+        }
+      }
+    }
+    
+    // Fallback: Look for design keywords
+    const designKeywords = [
+      'qualitative', 'quantitative', 'mixed methods', 'case study',
+      'descriptive', 'experimental', 'quasi-experimental', 'correlational',
+      'phenomenological', 'grounded theory', 'action research'
+    ];
+    
+    for (const keyword of designKeywords) {
+      if (lowerText.includes(keyword)) {
+        // Find complete sentence containing the keyword
+        const sentences = cleanedText.match(/[^.!?]*[.!?]/g) || [];
+        for (const sentence of sentences) {
+          if (sentence.toLowerCase().includes(keyword) && sentence.length > 30) {
+            return truncateToCompleteSentence(sentence.trim(), 250);
+          }
+        }
+      }
+    }
+    
+    return "Not specified in the methodology section.";
+  };
+  
+  // Function to extract and summarize research setting
+  const extractResearchSetting = () => {
+    const patterns = [
+      /Research Setting\s*\n([\s\S]*?)(?=\n\s*(?:Research Subject|Participants|Instruments|Data Gathering|Chapter))/i,
+      /Setting\s*\n([\s\S]*?)(?=\n\s*(?:Subject|Participants|Instruments|Chapter))/i,
+      /The study (?:was conducted|took place)[^.!?]*[.!?]\s*([^.!?]*[.!?])/i,
+      /This study (?:was|is) conducted[^.!?]*[.!?]\s*([^.!?]*[.!?])/i
+    ];
+    
+    for (const pattern of patterns) {
+      const match = cleanedText.match(pattern);
+      if (match && match[1]) {
+        let extracted = match[1].trim();
+        
+        // Clean the text
+        extracted = extracted.replace(/\s+/g, ' ')
+                            .replace(/\n/g, ' ')
+                            .trim();
+        
+        if (extracted.length > 15) {
+          return truncateToCompleteSentence(createConciseSummary(extracted, 1, 40), 200);
+        }
+      }
+    }
+    
+    return "Not specified in the methodology section.";
+  };
+  
+  // Function to extract and summarize research subjects/participants
+  const extractParticipants = () => {
+    const patterns = [
+      /Research Subject\s*\n([\s\S]*?)(?=\n\s*(?:Instruments|Data Gathering|Data Analysis|Chapter))/i,
+      /Participants\s*\n([\s\S]*?)(?=\n\s*(?:Instruments|Data|Chapter))/i,
+      /Sampling (?:Procedure|Method)\s*\n([\s\S]*?)(?=\n\s*(?:Instruments|Data|Chapter))/i,
+      /The (?:participants|subjects) (?:of the study|in this study)[^.!?]*[.!?]\s*([^.!?]*[.!?])/i
+    ];
+    
+    for (const pattern of patterns) {
+      const match = cleanedText.match(pattern);
+      if (match && match[1]) {
+        let extracted = match[1].trim();
+        
+        // Clean the text
+        extracted = extracted.replace(/\s+/g, ' ')
+                            .replace(/\n/g, ' ')
+                            .trim();
+        
+        // Look for sample size
+        const sampleSizeMatch = extracted.match(/(\d+)\s+(?:students?|teachers?|respondents?|participants?|subjects?)/i) ||
+                               extracted.match(/n\s*=\s*(\d+)/i);
+        
+        if (extracted.length > 20) {
+          let summary = truncateToCompleteSentence(createConciseSummary(extracted, 1, 35), 180);
+          
+          // Ensure sample size is mentioned if found
+          if (sampleSizeMatch && !summary.includes(sampleSizeMatch[1])) {
+            // Find where to insert sample size
+            if (summary.endsWith('.')) {
+              summary = summary.slice(0, -1);
+            }
+            summary += ` The sample includes ${sampleSizeMatch[0]}.`;
+          }
+          
+          return summary;
+        }
+      }
+    }
+    
+    return "Not specified in the methodology section.";
+  };
+  
+  // Function to extract instruments with clean bullet points
+  const extractInstruments = () => {
+    const patterns = [
+      /Instruments (?:Used|to be Used|Utilized)\s*\n([\s\S]*?)(?=\n\s*(?:Data Gathering|Data Analysis|Procedure|Chapter))/i,
+      /Tools? (?:Used|Employed)\s*\n([\s\S]*?)(?=\n\s*(?:Data Gathering|Data Analysis|Procedure|Chapter))/i,
+      /Instrumentation\s*\n([\s\S]*?)(?=\n\s*(?:Data Gathering|Data Analysis|Procedure|Chapter))/i
+    ];
+    
+    for (const pattern of patterns) {
+      const match = cleanedText.match(pattern);
+      if (match && match[1]) {
+        let extracted = match[1].trim();
+        
+        // Extract bullet points or listed items - look for complete items
+        const bulletRegex = /[•●○◦▪►\-]\s*([^\n]+(?:\n(?!\s*[•●○◦▪►\-]|\s*\n)[^\n]*)*)/g;
+        let bulletMatch;
+        const bulletItems = [];
+        
+        while ((bulletMatch = bulletRegex.exec(extracted)) !== null) {
+          let item = bulletMatch[1].trim();
+          // Clean the item
+          item = item.replace(/\s+/g, ' ')
+                    .replace(/\n/g, ' ')
+                    .trim();
+          
+          // Only add if it looks like a complete instrument name
+          if (item.length > 3 && !item.match(/^[a-z]\s*$/i)) {
+            // Capitalize first letter
+            if (item.length > 0) {
+              item = item.charAt(0).toUpperCase() + item.slice(1);
+            }
+            // Ensure it ends properly
+            if (!item.endsWith('.') && !item.endsWith(':') && item.length < 50) {
+              bulletItems.push(item);
+            } else if (item.length < 50) {
+              // Remove trailing punctuation for cleaner bullets
+              bulletItems.push(item.replace(/[.:;]$/, ''));
+            }
+          }
+        }
+        
+        // If we found bullet items, clean them up
+        if (bulletItems.length > 0) {
+          // Filter out incomplete items and duplicates
+          const cleanItems = [];
+          const seen = new Set();
+          
+          for (const item of bulletItems) {
+            const cleanItem = item.trim();
+            // Check if it's a complete instrument name (not cut off)
+            if (cleanItem.length > 5 && 
+                !cleanItem.match(/\betc\.?$/i) &&
+                !cleanItem.match(/^[a-z]/) && // Should start with capital after our capitalization
+                !cleanItem.includes('...') &&
+                !seen.has(cleanItem.toLowerCase())) {
+              
+              // Check if item ends with a complete word (not hyphenated)
+              const lastWord = cleanItem.split(' ').pop();
+              if (!lastWord.includes('-') || lastWord.endsWith('-')) {
+                // Skip hyphenated words at the end
+                continue;
+              }
+              
+              cleanItems.push(cleanItem);
+              seen.add(cleanItem.toLowerCase());
+            }
+          }
+          
+          if (cleanItems.length > 0) {
+            return cleanItems.map(item => `• ${item}`).join('\n');
+          }
+        }
+        
+        // Look for specific instruments mentioned in the methodology
+        const instrumentPatterns = [
+          /(?:TTPS|Teaching through Problem-Solving) Lesson Plan/i,
+          /(?:CER|Claim-Evidence-Reasoning) Scoring Rubric/i,
+          /(?:TTPS-CER|Teaching through Problem-Solving - CER) Semi-structured Interview/i,
+          /Phil-IRI Silent Reading Test/i,
+          /(?:pre-test|post-test)/i,
+          /(?:open-ended|semi-structured) questionnaire/i,
+          /classroom observation checklist/i
+        ];
+        
+        const foundInstruments = [];
+        for (const pattern of instrumentPatterns) {
+          const match = cleanedText.match(pattern);
+          if (match) {
+            const instrument = match[0];
+            // Clean up the instrument name
+            let cleanName = instrument.replace(/\s+/g, ' ').trim();
+            if (cleanName.length > 3 && !foundInstruments.includes(cleanName)) {
+              foundInstruments.push(cleanName);
+            }
+          }
+        }
+        
+        // Also look for common instrument keywords
+        if (foundInstruments.length === 0) {
+          const commonInstruments = [
+            'lesson plan', 'scoring rubric', 'interview', 'questionnaire',
+            'checklist', 'test', 'assessment', 'observation'
+          ];
+          
+          for (const instrument of commonInstruments) {
+            if (lowerText.includes(instrument)) {
+              // Find the full phrase
+              const instrumentRegex = new RegExp(`([A-Za-z\\s-]*${instrument}[A-Za-z\\s-]{0,20})`, 'i');
+              const match = cleanedText.match(instrumentRegex);
+              if (match) {
+                const phrase = match[0].trim();
+                if (phrase.length > instrument.length + 3 && !foundInstruments.includes(phrase)) {
+                  foundInstruments.push(phrase);
+                }
+              }
+            }
+          }
+        }
+        
+        if (foundInstruments.length > 0) {
+          // Format instrument names nicely
+          const formattedInstruments = foundInstruments.map(instr => {
+            // Capitalize first letter of each word for acronyms or proper names
+            if (!instr.match(/^[A-Z]/)) {
+              return instr.split(' ').map(word => {
+                if (word.length > 0) {
+                  return word.charAt(0).toUpperCase() + word.slice(1);
+                }
+                return word;
+              }).join(' ');
+            }
+            return instr;
+          });
+          
+          return formattedInstruments.map(instr => `• ${instr}`).join('\n');
+        }
+        
+        // Return a brief description if available
+        const sentences = extracted.split(/[.!?]+/).filter(s => s.trim().length > 20);
+        if (sentences.length > 0) {
+          const firstSentence = sentences[0].trim();
+          const words = firstSentence.split(' ');
+          if (words.length > 3) {
+            return truncateToCompleteSentence(firstSentence.charAt(0).toUpperCase() + firstSentence.slice(1), 150);
+          }
+        }
+      }
+    }
+    
+    return "Not specified in the methodology section.";
+  };
+  
+  // Function to extract and create a coherent paragraph for data gathering procedure
+  const extractDataGathering = () => {
+    const patterns = [
+      /Data Gathering (?:Procedure|Process)\s*\n([\s\S]*?)(?=\n\s*(?:Data Analysis|Ethical|Chapter|References))/i,
+      /Data Collection (?:Procedure|Process|Method)\s*\n([\s\S]*?)(?=\n\s*(?:Data Analysis|Ethical|Chapter|References))/i,
+      /Procedure\s*\n([\s\S]*?)(?=\n\s*(?:Data Analysis|Ethical|Chapter|References))/i
+    ];
+    
+    for (const pattern of patterns) {
+      const match = cleanedText.match(pattern);
+      if (match && match[1]) {
+        let extracted = match[1].trim();
+        
+        // Clean the text
+        extracted = extracted.replace(/\s+/g, ' ')
+                            .replace(/\n/g, ' ')
+                            .replace(/\s*\d+\s*/g, ' ')
+                            .replace(/page\s+\d+/gi, '')
+                            .trim();
+        
+        // Extract complete sentences
+        const sentences = extracted.match(/[^.!?]*[.!?]/g) || [];
+        const cleanSentences = sentences
+          .map(s => s.trim())
+          .filter(s => s.length > 20)
+          .slice(0, 5); // Take up to 5 sentences
+        
+        if (cleanSentences.length > 0) {
+          // Create a coherent paragraph with transitional words
+          let paragraph = cleanSentences.map((sentence, index) => {
+            const cleanSentence = sentence.replace(/^\d+\.\s*/, '').trim();
+            
+            if (index === 0) {
+              return cleanSentence.charAt(0).toUpperCase() + cleanSentence.slice(1);
+            } else if (index === cleanSentences.length - 1) {
+              return `Finally, ${cleanSentence.toLowerCase()}`;
+            } else {
+              const transitions = ['Next,', 'Then,', 'Following this,', 'Subsequently,'];
+              const transition = transitions[index % transitions.length];
+              return `${transition} ${cleanSentence.toLowerCase()}`;
+            }
+          }).join(' ');
+          
+          return truncateToCompleteSentence(paragraph, 300);
+        }
+      }
+    }
+    
+    return "Not specified in the methodology section.";
+  };
+  
+  // Function to extract data analysis
+  // Function to extract data analysis
+  const extractDataAnalysis = () => {
+    const patterns = [
+      /Data Analysis\s*\n([\s\S]*?)(?=\n\s*(?:Ethical|Chapter|References|Bibliography|Limitation))/i,
+      /Analysis of Data\s*\n([\s\S]*?)(?=\n\s*(?:Ethical|Chapter|References|Bibliography|Limitation))/i,
+      /Statistical Analysis\s*\n([\s\S]*?)(?=\n\s*(?:Ethical|Chapter|References|Bibliography|Limitation))/i
+    ];
+    
+    let extractedText = "";
+    
+    // First, extract the data analysis section text
+    for (const pattern of patterns) {
+      const match = cleanedText.match(pattern);
+      if (match && match[1]) {
+        extractedText = match[1].trim();
+        break;
+      }
+    }
+    
+    // If no section found, try to find analysis keywords in the entire methodology
+    if (!extractedText) {
+      // Look for data analysis in nearby text after data gathering
+      const afterDataGathering = cleanedText.toLowerCase();
+      extractedText = afterDataGathering;
+    }
+    
+    // Look for specific analysis methods - prioritize this over full sentences
+    const analysisKeywords = [
+      'thematic analysis', 'descriptive analysis', 'statistical analysis',
+      't-test', 'anova', 'regression', 'correlation', 'content analysis',
+      'qualitative analysis', 'quantitative analysis', 'mixed methods',
+      'mean', 'percentage', 'frequency', 'coding', 'interpretation',
+      'frequency and percentage', 'phil-iri formula', 'weighted mean',
+      'familiarization', 'generating codes', 'searching for themes',
+      'reviewing themes', 'finalizing themes', 'producing reports',
+      'samosa', 'rating scale', 'excelling', 'proficient', 'developing',
+      'meeting', 'approaching', 'beginning', 'not evident'
+    ];
+    
+    const foundMethods = [];
+    
+    // First, look in the extracted data analysis section
+    if (extractedText) {
+      const lowerExtracted = extractedText.toLowerCase();
+      for (const method of analysisKeywords) {
+        if (lowerExtracted.includes(method) && !foundMethods.includes(method)) {
+          // Format the method name nicely
+          const formattedName = method.split(' ')
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+          foundMethods.push(formattedName);
+        }
+      }
+    }
+    
+    // If no methods found in the specific section, search the entire text
+    if (foundMethods.length === 0) {
+      for (const method of analysisKeywords) {
+        if (lowerText.includes(method) && !foundMethods.includes(method)) {
+          // Format the method name nicely
+          const formattedName = method.split(' ')
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+          foundMethods.push(formattedName);
+        }
+      }
+    }
+    
+    // Filter and sort methods (prioritize common analysis methods)
+    if (foundMethods.length > 0) {
+      // Remove duplicates and sort by relevance
+      const uniqueMethods = [...new Set(foundMethods)];
+      
+      // Group by type for better organization
+      const primaryMethods = [];
+      const secondaryMethods = [];
+      
+      for (const method of uniqueMethods) {
+        const lowerMethod = method.toLowerCase();
+        if (lowerMethod.includes('analysis') || 
+            lowerMethod.includes('test') || 
+            lowerMethod.includes('regression') ||
+            lowerMethod.includes('correlation') ||
+            lowerMethod.includes('mean') ||
+            lowerMethod.includes('percentage') ||
+            lowerMethod.includes('frequency') ||
+            lowerMethod.includes('coding')) {
+          primaryMethods.push(method);
+        } else {
+          secondaryMethods.push(method);
+        }
+      }
+      
+      // Combine methods, primary ones first
+      const allMethods = [...primaryMethods, ...secondaryMethods];
+      
+      // Take top methods (max 6)
+      const topMethods = allMethods.slice(0, 6);
+      
+      if (topMethods.length > 0) {
+        return `Analysis methods include: ${topMethods.join(', ')}.`;
+      }
+    }
+    
+    // Fallback: If no specific methods found, extract meaningful sentences from data analysis section
+    if (extractedText) {
+      // Extract complete sentences
+      const sentences = extractedText.match(/[^.!?]*[.!?]/g) || [];
+      const cleanSentences = sentences
+        .map(s => s.trim())
+        .filter(s => s.length > 20 && 
+                    !s.match(/^\s*(table|figure|chapter|section|page)/i) &&
+                    !s.match(/references|bibliography/i))
+        .slice(0, 2); // Take first 2 sentences
+      
+      if (cleanSentences.length > 0) {
+        let summary = cleanSentences.join(' ');
+        // Capitalize first letter
+        if (summary.length > 0) {
+          summary = summary.charAt(0).toUpperCase() + summary.slice(1);
+        }
+        // Ensure it ends with a period
+        if (!summary.endsWith('.')) {
+          summary += '.';
+        }
+        return truncateToCompleteSentence(summary, 150);
+      }
+    }
+    
+    return "Not specified in the methodology section.";
+  };
+  
+  // Extract all sections
+  const researchDesign = extractResearchDesign();
+  const researchSetting = extractResearchSetting();
+  const researchSubject = extractParticipants();
+  const instrumentsUsed = extractInstruments();
+  const dataGathering = extractDataGathering();
+  const dataAnalysis = extractDataAnalysis();
+  
+  // Determine research approach
+  let researchApproach = "Not specified";
+  const designLower = researchDesign.toLowerCase();
+  if (designLower.includes("qualitative") && designLower.includes("quantitative")) {
+    researchApproach = "Mixed Methods";
+  } else if (designLower.includes("qualitative")) {
+    researchApproach = "Qualitative";
+  } else if (designLower.includes("quantitative")) {
+    researchApproach = "Quantitative";
+  } else if (designLower.includes("quasi-experimental") || designLower.includes("experimental")) {
+    researchApproach = "Quantitative";
+  } else if (designLower.includes("case study") || designLower.includes("phenomenological")) {
+    researchApproach = "Qualitative";
+  }
+  
+  // Create output in a clean, readable format
+  const lines = [
+    "## Methodology Checklist",
+    "",
+    "### Research Design",
+    `${researchDesign}`,
+    "",
+    "### Research Approach",
+    `${researchApproach}`,
+    "",
+    "### Research Setting/Location",
+    `${researchSetting}`,
+    "",
+    "### Research Subjects/Participants",
+    `${researchSubject}`,
+    "",
+    "### Instruments/Tools Used",
+    `${instrumentsUsed}`,
+    "",
+    "### Data Gathering Procedure",
+    `${dataGathering}`,
+    "",
+    "### Data Analysis",
+    `${dataAnalysis}`
+  ];
+
+  // AI description as fallback when no section could be found (task "methods" in utils/llm)
+  const sections = [researchDesign, researchSetting, researchSubject, instrumentsUsed, dataGathering, dataAnalysis];
+  if (sections.every((v) => /^Not specified/i.test(v)) && fullText.length > 200) {
+    const aiResult = await runTask("methods", { text: fullText.substring(0, 6000) });
+    if (aiResult.text) lines.push("", "### Overview (AI-generated)", normalizeParagraph(aiResult.text));
+  }
+  
+  return { text: lines.join("\n") };
+}
+
+module.exports = {
+  name: "methods",
+  version: 1,
+  task: "methods",
+  description:
+    "Methodology checklist: research design, approach, setting, participants, instruments, data gathering and analysis.",
+  inputs: {
+    type: "object",
+    properties: {
+      abstract: { type: "string", description: "Analyzed when the paper text cannot be read." },
+    },
+  },
+  output: {
+    type: "object",
+    required: ["text"],
+    properties: {
+      text: { type: "string", description: "Markdown checklist (## Methodology Checklist)." },
+    },
+  },
+  run,
+};
@@ -0,0 +1,32 @@
+// utils/aiModes/refscan.js
+const { extractReferencesFromText } = require("./text");
+
+/* 📚 Entries of the paper's References / Bibliography section. */
+
+async function run({ paperText = "", abstract = "" } = {}) {
+  const refs = extractReferencesFromText(paperText || abstract);
+  return { ok: true, count: refs.length, items: refs };
+}
+
+module.exports = {
+  name: "refscan",
+  version: 1,
+  task: null,
+  description: "Reference list entries found after the References / Bibliography heading.",
+  inputs: {
+    type: "object",
+    properties: {
+      abstract: { type: "string", description: "Scanned when the paper text cannot be read." },
+    },
+  },
+  output: {
+    type: "object",
+    required: ["ok", "count", "items"],
+    properties: {
+      ok: { type: "boolean" },
+      count: { type: "integer" },
+      items: { type: "array", items: { type: "string" } },
+    },
+  },
+  run,
+};
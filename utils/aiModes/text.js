@@ -0,0 +1,109 @@
+// utils/aiModes/text.js
+const { runTask } = require("../llm");
+
+/* ------------------------------ Text utils ------------------------------
+   Shared by the analyzers and the /api/ai summary + TL;DR routes. */
+
+function normalizeParagraph(s = "") {
+  return (s || "")
+    .replace(/[\r\n]+/g, " ")
+    .replace(/\s+/g, " ")
+    .replace(/^abstract[:.\s-]*/i, "")
+    .replace(/^summary[:.\s-]*/i, "")
+    .trim();
+}
+
+function heuristicSummary(text = "") {
+  if (!text) return "No readable text available.";
+  const sentences = text.split(/[.!?]\s/).map((s) => s.trim()).filter((s) => s.length > 40);
+  return sentences.slice(0, 4).join(". ") + ".";
+}
+
+function heuristicTldr(text = "") {
+  if (!text) return "No short takeaway available.";
+  
+  const cleaned = text.replace(/\s+/g, " ").trim();
+  const sentences = cleaned.split(/(?<=[.!?])\s+/).map(s => s.trim()).filter(s => s.length > 20);
+  
+  const priorityKeywords = [
+    /\b(found|showed|demonstrated|concluded|results?|findings?|significant|improved|reduced|increased)\b/i,
+    /\b(conclusion|summary|takeaway|key\s+point|main\s+finding)\b/i,
+    /\b(aim|objective|purpose|goal)\b/i
+  ];
+  
+  let bestSentence = "";
+  for (const keyword of priorityKeywords) {
+    const match = sentences.find(s => keyword.test(s));
+    if (match) {
+      bestSentence = match;
+      break;
+    }
+  }
+  
+  if (!bestSentence && sentences.length > 0) {
+    bestSentence = sentences[0];
+  }
+  
+  if (!bestSentence) {
+    bestSentence = cleaned.substring(0, 150);
+  }
+  
+  const words = bestSentence.split(/\s+/);
+  const maxWords = 50;
+  const trimmed = words.length > maxWords ? words.slice(0, maxWords).join(" ") : bestSentence;
+  
+  return trimmed.replace(/\s*[.,;]\s*$/, "").trim() + ".";
+}
+
+async function generateTldr(text = "") {
+  const base = (text || "").replace(/\s+/g, " ").trim();
+  if (!base) return "No short takeaway available.";
+
+  const result = await runTask("tldr", { text: base.substring(0, 2000) });
+  let raw = (result.text || "").trim();
+
+  if (raw) {
+    raw = raw.replace(/^(TLDR|TL;DR|Summary|In summary|The study)\s*[:.-]*\s*/gi, "");
+    raw = raw.replace(/\s*…+\s*$/g, "").replace(/\s*\.\s*$/, "").trim();
+
+    if (!raw.endsWith('.')) raw += '.';
+
+    const words = raw.split(/\s+/);
+    if (words.length > 45) {
+      raw = words.slice(0, 45).join(" ").replace(/[.,;]\s*$/, "") + ".";
+    }
+
+    return raw;
+  }
+
+  return heuristicTldr(base);
+}
+
+function extractReferencesFromText(fullText = "") {
+  const text = (fullText || "").replace(/\r/g, "");
+  const m = text.match(/(references|bibliography)\s*[:\-]?\s*/i);
+  if (!m) return [];
+
+  const start = m.index + m[0].length;
+  const tail = text.slice(start, start + 20000);
+
+  let lines = tail.split("\n").map(s => s.trim()).filter(Boolean);
+
+  const entries = [];
+  let buf = "";
+  const newEntryRe = /^(\[\d+\]|\d+\.\s|•\s|-\s|[A-Z].+\(\d{4}\))/;
+  for (const ln of lines) {
+    if (!buf) { buf = ln; continue; }
+    if (newEntryRe.test(ln)) {
+      entries.push(buf.trim());
+      buf = ln;
+    } else {
+      buf += " " + ln;
+    }
+  }
+  if (buf) entries.push(buf.trim());
+
+  return entries.map(e => e.replace(/\s{2,}/g, " "));
+}
+
+module.exports = { normalizeParagraph, heuristicSummary, heuristicTldr, generateTldr, extractReferencesFromText };
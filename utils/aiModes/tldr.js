@@ -0,0 +1,40 @@
+// utils/aiModes/tldr.js
+const { generateTldr } = require("./text");
+
+/* ⚡ One-sentence takeaway (the "tldr" LLM task, heuristic fallback). */
+
+async function run({ paperText = "", abstract = "" } = {}) {
+  const source = (paperText || abstract || "").trim();
+  if (!source) return { text: "**Short Takeaway:** No content available for summary." };
+
+  let tldr = await generateTldr(source);
+
+  tldr = tldr.replace(/\s*\.\s*$/, "") + ".";
+  const words = tldr.split(/\s+/);
+  if (words.length > 50) {
+    tldr = words.slice(0, 50).join(" ").replace(/[.,;]\s*$/, "") + ".";
+  }
+
+  return { text: `**Short Takeaway:** ${tldr}` };
+}
+
+module.exports = {
+  name: "tldr",
+  version: 1,
+  task: "tldr",
+  description: "One-sentence takeaway of the study's main finding or purpose.",
+  inputs: {
+    type: "object",
+    properties: {
+      abstract: { type: "string", description: "Summarized when the paper text cannot be read." },
+    },
+  },
+  output: {
+    type: "object",
+    required: ["text"],
+    properties: {
+      text: { type: "string", description: "Markdown, \"**Short Takeaway:** …\"." },
+    },
+  },
+  run,
+};
@@ -0,0 +1,143 @@
+// utils/audit.js
+const AuditLog = require("../models/AuditLog");
+
+/* =========================================================
+   📝 Audit trail helpers
+   recordAudit() never throws — a failed audit write is logged
+   but must not break the request that triggered it.
+========================================================= */
+
+const RESEARCH_FIELDS = [
+  "title",
+  "author",
+  "coAuthors",
+  "adviser",
+  "student",
+  "abstract",
+  "year",
+  "keywords",
+  "category",
+  "categories",
+  "genreTags",
+  "college",
+  "landingPageUrl",
+  "status",
+  "facultyComment",
+  "submissionType",
+  "source",
+  "visibility",
+  "embargoUntil",
+  "allowedViewers",
+  "allowDownload",
+  "fileName",
+  "fileType",
+  "version",
+];
+
+const USER_FIELDS = ["firstName", "lastName", "email", "role", "college", "verified"];
+
+function plain(doc) {
+  if (!doc) return null;
+  return typeof doc.toObject === "function" ? doc.toObject({ transform: false }) : doc;
+}
+
+function normalizeValue(v) {
+  if (v === undefined) return null;
+  if (v instanceof Date) return v.toISOString();
+  if (v && typeof v === "object" && typeof v.toHexString === "function") return v.toHexString();
+  if (Array.isArray(v)) return v.map(normalizeValue);
+  return v;
+}
+
+/** Field-level before/after diff limited to `fields`. */
+function diff(before, after, fields) {
+  const b = plain(before) || {};
+  const a = plain(after) || {};
+  const changes = [];
+
+  for (const field of fields) {
+    const bv = normalizeValue(b[field]);
+    const av = normalizeValue(a[field]);
+    if (JSON.stringify(bv) !== JSON.stringify(av)) {
+      changes.push({ field, before: bv, after: av });
+    }
+  }
+  return changes;
+}
+
+function clientIp(req) {
+  return String(req?.ip || req?.headers?.["x-forwarded-for"] || req?.socket?.remoteAddress || "");
+}
+
+/**
+ * recordAudit(req, {
+ *   action, targetType: "research" | "user",
+ *   before, after,          // documents (lean or hydrated), either may be null
+ *   fields,                 // optional override of the diffed field list
+ *   meta                    // optional free-form context
+ * })
+ */
+async function recordAudit(req, { action, targetType = "research", before = null, after = null, fields, meta = {} }) {
+  try {
+    const subject = plain(after) || plain(before) || {};
+    const diffFields = fields || (targetType === "user" ? USER_FIELDS : RESEARCH_FIELDS);
+
+    await AuditLog.create({
+      actor: req?.user?.id || null,
+      actorEmail: req?.user?.email || "",
+      role: req?.user?.role || "",
+      action,
+      targetType,
+      targetId: subject._id ? String(subject._id) : "",
+      targetLabel: subject.title || subject.email || "",
+      changes: diff(before, after, diffFields),
+      meta,
+      ip: clientIp(req),
+      userAgent: String(req?.headers?.["user-agent"] || "").slice(0, 300),
+    });
+  } catch (err) {
+    console.error("❌ Audit write failed:", { action, error: err.message });
+  }
+}
+
+/* ---------- CSV export ---------- */
+function csvCell(v) {
+  let s = v == null ? "" : typeof v === "object" ? JSON.stringify(v) : String(v);
+  // spreadsheets run cells starting with = + - @ as formulas (titles are user-controlled)
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(entries) {
+  const header = [
+    "createdAt",
+    "actorEmail",
+    "role",
+    "action",
+    "targetType",
+    "targetId",
+    "targetLabel",
+    "ip",
+    "changes",
+  ];
+  const rows = entries.map((e) =>
+    [
+      e.createdAt ? new Date(e.createdAt).toISOString() : "",
+      e.actorEmail,
+      e.role,
+      e.action,
+      e.targetType,
+      e.targetId,
+      e.targetLabel,
+      e.ip,
+      (e.changes || [])
+        .map((c) => `${c.field}: ${JSON.stringify(c.before)} → ${JSON.stringify(c.after)}`)
+        .join("; "),
+    ]
+      .map(csvCell)
+      .join(",")
+  );
+  return [header.join(","), ...rows].join("\r\n");
+}
+
+module.exports = { recordAudit, diff, toCsv, RESEARCH_FIELDS, USER_FIELDS };
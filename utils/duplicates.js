@@ -0,0 +1,50 @@
+// utils/duplicates.js
+const Research = require("../models/Research");
+
+/* =========================================================
+   👯 Possible-duplicate detection
+   A new submission whose file hash matches any other record
+   (current file or an earlier version) is flagged; faculty and
+   staff lists show the matches via DUPLICATE_POPULATE.
+   Records created by publishing/importing an approved file
+   share its bytes on purpose and are not flagged.
+========================================================= */
+
+const MAX_MATCHES = 20;
+
+/** populate() spec for review/staff lists */
+const DUPLICATE_POPULATE = {
+  path: "possibleDuplicates",
+  select: "title author student status submissionType createdAt",
+};
+
+/** Stores the ids of other records with the same bytes on `doc`. Never throws. */
+async function flagDuplicates(doc) {
+  if (!doc?._id) return [];
+  try {
+    const fileHash = doc.fileHash;
+    const ids = fileHash
+      ? (
+          await Research.find({
+            _id: { $ne: doc._id },
+            $or: [{ fileHash }, { "versions.fileHash": fileHash }],
+          })
+            .sort({ createdAt: 1 })
+            .limit(MAX_MATCHES)
+            .select("_id")
+            .lean()
+        ).map((r) => r._id)
+      : [];
+
+    await Research.updateOne({ _id: doc._id }, { $set: { possibleDuplicates: ids } });
+    if (ids.length) {
+      console.warn("👯 Possible duplicate upload:", { id: String(doc._id), matches: ids.map(String) });
+    }
+    return ids;
+  } catch (err) {
+    console.error("❌ Duplicate check failed:", { id: String(doc._id), error: err.message });
+    return [];
+  }
+}
+
+module.exports = { DUPLICATE_POPULATE, flagDuplicates };
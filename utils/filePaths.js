@@ -0,0 +1,31 @@
+// utils/filePaths.js
+const fs = require("fs");
+const path = require("path");
+
+/* -------------------------------------------
+   Robust path resolver for anything in filePath
+   (absolute, /uploads/…, uploads/…, bare filename)
+-------------------------------------------- */
+const PROJECT_ROOT = path.join(__dirname, "..");
+
+function resolveAbsPathFromDB(storedPath) {
+  if (!storedPath) return null;
+  const p = String(storedPath).replace(/\\/g, "/");
+
+  if (p.startsWith("/uploads/")) {
+    return path.resolve(path.join(PROJECT_ROOT, `.${p}`));
+  }
+  if (p.startsWith("./")) return path.resolve(path.join(PROJECT_ROOT, p));
+  if (p.startsWith("uploads/")) return path.resolve(path.join(PROJECT_ROOT, p));
+
+  if (path.isAbsolute(p)) {
+    if (fs.existsSync(p)) return p;
+    const rebased = path.resolve(path.join(PROJECT_ROOT, "uploads", "research", path.basename(p)));
+    if (fs.existsSync(rebased)) return rebased;
+    return p;
+  }
+
+  return path.resolve(path.join(PROJECT_ROOT, "uploads", "research", p));
+}
+
+module.exports = { resolveAbsPathFromDB };
@@ -0,0 +1,167 @@
+// utils/fileStream.js
+const fs = require("fs");
+const storage = require("./storage");
+
+/* =========================================================
+   📤 Shared file streamer for every file-serving route
+   - single byte ranges (Range / If-Range, 206 / 416)
+   - ETag + If-None-Match, Last-Modified + If-Modified-Since
+   - private caching only: files sit behind auth/visibility
+   Access checks stay in the routes; call this last.
+========================================================= */
+
+const DEFAULT_CACHE = "private, max-age=0, must-revalidate";
+
+function etagFor(stat) {
+  if (stat.etag) return stat.etag;
+  return `"${stat.size.toString(16)}-${Math.floor(stat.mtime.getTime()).toString(16)}"`;
+}
+
+/** Local paths (preview images) or storage keys (research files). */
+function source({ absPath, key }) {
+  if (key) {
+    return {
+      stat: () => storage.stat(key),
+      open: (range) => storage.createReadStream(key, range),
+      label: key,
+    };
+  }
+  return {
+    stat: async () => {
+      const s = await fs.promises.stat(absPath);
+      return s.isFile() ? { size: s.size, mtime: s.mtime } : null;
+    },
+    open: (range) => fs.createReadStream(absPath, range),
+    label: absPath,
+  };
+}
+
+/** RFC 6266 Content-Disposition with an ASCII fallback name. */
+function contentDisposition(type, fileName) {
+  const name = String(fileName || "document.pdf");
+  const ascii = name.replace(/[^\x20-\x7e]/g, "_").replace(/["\\]/g, "_");
+  return `${type}; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+}
+
+function etagMatches(header, etag) {
+  if (!header) return false;
+  if (header.trim() === "*") return true;
+  const bare = etag.replace(/^W\//, "");
+  return header.split(",").some((t) => t.trim().replace(/^W\//, "") === bare);
+}
+
+function isNotModified(req, etag, mtime) {
+  const inm = req.headers["if-none-match"];
+  if (inm) return etagMatches(inm, etag);
+
+  const ims = Date.parse(req.headers["if-modified-since"] || "");
+  return !Number.isNaN(ims) && Math.floor(mtime.getTime() / 1000) * 1000 <= ims;
+}
+
+/**
+ * Parses a single "bytes=" range. Returns { start, end }, null (serve
+ * the whole file) or -1 (unsatisfiable).
+ */
+function parseRange(header, size) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(String(header || "").trim());
+  if (!m) return null; // multi-range / other units → full response
+  if (m[1] === "" && m[2] === "") return null;
+
+  let start;
+  let end;
+  if (m[1] === "") {
+    // suffix range: last N bytes
+    const n = parseInt(m[2], 10);
+    if (!n) return -1;
+    start = Math.max(size - n, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(m[1], 10);
+    end = m[2] === "" ? size - 1 : Math.min(parseInt(m[2], 10), size - 1);
+  }
+  if (start >= size || start > end) return -1;
+  return { start, end };
+}
+
+function rangeStillValid(req, etag, mtime) {
+  const ifRange = req.headers["if-range"];
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith("W/")) return ifRange === etag;
+  const d = Date.parse(ifRange);
+  return !Number.isNaN(d) && Math.floor(mtime.getTime() / 1000) * 1000 === d;
+}
+
+/**
+ * streamFile(req, res, {
+ *   key | absPath,          // storage key, or a plain local path
+ *   fileName, fileType,
+ *   disposition: "inline" | "attachment",
+ *   cacheControl            // defaults to private revalidation
+ * })
+ * Resolves once the response has been handed to the stream.
+ */
+async function streamFile(req, res, opts) {
+  const {
+    fileName,
+    fileType = "application/pdf",
+    disposition = "inline",
+    cacheControl = DEFAULT_CACHE,
+  } = opts;
+
+  const src = source(opts);
+
+  let stat;
+  try {
+    stat = await src.stat();
+  } catch (err) {
+    console.error("❌ Storage stat error:", { key: src.label, error: err.message });
+  }
+  if (!stat) return res.status(404).json({ error: "File not found on server" });
+  stat.mtime = new Date(stat.mtime);
+
+  const size = stat.size;
+  const etag = etagFor(stat);
+
+  res.setHeader("Accept-Ranges", "bytes");
+  res.setHeader("ETag", etag);
+  res.setHeader("Last-Modified", stat.mtime.toUTCString());
+  res.setHeader("Cache-Control", cacheControl);
+  res.setHeader("Vary", "Authorization");
+  res.setHeader("X-Content-Type-Options", "nosniff");
+
+  if (isNotModified(req, etag, stat.mtime)) {
+    return res.status(304).end();
+  }
+
+  res.setHeader("Content-Type", fileType || "application/octet-stream");
+  res.setHeader("Content-Disposition", contentDisposition(disposition, fileName));
+
+  let range = null;
+  if (req.headers.range && rangeStillValid(req, etag, stat.mtime)) {
+    range = parseRange(req.headers.range, size);
+    if (range === -1) {
+      res.setHeader("Content-Range", `bytes */${size}`);
+      return res.status(416).end();
+    }
+  }
+
+  const start = range ? range.start : 0;
+  const end = range ? range.end : size - 1;
+
+  res.status(range ? 206 : 200);
+  res.setHeader("Content-Length", size ? end - start + 1 : 0);
+  if (range) res.setHeader("Content-Range", `bytes ${start}-${end}/${size}`);
+
+  if (req.method === "HEAD" || size === 0) return res.end();
+
+  const stream = src.open({ start, end });
+  stream.on("error", (err) => {
+    console.error("❌ Stream error:", { path: src.label, error: err.message });
+    if (!res.headersSent) res.status(500).json({ error: "Failed to stream file" });
+    else res.destroy(err);
+  });
+  res.on("close", () => stream.destroy());
+  stream.pipe(res);
+}
+
+module.exports = { streamFile, contentDisposition };
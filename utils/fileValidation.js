@@ -0,0 +1,112 @@
+// utils/fileValidation.js
+const fs = require("fs");
+
+/* =========================================================
+   🧪 Server-side upload validation
+   - file type from magic bytes (the declared mimetype and
+     extension are not trusted)
+   - PDFs must parse and must not be encrypted
+   - size / page limits per role
+   Env override: UPLOAD_ROLE_LIMITS='{"student":{"maxMB":50,"maxPages":400}}'
+========================================================= */
+
+const MB = 1024 * 1024;
+
+const TYPES = {
+  pdf: "application/pdf",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  doc: "application/msword",
+};
+
+const DEFAULT_ROLE_LIMITS = {
+  student: { maxMB: 50, maxPages: 400 },
+  faculty: { maxMB: 50, maxPages: 800 },
+  staff:   { maxMB: 100, maxPages: 2000 },
+  admin:   { maxMB: 100, maxPages: 2000 },
+};
+
+function roleLimits(role) {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.UPLOAD_ROLE_LIMITS || "{}");
+  } catch {
+    console.warn("⚠️ UPLOAD_ROLE_LIMITS is not valid JSON; using defaults");
+  }
+  const base = DEFAULT_ROLE_LIMITS[role] || DEFAULT_ROLE_LIMITS.student;
+  const { maxMB, maxPages } = { ...base, ...(overrides[role] || {}) };
+  return { maxBytes: maxMB * MB, maxPages };
+}
+
+/** "pdf" | "docx" | "doc" | null, from the first bytes of the file. */
+function sniffKind(buf) {
+  // PDF header may follow a little junk, but must sit in the first 1KB
+  if (buf.subarray(0, 1024).includes("%PDF-")) return "pdf";
+
+  if (buf.length > 4 && buf[0] === 0x50 && buf[1] === 0x4b && buf[2] === 0x03 && buf[3] === 0x04) {
+    // ZIP: only a Word document if the package has the main part
+    return buf.includes("word/document.xml") && buf.includes("[Content_Types].xml") ? "docx" : null;
+  }
+
+  const ole = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+  if (buf.length > 8 && ole.every((b, i) => buf[i] === b)) return "doc";
+
+  return null;
+}
+
+/**
+ * Page count of a readable PDF; throws a user-facing Error otherwise.
+ * Owner-password PDFs (permission restrictions only) open fine and are
+ * accepted; pdf-parse fails with a PasswordException when a password
+ * is needed to open the file.
+ */
+async function inspectPdf(buf) {
+  const pdfParse = require("pdf-parse");
+  try {
+    // one page is enough to prove it parses; numpages still covers the whole file
+    // (plain Uint8Array copy: pdf.js mis-reads small, pooled Buffers)
+    const data = await pdfParse(new Uint8Array(buf), { max: 1 });
+    return data.numpages || 0;
+  } catch (err) {
+    if (/password/i.test(err?.name || "") || /password/i.test(err?.message || "")) {
+      throw new Error("Encrypted or password-protected PDFs are not accepted");
+    }
+    throw new Error("The PDF appears to be corrupt and could not be read");
+  }
+}
+
+/**
+ * Validates a staged upload for `user`.
+ *   accept: kinds the route takes, e.g. ["pdf", "docx"]
+ * → { kind, fileType, pages } or { error, status }
+ */
+async function validateFile(absPath, user, { accept = ["pdf"] } = {}) {
+  const limits = roleLimits(user?.role);
+  const { size } = await fs.promises.stat(absPath);
+  if (!size) return { error: "The uploaded file is empty", status: 400 };
+  if (size > limits.maxBytes) {
+    return { error: `File exceeds ${Math.round(limits.maxBytes / MB)}MB limit for your role.`, status: 413 };
+  }
+
+  const buf = await fs.promises.readFile(absPath);
+  const kind = sniffKind(buf);
+  if (!kind || !accept.includes(kind)) {
+    const names = accept.map((k) => k.toUpperCase()).join(" or ");
+    return { error: `File content is not a valid ${names} document`, status: 415 };
+  }
+
+  let pages = null;
+  if (kind === "pdf") {
+    try {
+      pages = await inspectPdf(buf);
+    } catch (err) {
+      return { error: err.message, status: 422 };
+    }
+    if (limits.maxPages && pages > limits.maxPages) {
+      return { error: `PDF has ${pages} pages; the limit for your role is ${limits.maxPages}.`, status: 413 };
+    }
+  }
+
+  return { kind, fileType: TYPES[kind], pages };
+}
+
+module.exports = { TYPES, roleLimits, sniffKind, validateFile };
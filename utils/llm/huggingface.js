@@ -0,0 +1,82 @@
+// utils/llm/huggingface.js
+
+/* =========================================================
+   🤗 Hugging Face Inference provider (@huggingface/inference)
+   Env: HF_TOKEN
+   Entry options:
+     model     e.g. "facebook/bart-large-cnn"
+     kind      summarization (default) | text-generation | chat
+     instruct  prepend the task instruction to the input
+               (summarizers like BART usually do better without)
+     prefix    literal input prefix, e.g. "summarize: " for T5
+     hfProvider  inference provider (default "hf-inference")
+========================================================= */
+
+let client = null;
+function hf() {
+  if (client) return client;
+  const { InferenceClient } = require("@huggingface/inference");
+  client = new InferenceClient(process.env.HF_TOKEN);
+  return client;
+}
+
+const RETRYABLE = [408, 429, 500, 502, 503, 504];
+
+function available() {
+  return !!process.env.HF_TOKEN;
+}
+
+/** → generated text; throws with err.retryable for busy/starting models and network errors. */
+async function generate({ model, instruction, text, minLength, maxLength, temperature, entry }, { signal }) {
+  const kind = entry.kind || "summarization";
+  const body = `${entry.prefix || ""}${entry.instruct && instruction ? `${instruction}\n\n` : ""}${text}`;
+  const options = { signal };
+  const provider = entry.hfProvider || "hf-inference";
+
+  try {
+    if (kind === "chat") {
+      const out = await hf().chatCompletion(
+        {
+          model,
+          provider,
+          messages: [
+            ...(instruction ? [{ role: "system", content: instruction }] : []),
+            { role: "user", content: text },
+          ],
+          max_tokens: maxLength ? Math.ceil(maxLength * 1.5) : undefined,
+          temperature,
+        },
+        options
+      );
+      return out?.choices?.[0]?.message?.content || "";
+    }
+    if (kind === "text-generation") {
+      const out = await hf().textGeneration(
+        {
+          model,
+          provider,
+          inputs: body,
+          parameters: { max_new_tokens: maxLength, temperature, do_sample: false, return_full_text: false },
+        },
+        options
+      );
+      return out?.generated_text || "";
+    }
+    const out = await hf().summarization(
+      {
+        model,
+        provider,
+        inputs: body,
+        parameters: { min_length: minLength, max_length: maxLength, do_sample: false },
+      },
+      options
+    );
+    return out?.summary_text || "";
+  } catch (err) {
+    const status = err?.httpResponse?.status;
+    err.retryable = status ? RETRYABLE.includes(status) : err?.name !== "InferenceClientInputError";
+    throw err;
+  }
+}
+
+module.exports = { name: "huggingface", available, generate };
@@ -0,0 +1,190 @@
+// utils/llm/index.js
+
+/* =========================================================
+   🧠 LLM layer — every model call from /api/ai goes through
+   runTask(task, { text }). A task (summary, tldr, methods,
+   recommendations) has an instruction, length limits and a
+   fallback chain of { provider, model, … } entries; each entry
+   is tried with its own timeout and retries (busy models,
+   rate limits, network errors) before the next one is used.
+   Entries whose provider is not configured (no key / URL) are
+   skipped.
+
+   Providers: huggingface | openai (any OpenAI-compatible API,
+   including local llama.cpp / Ollama) | mock (deterministic).
+
+   Config, per task, merged over the defaults below:
+     LLM_TASKS='{"summary":{"chain":[{"provider":"openai","model":"gpt-4o-mini"},
+                                      {"provider":"huggingface","model":"facebook/bart-large-cnn"}]},
+                 "tldr":{"timeoutMs":15000,"tries":1}}'
+   Shortcut for every task without its own chain:
+     LLM_PROVIDER=mock | openai | huggingface   (+ LLM_MODEL)
+========================================================= */
+
+const PROVIDERS = {
+  huggingface: require("./huggingface"),
+  openai: require("./openai"),
+  mock: require("./mock"),
+};
+
+const BART = { provider: "huggingface", model: "facebook/bart-large-cnn" };
+
+const DEFAULT_TASKS = {
+  summary: {
+    instruction:
+      "Summarize the following academic text into a clear, single-paragraph abstract (150–220 words) using formal academic English.",
+    chain: [
+      BART,
+      { ...BART, instruct: true },
+      { provider: "huggingface", model: "t5-base", prefix: "summarize: ", instruct: true },
+    ],
+    minLength: 150,
+    maxLength: 220,
+    temperature: 0.4,
+    minChars: 80,
+    timeoutMs: 60000,
+    tries: 3,
+  },
+  tldr: {
+    instruction:
+      "Provide a very concise one-sentence TL;DR (under 40 words) capturing the main finding or purpose. Be direct and avoid fluff:",
+    chain: [{ ...BART, instruct: true }],
+    minLength: 10,
+    maxLength: 40,
+    temperature: 0.3,
+    minChars: 10,
+    timeoutMs: 25000,
+    tries: 2,
+  },
+  methods: {
+    instruction:
+      "Describe the research design, setting, participants, instruments and data analysis of this study in a few concise sentences.",
+    chain: [{ ...BART, instruct: true }],
+    minLength: 60,
+    maxLength: 250,
+    temperature: 0.3,
+    minChars: 60,
+    timeoutMs: 30000,
+    tries: 2,
+  },
+  recommendations: {
+    instruction:
+      'Extract all research recommendations from this text. Look for both structured lists and paragraph-style recommendations. Focus on sentences with words like "recommended", "should", "suggested", "proposed", "encouraged", "must". List each recommendation clearly, even if they are embedded in paragraphs:',
+    chain: [{ ...BART, instruct: true }],
+    minLength: 100,
+    maxLength: 800,
+    temperature: 0.3,
+    minChars: 15,
+    timeoutMs: 30000,
+    tries: 2,
+  },
+};
+
+const BACKOFF_MS = 800;
+
+function loadOverrides() {
+  try {
+    return JSON.parse(process.env.LLM_TASKS || "{}");
+  } catch (err) {
+    console.warn("⚠️ Invalid LLM_TASKS config, using defaults:", err.message);
+    return {};
+  }
+}
+
+/** Effective config of a task (defaults ← LLM_PROVIDER shortcut ← LLM_TASKS). */
+function taskConfig(task) {
+  const base = DEFAULT_TASKS[task];
+  if (!base) throw new Error(`Unknown LLM task "${task}"`);
+  const override = loadOverrides()[task] || {};
+
+  const cfg = { ...base, ...override };
+  if (!override.chain && process.env.LLM_PROVIDER) {
+    const provider = process.env.LLM_PROVIDER;
+    const same = base.chain.find((e) => e.provider === provider);
+    cfg.chain = [{ ...(same || {}), provider, model: process.env.LLM_MODEL || same?.model || "default" }];
+  }
+  cfg.chain = (Array.isArray(cfg.chain) ? cfg.chain : []).filter((e) => e && PROVIDERS[e.provider]);
+  return cfg;
+}
+
+/** "provider:model" — what produced a result (part of the AI cache key). */
+const modelId = (entry) => `${entry.provider}:${entry.model || "default"}`;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/** One provider call, aborted after timeoutMs. */
+async function callOnce(entry, request, timeoutMs) {
+  const ac = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      ac.abort();
+      reject(Object.assign(new Error(`timed out after ${timeoutMs}ms`), { retryable: true }));
+    }, timeoutMs);
+  });
+  try {
+    return await Promise.race([PROVIDERS[entry.provider].generate(request, { signal: ac.signal }), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Runs a task down its fallback chain.
+ *   text         input text
+ *   instruction  overrides the task's instruction
+ * → { text, provider, model, modelId } or { error, attempts: [{ model, error }] }
+ * Never throws.
+ */
+async function runTask(task, { text, instruction } = {}) {
+  let cfg;
+  try {
+    cfg = taskConfig(task);
+  } catch (err) {
+    return { error: err.message, attempts: [] };
+  }
+
+  const attempts = [];
+  for (const entry of cfg.chain) {
+    const provider = PROVIDERS[entry.provider];
+    if (!provider.available(entry)) {
+      attempts.push({ model: modelId(entry), error: "provider not configured" });
+      continue;
+    }
+
+    const request = {
+      task,
+      model: entry.model,
+      instruction: instruction ?? cfg.instruction,
+      text: String(text || ""),
+      minLength: entry.minLength ?? cfg.minLength,
+      maxLength: entry.maxLength ?? cfg.maxLength,
+      temperature: entry.temperature ?? cfg.temperature,
+      entry,
+    };
+    const tries = Math.max(Number(entry.tries ?? cfg.tries) || 1, 1);
+    const timeoutMs = Number(entry.timeoutMs ?? cfg.timeoutMs) || 30000;
+
+    let delay = BACKOFF_MS;
+    for (let attempt = 1; attempt <= tries; attempt++) {
+      try {
+        const out = String((await callOnce(entry, request, timeoutMs)) || "").trim();
+        if (out.length >= (cfg.minChars || 1)) {
+          return { text: out, provider: entry.provider, model: entry.model, modelId: modelId(entry) };
+        }
+        attempts.push({ model: modelId(entry), error: "output too short" });
+        break; // a short answer will not get longer on retry; try the next entry
+      } catch (err) {
+        attempts.push({ model: modelId(entry), error: err.message });
+        if (!err.retryable || attempt === tries) break;
+        await sleep(delay);
+        delay *= 1.6;
+      }
+    }
+  }
+
+  if (attempts.length) console.warn(`⚠️ LLM task "${task}" fell through:`, attempts);
+  return { error: `No model produced a ${task} result`, attempts };
+}
+
+module.exports = { PROVIDERS, TASKS: Object.keys(DEFAULT_TASKS), taskConfig, modelId, runTask };
@@ -0,0 +1,43 @@
+// utils/llm/mock.js
+
+/* =========================================================
+   🧪 Deterministic mock provider (tests / offline dev)
+   Same input → same output, no network. Picks sentences from
+   the input: for "recommendations" the ones that recommend
+   something, otherwise the leading ones, cut to maxLength words.
+   Entry options:
+     fail   "retryable" | "fatal" — always throw (to exercise
+            retries and fallback chains)
+========================================================= */
+
+function available() {
+  return true;
+}
+
+async function generate({ task, text, maxLength, entry }) {
+  if (entry.fail) {
+    throw Object.assign(new Error(`mock provider failure (${entry.fail})`), {
+      retryable: entry.fail === "retryable",
+    });
+  }
+
+  const sentences = String(text || "")
+    .replace(/\s+/g, " ")
+    .split(/(?<=[.!?])\s+/)
+    .map((s) => s.trim())
+    .filter((s) => s.length > 20);
+
+  const picked =
+    task === "recommendations"
+      ? sentences.filter((s) => /\b(recommend\w*|should|suggest\w*|propos\w*|encourag\w*|must)\b/i.test(s))
+      : sentences;
+
+  if (task === "recommendations") return picked.join("\n");
+  return picked
+    .join(" ")
+    .split(" ")
+    .slice(0, maxLength || 120)
+    .join(" ");
+}
+
+module.exports = { name: "mock", available, generate };
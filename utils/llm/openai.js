@@ -0,0 +1,58 @@
+// utils/llm/openai.js
+
+/* =========================================================
+   🧠 OpenAI-compatible chat provider (openai SDK)
+   Works with OpenAI itself and anything speaking the same API:
+   a local llama.cpp server (http://localhost:8080/v1), Ollama
+   (http://localhost:11434/v1), vLLM, LM Studio, …
+   Env: OPENAI_API_KEY, OPENAI_BASE_URL (optional)
+   Entry options:
+     model       e.g. "gpt-4o-mini", "llama3.1:8b"
+     baseURL     per-entry endpoint (overrides OPENAI_BASE_URL)
+     apiKeyEnv   env var holding the key for this entry
+========================================================= */
+
+const clients = new Map(); // baseURL|key → OpenAI
+function openai(entry) {
+  const baseURL = entry.baseURL || process.env.OPENAI_BASE_URL || undefined;
+  // local servers ignore the key, but the SDK insists on one
+  const apiKey = (entry.apiKeyEnv && process.env[entry.apiKeyEnv]) || process.env.OPENAI_API_KEY || "not-needed";
+  const id = `${baseURL || ""}|${apiKey}`;
+  if (!clients.has(id)) {
+    const OpenAI = require("openai");
+    // retries/timeouts are handled by utils/llm for every provider alike
+    clients.set(id, new OpenAI({ apiKey, baseURL, maxRetries: 0 }));
+  }
+  return clients.get(id);
+}
+
+const RETRYABLE = [408, 409, 429, 500, 502, 503, 504];
+
+function available(entry = {}) {
+  return !!(entry.baseURL || process.env.OPENAI_BASE_URL || process.env.OPENAI_API_KEY);
+}
+
+/** → generated text; throws with err.retryable for rate limits, 5xx and connection errors. */
+async function generate({ model, instruction, text, maxLength, temperature, entry }, { signal }) {
+  try {
+    const out = await openai(entry).chat.completions.create(
+      {
+        model,
+        messages: [
+          ...(instruction ? [{ role: "system", content: instruction }] : []),
+          { role: "user", content: text },
+        ],
+        // maxLength is in words; leave room for tokenization
+        max_tokens: maxLength ? Math.ceil(maxLength * 1.5) : undefined,
+        temperature,
+      },
+      { signal }
+    );
+    return out?.choices?.[0]?.message?.content || "";
+  } catch (err) {
+    err.retryable = err?.status ? RETRYABLE.includes(err.status) : true;
+    throw err;
+  }
+}
+
+module.exports = { name: "openai", available, generate };
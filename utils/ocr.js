@@ -0,0 +1,48 @@
+// utils/ocr.js
+/* =========================================================
+   🖨️ OCR for image-only (scanned) PDFs
+   pdf2pic rasterizes one page at a time (needs GraphicsMagick
+   + Ghostscript on the host), tesseract.js reads it.
+   Both are required lazily so the API still boots without them.
+========================================================= */
+
+const OCR_LANG = process.env.OCR_LANG || "eng";
+const OCR_DENSITY = Number(process.env.OCR_DENSITY || 200);
+const OCR_MAX_PAGES = Number(process.env.OCR_MAX_PAGES || 300);
+
+/**
+ * OCRs the first `numPages` pages of a PDF.
+ * Returns [{ page, text, confidence }] (confidence 0–100).
+ */
+async function ocrPdf(absPath, { numPages = 1 } = {}) {
+  const { fromPath } = require("pdf2pic");
+  const { createWorker } = require("tesseract.js");
+
+  const convert = fromPath(absPath, {
+    density: OCR_DENSITY,
+    format: "png",
+    width: 1700,
+    height: 2200,
+    preserveAspectRatio: true,
+  });
+
+  const worker = await createWorker(OCR_LANG);
+  const pages = [];
+  try {
+    const last = Math.min(numPages, OCR_MAX_PAGES);
+    for (let page = 1; page <= last; page++) {
+      const image = await convert(page, { responseType: "buffer" });
+      const { data } = await worker.recognize(image.buffer);
+      pages.push({
+        page,
+        text: String(data?.text || "").trim(),
+        confidence: Math.round(Number(data?.confidence) || 0),
+      });
+    }
+  } finally {
+    await worker.terminate();
+  }
+  return pages;
+}
+
+module.exports = { ocrPdf, OCR_MAX_PAGES };
@@ -0,0 +1,117 @@
+// utils/ocrQueue.js
+const fs = require("fs");
+const pdfParse = require("pdf-parse");
+const Research = require("../models/Research");
+const storage = require("./storage");
+const { ocrPdf } = require("./ocr");
+
+/* =========================================================
+   🖨️ Background OCR for image-only PDFs
+   BullMQ when REDIS_HOST is set (same setup as the student
+   notify queue), otherwise an in-process queue that runs one
+   job at a time. Results go to textPages/extractedText (search
+   + AI) and per-page confidence to `ocr` (research-admin list).
+========================================================= */
+
+const connection = { host: process.env.REDIS_HOST, port: Number(process.env.REDIS_PORT || 6379) };
+
+async function pageCount(absPath) {
+  // plain Uint8Array copy: pdf.js mis-reads small (pooled) Buffers
+  const data = await pdfParse(new Uint8Array(fs.readFileSync(absPath)), { max: 1 });
+  return data.numpages || 1;
+}
+
+/**
+ * Runs OCR for one record. `key` guards against a newer upload meanwhile;
+ * `source` is the PDF actually read (a DOC/DOCX record's rendition).
+ */
+async function runOcrJob({ researchId, key, source = key }) {
+  const guard = { _id: researchId, ...storage.keyFilter(key) };
+  const attemptStart = new Date();
+
+  const claimed = await Research.updateOne(guard, {
+    $set: { "ocr.status": "running", "ocr.startedAt": attemptStart, "ocr.error": "" },
+    $inc: { "ocr.attempts": 1 },
+  });
+  if (!claimed.matchedCount) return; // record deleted or file replaced
+
+  try {
+    if (!(await storage.exists(source))) throw new Error("File missing from storage");
+
+    const pages = await storage.withLocalFile(source, async (absPath) =>
+      ocrPdf(absPath, { numPages: await pageCount(absPath) })
+    );
+    const texts = pages.map((p) => p.text);
+    const text = texts.join("\n\n").trim();
+    const avg = pages.length
+      ? Math.round(pages.reduce((n, p) => n + p.confidence, 0) / pages.length)
+      : 0;
+
+    await Research.updateOne(guard, {
+      $set: {
+        textPages: texts,
+        extractedText: text,
+        textExtraction: {
+          status: text ? "done" : "empty",
+          method: "ocr",
+          pages: pages.length,
+          chars: text.length,
+          extractedAt: new Date(),
+          error: "",
+        },
+        "ocr.status": "done",
+        "ocr.pages": pages.map((p) => ({ page: p.page, confidence: p.confidence, chars: p.text.length })),
+        "ocr.avgConfidence": avg,
+        "ocr.finishedAt": new Date(),
+      },
+    });
+    console.log(`🖨️ OCR done for ${researchId} (${pages.length} pages, ~${avg}% confidence)`);
+  } catch (err) {
+    console.error("❌ OCR job failed:", { id: String(researchId), error: err.message });
+    await Research.updateOne(guard, {
+      $set: { "ocr.status": "failed", "ocr.error": err.message, "ocr.finishedAt": new Date() },
+    }).catch(() => {});
+    throw err;
+  }
+}
+
+let ocrQueue = null;
+let hasRedis = !!process.env.REDIS_HOST;
+if (hasRedis) {
+  try {
+    const { Queue, Worker } = require("bullmq");
+    ocrQueue = new Queue("ocr", { connection });
+    new Worker("ocr", (job) => runOcrJob(job.data), { connection, concurrency: 1 });
+  } catch (e) {
+    console.warn("⚠️ BullMQ not available; OCR runs in-process.", e?.message || e);
+    hasRedis = false;
+  }
+}
+
+let chain = Promise.resolve();
+
+/** Marks the record queued and schedules OCR. Never throws. */
+async function queueOcr({ researchId, key, source = key }) {
+  try {
+    await Research.updateOne(
+      { _id: researchId, ...storage.keyFilter(key) },
+      { $set: { "ocr.status": "queued", "ocr.error": "", "ocr.pages": [], "ocr.avgConfidence": null } }
+    );
+
+    const data = { researchId: String(researchId), key, source };
+    if (hasRedis && ocrQueue) {
+      await ocrQueue.add("ocr-pdf", data, {
+        jobId: `ocr-${researchId}-${Date.now()}`,
+        attempts: 2,
+        backoff: { type: "exponential", delay: 60_000 },
+        removeOnComplete: true,
+      });
+    } else {
+      chain = chain.then(() => runOcrJob(data)).catch(() => {});
+    }
+  } catch (err) {
+    console.error("❌ Could not queue OCR:", { id: String(researchId), error: err.message });
+  }
+}
+
+module.exports = { queueOcr };
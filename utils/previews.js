@@ -0,0 +1,150 @@
+// utils/previews.js
+const fs = require("fs");
+const path = require("path");
+const Research = require("../models/Research");
+const storage = require("./storage");
+const { isQuarantined } = require("./scanner");
+const { pdfSource } = require("./renditions");
+
+/* =========================================================
+   🖼️ Cover thumbnail + low-res page previews
+   Rendered with pdf2pic (GraphicsMagick/Ghostscript) and
+   shrunk with sharp into uploads/previews/<researchId>/:
+     cover.webp   (THUMB_WIDTH wide)
+     page-N.webp  (first PREVIEW_PAGES pages, PREVIEW_WIDTH wide)
+   Served only through /api/repository/:id/thumbnail|preview/:page.
+========================================================= */
+
+const PREVIEW_ROOT = path.join(__dirname, "..", "uploads", "previews");
+const THUMB_WIDTH = Number(process.env.THUMB_WIDTH || 320);
+const PREVIEW_WIDTH = Number(process.env.PREVIEW_WIDTH || 800);
+const PREVIEW_PAGES = Number(process.env.PREVIEW_PAGES || 3);
+
+const previewDir = (researchId) => path.join(PREVIEW_ROOT, String(researchId));
+
+/** Absolute path of a generated image, or null if it does not exist. */
+function previewFile(researchId, name) {
+  if (!/^(cover|page-\d+)$/.test(name)) return null;
+  const abs = path.join(previewDir(researchId), `${name}.webp`);
+  return fs.existsSync(abs) ? abs : null;
+}
+
+function removePreviews(researchId) {
+  try {
+    fs.rmSync(previewDir(researchId), { recursive: true, force: true });
+  } catch {}
+}
+
+/** `key` is the record's file (guard + sourcePath); `source` the PDF rendered. */
+async function renderPreviews(researchId, key, source = key) {
+  const guard = { _id: researchId, ...storage.keyFilter(key) };
+
+  try {
+    const count = await storage.withLocalFile(source, (absPath) => renderFrom(researchId, absPath));
+    await Research.updateOne(guard, {
+      $set: {
+        preview: { status: "done", pages: count, sourcePath: key, generatedAt: new Date(), error: "" },
+      },
+    });
+  } catch (err) {
+    console.error("❌ Preview generation failed:", { id: String(researchId), error: err.message });
+    await Research.updateOne(guard, {
+      $set: { "preview.status": "failed", "preview.error": err.message, "preview.sourcePath": key },
+    }).catch(() => {});
+  }
+}
+
+/** Renders images from a local PDF; returns the number of page previews. */
+async function renderFrom(researchId, absPath) {
+  const { fromPath } = require("pdf2pic");
+  const sharp = require("sharp");
+  const pdfParse = require("pdf-parse");
+
+  // plain Uint8Array copy: pdf.js mis-reads small (pooled) Buffers
+  const numPages = (await pdfParse(new Uint8Array(fs.readFileSync(absPath)), { max: 1 })).numpages || 1;
+  const convert = fromPath(absPath, {
+    density: 96,
+    format: "png",
+    width: PREVIEW_WIDTH,
+    height: Math.round(PREVIEW_WIDTH * 1.4142),
+    preserveAspectRatio: true,
+  });
+
+  const dir = previewDir(researchId);
+  removePreviews(researchId);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const count = Math.min(numPages, PREVIEW_PAGES);
+  for (let page = 1; page <= count; page++) {
+    const { buffer } = await convert(page, { responseType: "buffer" });
+    await sharp(buffer)
+      .resize({ width: PREVIEW_WIDTH, withoutEnlargement: true })
+      .webp({ quality: 60 })
+      .toFile(path.join(dir, `page-${page}.webp`));
+
+    if (page === 1) {
+      await sharp(buffer)
+        .resize({ width: THUMB_WIDTH, withoutEnlargement: true })
+        .webp({ quality: 70 })
+        .toFile(path.join(dir, "cover.webp"));
+    }
+  }
+  return count;
+}
+
+let chain = Promise.resolve();
+const inFlight = new Set();
+
+/**
+ * Schedules preview rendering for a doc's current file.
+ * PDFs (or DOC/DOCX with a ready rendition) only; never throws and
+ * never blocks the caller.
+ */
+function queuePreviews(doc) {
+  const key = storage.fileKey(doc);
+  if (!doc?._id || !key || isQuarantined(doc)) return;
+  const pdf = pdfSource(doc);
+  if (!pdf) return;
+
+  const jobKey = `${doc._id}:${key}`;
+  if (inFlight.has(jobKey)) return;
+  inFlight.add(jobKey);
+
+  const researchId = doc._id;
+
+  Research.updateOne(
+    { _id: researchId, ...storage.keyFilter(key) },
+    { $set: { "preview.status": "pending", "preview.error": "" } }
+  ).catch(() => {});
+
+  chain = chain
+    .then(() => renderPreviews(researchId, key, pdf.key))
+    .catch((err) => console.error("❌ Preview queue error:", err.message))
+    .finally(() => inFlight.delete(jobKey));
+}
+
+/** Are the stored previews for the doc's current file? */
+function previewsReady(doc) {
+  const p = doc?.preview || {};
+  return p.status === "done" && p.sourcePath === storage.fileKey(doc);
+}
+
+/** URLs for sanitize(); `base` is the public API base. */
+function previewUrls(doc, base) {
+  if (!doc?._id || !doc.fileName) return { thumbnailUrl: null, previewUrls: [] };
+  const root = `${base}/repository/${doc._id}`;
+  const pages = previewsReady(doc) ? doc.preview.pages || 0 : 0;
+  return {
+    thumbnailUrl: `${root}/thumbnail`,
+    previewUrls: Array.from({ length: pages }, (_, i) => `${root}/preview/${i + 1}`),
+  };
+}
+
+module.exports = {
+  PREVIEW_PAGES,
+  previewFile,
+  removePreviews,
+  queuePreviews,
+  previewsReady,
+  previewUrls,
+};
@@ -0,0 +1,249 @@
+// utils/renditions.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const Research = require("../models/Research");
+const storage = require("./storage");
+
+/* =========================================================
+   📄➡️📕 PDF renditions of DOC/DOCX submissions
+   The uploaded original stays the record's file (authors download
+   it as-is); viewing, previews, text extraction / AI and publishing
+   use `rendition`, a PDF converted from it and stored like any file.
+   DOC_CONVERTER=libreoffice | stub   (default libreoffice)
+   - libreoffice: `soffice --headless --convert-to pdf`
+                  (LIBREOFFICE_BIN, LIBREOFFICE_TIMEOUT_MS)
+   - stub:        one-page placeholder PDF (tests/dev without LibreOffice)
+========================================================= */
+
+const PDF_TYPE = "application/pdf";
+const WORD_TYPES = [
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+];
+const TIMEOUT_MS = Number(process.env.LIBREOFFICE_TIMEOUT_MS) || 120000;
+
+const extOf = (doc) => path.extname(String(doc?.fileName || "")).toLowerCase();
+
+const isPdf = (doc) =>
+  String(doc?.fileType || "").toLowerCase() === PDF_TYPE || extOf(doc) === ".pdf";
+
+/** DOC/DOCX files get a PDF rendition. */
+const needsRendition = (doc) =>
+  !isPdf(doc) &&
+  (WORD_TYPES.includes(String(doc?.fileType || "").toLowerCase()) || [".doc", ".docx"].includes(extOf(doc)));
+
+/** Is the stored rendition for the doc's current file? */
+function renditionReady(doc) {
+  const r = doc?.rendition || {};
+  return r.status === "done" && !!r.storageKey && r.sourceKey === storage.fileKey(doc);
+}
+
+/**
+ * The PDF to view / process for a record (or version entry):
+ * its own file when that is a PDF, else a ready rendition, else null.
+ * → { key, fileHash, fileSize, fileName, fileType }
+ */
+function pdfSource(doc) {
+  const key = storage.fileKey(doc);
+  if (!key) return null;
+  if (isPdf(doc)) {
+    return {
+      key,
+      fileHash: doc.fileHash || "",
+      fileSize: doc.fileSize || 0,
+      fileName: doc.fileName || "document.pdf",
+      fileType: PDF_TYPE,
+    };
+  }
+  if (!renditionReady(doc)) return null;
+  const r = doc.rendition;
+  return {
+    key: r.storageKey,
+    fileHash: r.fileHash || "",
+    fileSize: r.fileSize || 0,
+    fileName: r.fileName,
+    fileType: PDF_TYPE,
+  };
+}
+
+/** The uploaded file itself (what its author downloads). */
+function originalSource(doc) {
+  const key = storage.fileKey(doc);
+  if (!key) return null;
+  return {
+    key,
+    fileHash: doc.fileHash || "",
+    fileSize: doc.fileSize || 0,
+    fileName: doc.fileName || "document",
+    fileType: doc.fileType || "application/octet-stream",
+  };
+}
+
+/**
+ * File a viewer should get: the PDF when there is one, the original for
+ * other types, null while a DOC/DOCX is still waiting for its rendition.
+ */
+function viewSource(doc) {
+  const pdf = pdfSource(doc);
+  if (pdf || needsRendition(doc)) return pdf;
+  return originalSource(doc);
+}
+
+const pdfNameFor = (fileName) =>
+  `${path.basename(String(fileName || "document"), path.extname(String(fileName || ""))) || "document"}.pdf`;
+
+/* ---------- converters: (absPath, fileName) → path of a temp PDF ---------- */
+function libreofficeConvert(absPath) {
+  return new Promise((resolve, reject) => {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), "rendition-"));
+    // private profile dir: parallel soffice instances would fight over the user's
+    const profile = `file://${path.join(outDir, "profile")}`;
+    execFile(
+      process.env.LIBREOFFICE_BIN || "soffice",
+      [`-env:UserInstallation=${profile}`, "--headless", "--convert-to", "pdf", "--outdir", outDir, absPath],
+      { timeout: TIMEOUT_MS },
+      (err, _stdout, stderr) => {
+        const out = path.join(outDir, `${path.basename(absPath, path.extname(absPath))}.pdf`);
+        if (err || !fs.existsSync(out)) {
+          fs.rmSync(outDir, { recursive: true, force: true });
+          return reject(new Error(err?.message || String(stderr || "").trim() || "LibreOffice produced no PDF"));
+        }
+        resolve({ path: out, cleanup: () => fs.rmSync(outDir, { recursive: true, force: true }) });
+      }
+    );
+  });
+}
+
+/** Smallest valid one-page PDF with a few Helvetica lines. */
+function placeholderPdf(lines) {
+  const esc = (s) => String(s).replace(/[\\()]/g, (c) => `\\${c}`).replace(/[^\x20-\x7e]/g, "?");
+  const text = lines.map((l, i) => `BT /F1 12 Tf 72 ${740 - i * 18} Td (${esc(l)}) Tj ET`).join("\n");
+  const objs = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 5 0 R >> >> /Contents 4 0 R >>",
+    `<< /Length ${text.length} >>\nstream\n${text}\nendstream`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>",
+  ];
+  let out = "%PDF-1.4\n";
+  const offsets = objs.map((o, i) => {
+    const at = out.length;
+    out += `${i + 1} 0 obj\n${o}\nendobj\n`;
+    return at;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objs.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("");
+  out += `trailer\n<< /Size ${objs.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, "latin1");
+}
+
+async function stubConvert(_absPath, fileName) {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), "rendition-"));
+  const out = path.join(outDir, "stub.pdf");
+  await fs.promises.writeFile(
+    out,
+    placeholderPdf([`PDF rendition of ${fileName || "document"}`, "(generated by the stub converter)"])
+  );
+  return { path: out, cleanup: () => fs.rmSync(outDir, { recursive: true, force: true }) };
+}
+
+const CONVERTERS = { libreoffice: libreofficeConvert, stub: stubConvert };
+
+/** Converts one stored file; returns the stored PDF ({ storageKey, fileHash }). */
+async function convertStored(key, fileName) {
+  const name = process.env.DOC_CONVERTER || "libreoffice";
+  const convert = CONVERTERS[name];
+  if (!convert) throw new Error(`Unknown DOC_CONVERTER "${name}"`);
+
+  const pdf = await storage.withLocalFile(key, (absPath) => convert(absPath, fileName));
+  try {
+    return await storage.saveUpload({ path: pdf.path, originalname: pdfNameFor(fileName), mimetype: PDF_TYPE });
+  } finally {
+    pdf.cleanup();
+  }
+}
+
+async function renderRendition(researchId, key, fileName) {
+  const guard = { _id: researchId, ...storage.keyFilter(key) };
+
+  try {
+    const stored = await convertStored(key, fileName);
+    const prev = await Research.findOneAndUpdate(guard, {
+      $set: {
+        rendition: {
+          status: "done",
+          storageKey: stored.storageKey,
+          fileHash: stored.fileHash,
+          fileSize: stored.fileSize,
+          fileName: pdfNameFor(fileName),
+          sourceKey: key,
+          convertedAt: new Date(),
+          error: "",
+        },
+      },
+    }).lean();
+
+    // the record moved on meanwhile → this PDF is nobody's
+    if (!prev) return storage.release([stored.storageKey]);
+    if (prev.rendition?.storageKey && prev.rendition.storageKey !== stored.storageKey) {
+      await storage.release([prev.rendition.storageKey]);
+    }
+
+    // now that a PDF exists: search text / AI input and previews
+    const doc = await Research.findById(researchId)
+      .select("filePath storageKey fileHash fileName fileType rendition scan")
+      .lean();
+    if (doc) {
+      require("./textExtraction").queueTextExtraction(doc);
+      require("./previews").queuePreviews(doc);
+    }
+  } catch (err) {
+    console.error("❌ PDF rendition failed:", { id: String(researchId), error: err.message });
+    await Research.updateOne(guard, {
+      $set: { "rendition.status": "failed", "rendition.error": err.message, "rendition.sourceKey": key },
+    }).catch(() => {});
+  }
+}
+
+let chain = Promise.resolve();
+const inFlight = new Set();
+
+/**
+ * Schedules a PDF rendition for a DOC/DOCX record's current file.
+ * One conversion at a time; never throws and never blocks the caller.
+ */
+function queueRendition(doc) {
+  const key = storage.fileKey(doc);
+  if (!doc?._id || !key || !needsRendition(doc) || renditionReady(doc)) return;
+
+  const jobKey = `${doc._id}:${key}`;
+  if (inFlight.has(jobKey)) return;
+  inFlight.add(jobKey);
+
+  const researchId = doc._id;
+  const fileName = doc.fileName;
+
+  Research.updateOne(
+    { _id: researchId, ...storage.keyFilter(key) },
+    { $set: { "rendition.status": "pending", "rendition.error": "", "rendition.sourceKey": key } }
+  ).catch(() => {});
+
+  chain = chain
+    .then(() => renderRendition(researchId, key, fileName))
+    .catch((err) => console.error("❌ Rendition queue error:", err.message))
+    .finally(() => inFlight.delete(jobKey));
+}
+
+module.exports = {
+  PDF_TYPE,
+  isPdf,
+  needsRendition,
+  renditionReady,
+  pdfSource,
+  originalSource,
+  viewSource,
+  queueRendition,
+};
@@ -0,0 +1,242 @@
+// utils/resumableUploads.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const mongoose = require("mongoose");
+const UploadSession = require("../models/UploadSession");
+
+/* =========================================================
+   📦 Resumable uploads (chunk/offset, tus-style)
+   1. POST   /api/uploads            { fileName, fileType, size } → uploadId
+   2. PATCH  /api/uploads/:id        raw bytes, Upload-Offset: <offset>
+      (repeat; after a dropped connection GET the offset and resume)
+   3. pass `uploadId` instead of a file to any create/revise route
+      → middleware/upload.js turns it into req.file, applying that
+        route's own type filter and size limit.
+   Bytes are staged on local disk (UPLOAD_TMP_DIR); the record
+   only keeps track of the owner and the declared size.
+========================================================= */
+
+const STAGING_DIR = path.join(
+  process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), "repo-uploads"),
+  "resumable"
+);
+fs.mkdirSync(STAGING_DIR, { recursive: true });
+
+const MAX_BYTES = Number(process.env.RESUMABLE_MAX_BYTES) || 50 * 1024 * 1024;
+const CHUNK_MAX_BYTES = Number(process.env.RESUMABLE_CHUNK_BYTES) || 8 * 1024 * 1024;
+const TTL_MS = 24 * 60 * 60 * 1000;
+
+const busy = new Set(); // session ids with a chunk being written
+
+const stagedPath = (id) => path.join(STAGING_DIR, String(id));
+
+async function stagedSize(id) {
+  try {
+    return (await fs.promises.stat(stagedPath(id))).size;
+  } catch {
+    return 0;
+  }
+}
+
+/** Public shape of a session */
+function view(session, offset = session.offset) {
+  return {
+    uploadId: String(session._id),
+    fileName: session.fileName,
+    fileType: session.fileType,
+    size: session.size,
+    offset,
+    status: session.status,
+    chunkSize: CHUNK_MAX_BYTES,
+    expiresAt: session.expiresAt,
+  };
+}
+
+async function createSession(user, { fileName, fileType, size } = {}) {
+  const bytes = Number(size);
+  if (!String(fileName || "").trim()) return { error: "fileName is required", status: 400 };
+  if (!Number.isInteger(bytes) || bytes < 1) return { error: "size must be a positive integer", status: 400 };
+  if (bytes > MAX_BYTES) {
+    return { error: `File exceeds ${Math.round(MAX_BYTES / 1024 / 1024)}MB limit.`, status: 413 };
+  }
+
+  const session = await UploadSession.create({
+    owner: user.id,
+    ownerEmail: user.email,
+    fileName: String(fileName).trim().slice(0, 255),
+    fileType: String(fileType || "application/octet-stream").toLowerCase(),
+    size: bytes,
+    expiresAt: new Date(Date.now() + TTL_MS),
+  });
+  await fs.promises.writeFile(stagedPath(session._id), "");
+  return { session: view(session, 0) };
+}
+
+async function loadOwned(id, user) {
+  if (!mongoose.isValidObjectId(id)) return { error: "Upload not found", status: 404 };
+  const session = await UploadSession.findById(id);
+  if (!session || session.expiresAt < new Date()) return { error: "Upload not found or expired", status: 404 };
+  if (String(session.owner) !== String(user.id)) return { error: "Not your upload", status: 403 };
+  return { session };
+}
+
+/** Current state; the offset comes from the staged bytes, so it survives dropped requests. */
+async function getSession(id, user) {
+  const { session, error, status } = await loadOwned(id, user);
+  if (error) return { error, status };
+  return { session: view(session, await stagedSize(session._id)) };
+}
+
+/** Stops the stream once more than `limit` bytes came in. */
+function byteLimit(limit) {
+  let seen = 0;
+  return new Transform({
+    transform(chunk, _enc, cb) {
+      seen += chunk.length;
+      if (seen > limit) {
+        const err = new Error("Chunk exceeds the remaining upload size");
+        err.status = 413;
+        return cb(err);
+      }
+      cb(null, chunk);
+    },
+  });
+}
+
+/**
+ * Appends the request body at `offset` (must equal the bytes already
+ * staged). Returns { session } or { error, status[, offset] }.
+ */
+async function appendChunk(id, user, req, offset) {
+  const { session, error, status } = await loadOwned(id, user);
+  if (error) return { error, status };
+  if (session.status === "complete") return { session: view(session, session.size) };
+
+  const key = String(session._id);
+  if (busy.has(key)) return { error: "Another chunk is still being written", status: 409 };
+  busy.add(key);
+
+  try {
+    const current = await stagedSize(key);
+    if (Number(offset) !== current) {
+      return { error: "Upload-Offset does not match", status: 409, offset: current };
+    }
+
+    const limit = Math.min(CHUNK_MAX_BYTES, session.size - current);
+    const declared = Number(req.headers["content-length"]);
+    if (Number.isFinite(declared) && declared > limit) {
+      return { error: "Chunk exceeds the remaining upload size", status: 413, offset: current };
+    }
+
+    try {
+      await pipeline(req, byteLimit(limit), fs.createWriteStream(stagedPath(key), { flags: "a" }));
+    } catch (err) {
+      if (err.status === 413) {
+        await fs.promises.truncate(stagedPath(key), current);
+        return { error: err.message, status: 413, offset: current };
+      }
+      // dropped connection: keep what arrived, the client resumes from there
+      console.warn("⚠️ Upload chunk interrupted:", { id: key, error: err.message });
+    }
+
+    const received = await stagedSize(key);
+    session.offset = received;
+    session.status = received >= session.size ? "complete" : "uploading";
+    session.expiresAt = new Date(Date.now() + TTL_MS);
+    await session.save();
+    return { session: view(session, received) };
+  } finally {
+    busy.delete(key);
+  }
+}
+
+async function abortSession(id, user) {
+  const { session, error, status } = await loadOwned(id, user);
+  if (error) return { error, status };
+  await session.deleteOne();
+  await fs.promises.unlink(stagedPath(session._id)).catch(() => {});
+  return { ok: true };
+}
+
+/**
+ * Turns a completed upload into a multer-style file for the current
+ * route, checking that route's filter and size limit. Throws with
+ * err.status on problems (handled like multer errors).
+ */
+async function resolveUpload(uploadId, req, { fileFilter, maxBytes }) {
+  const fail = (message, status) => Object.assign(new Error(message), { status });
+
+  if (!req.user) throw fail("Missing or invalid token", 401);
+  const { session, error, status } = await loadOwned(String(uploadId), req.user);
+  if (error) throw fail(error, status);
+
+  const received = await stagedSize(session._id);
+  if (session.status !== "complete" || received !== session.size) {
+    throw fail(`Upload is incomplete (${received} of ${session.size} bytes)`, 409);
+  }
+  if (received > maxBytes) {
+    throw Object.assign(fail(`File exceeds ${Math.round(maxBytes / 1024 / 1024)}MB limit.`, 413), {
+      code: "LIMIT_FILE_SIZE",
+    });
+  }
+
+  const file = {
+    fieldname: "file",
+    originalname: session.fileName,
+    mimetype: session.fileType,
+    size: received,
+    path: stagedPath(session._id),
+    uploadId: String(session._id),
+  };
+
+  if (fileFilter) {
+    await new Promise((resolve, reject) =>
+      fileFilter(req, file, (err, ok) => {
+        if (err) return reject(Object.assign(err, { status: err.status || 400 }));
+        if (ok === false) return reject(fail("File type not allowed", 400));
+        resolve();
+      })
+    );
+  }
+  return file;
+}
+
+/**
+ * Called when the consuming request finishes: a successful request has
+ * moved the bytes into storage, so the session goes; a failed one keeps
+ * it so the client can retry the create call with the same uploadId.
+ */
+async function finishUpload(file, succeeded) {
+  if (!succeeded) return;
+  await UploadSession.deleteOne({ _id: file.uploadId }).catch(() => {});
+  await fs.promises.unlink(file.path).catch(() => {});
+}
+
+/* ---------- drop staged bytes of expired sessions ---------- */
+async function sweepStaged() {
+  try {
+    const cutoff = Date.now() - TTL_MS;
+    for (const name of await fs.promises.readdir(STAGING_DIR)) {
+      const p = path.join(STAGING_DIR, name);
+      const st = await fs.promises.stat(p).catch(() => null);
+      if (st && st.mtimeMs < cutoff) await fs.promises.unlink(p).catch(() => {});
+    }
+  } catch (err) {
+    console.error("❌ Upload staging sweep failed:", err.message);
+  }
+}
+setInterval(sweepStaged, 60 * 60 * 1000).unref();
+
+module.exports = {
+  MAX_BYTES,
+  CHUNK_MAX_BYTES,
+  createSession,
+  getSession,
+  appendChunk,
+  abortSession,
+  resolveUpload,
+  finishUpload,
+};
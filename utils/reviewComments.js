@@ -0,0 +1,121 @@
+// utils/reviewComments.js
+const mongoose = require("mongoose");
+const ReviewComment = require("../models/ReviewComment");
+
+/* =========================================================
+   💬 Reviewer comments — shared by faculty and student routes
+   Ownership checks stay in the routes; this module only
+   validates input, threads comments and toggles resolution.
+========================================================= */
+
+/** Nest replies under their root comment (oldest first). */
+function buildThreads(comments = []) {
+  const roots = [];
+  const byId = new Map();
+
+  for (const c of comments) {
+    byId.set(String(c._id), { ...c, replies: [] });
+  }
+  for (const c of byId.values()) {
+    const parentId = c.parent ? String(c.parent) : null;
+    if (parentId && byId.has(parentId)) byId.get(parentId).replies.push(c);
+    else roots.push(c);
+  }
+  return roots;
+}
+
+async function listThreads(researchId) {
+  const comments = await ReviewComment.find({ research: researchId })
+    .sort({ createdAt: 1 })
+    .lean();
+  return buildThreads(comments);
+}
+
+/** Threads for many research items at once: { [researchId]: threads[] } */
+async function threadsByResearch(researchIds = []) {
+  if (!researchIds.length) return {};
+  const comments = await ReviewComment.find({ research: { $in: researchIds } })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const grouped = {};
+  for (const c of comments) {
+    const key = String(c.research);
+    (grouped[key] = grouped[key] || []).push(c);
+  }
+  for (const key of Object.keys(grouped)) grouped[key] = buildThreads(grouped[key]);
+  return grouped;
+}
+
+/**
+ * Creates a comment or reply on `research` by `user`.
+ * Returns { comment } or { error, status }.
+ */
+async function addComment(research, user, { body, page, version, parentId } = {}) {
+  const text = String(body || "").trim();
+  if (!text) return { error: "Comment body is required", status: 400 };
+
+  let parent = null;
+  if (parentId) {
+    if (!mongoose.isValidObjectId(parentId)) return { error: "Invalid parentId", status: 400 };
+    parent = await ReviewComment.findOne({ _id: parentId, research: research._id }).lean();
+    if (!parent) return { error: "Parent comment not found", status: 404 };
+    // replies always hang off the root so threads stay one level deep
+    if (parent.parent) parent = await ReviewComment.findById(parent.parent).lean();
+  }
+
+  const pageNum = page != null && page !== "" ? parseInt(page, 10) : null;
+  if (pageNum != null && (!Number.isInteger(pageNum) || pageNum < 1)) {
+    return { error: "page must be a positive integer", status: 400 };
+  }
+
+  const versionNum = version != null && version !== "" ? parseInt(version, 10) : null;
+  const current = research.version || 1;
+  if (versionNum != null && (!Number.isInteger(versionNum) || versionNum < 1 || versionNum > current)) {
+    return { error: "Unknown submission version", status: 400 };
+  }
+
+  const comment = await ReviewComment.create({
+    research: research._id,
+    version: parent ? parent.version : versionNum || current,
+    page: parent ? parent.page : pageNum,
+    stage: research.workflow?.stage || "",
+    parent: parent ? parent._id : null,
+    body: text,
+    authorId: user?.id || null,
+    authorEmail: user?.email || "",
+    authorRole: user?.role || "",
+  });
+
+  return { comment };
+}
+
+/** Marks a root comment (thread) resolved/unresolved. */
+async function setResolved(research, commentId, user, resolved) {
+  if (!mongoose.isValidObjectId(commentId)) return { error: "Invalid comment id", status: 400 };
+
+  const comment = await ReviewComment.findOne({ _id: commentId, research: research._id });
+  if (!comment) return { error: "Comment not found", status: 404 };
+  if (comment.parent) return { error: "Only top-level comments can be resolved", status: 400 };
+
+  comment.resolved = !!resolved;
+  comment.resolvedBy = resolved ? String(user?.email || "").toLowerCase() : "";
+  comment.resolvedAt = resolved ? new Date() : null;
+  await comment.save();
+
+  return { comment };
+}
+
+/** Comments go with the paper when it is deleted. */
+async function deleteForResearch(researchId) {
+  await ReviewComment.deleteMany({ research: researchId });
+}
+
+module.exports = {
+  buildThreads,
+  listThreads,
+  threadsByResearch,
+  addComment,
+  setResolved,
+  deleteForResearch,
+};
@@ -0,0 +1,151 @@
+// utils/revisions.js
+/* =========================================================
+   🗂️ Research revision history helpers
+
+   Every Research keeps `versions[]`: one entry per submitted
+   revision (file + metadata snapshot + who/when). The current
+   state of the document is always the last entry.
+
+   Usage inside a route that replaces a file/metadata:
+     beginRevision(doc);          // seeds v1 for older records
+     ...mutate doc...
+     commitRevision(doc, req.user, "note");
+     await doc.save();
+========================================================= */
+
+// Metadata fields captured in each snapshot (and restored on rollback)
+const TRACKED_FIELDS = [
+  "title",
+  "abstract",
+  "adviser",
+  "coAuthors",
+  "keywords",
+  "year",
+  "category",
+  "submissionType",
+];
+
+function snapshotMetadata(doc) {
+  const meta = {};
+  for (const f of TRACKED_FIELDS) {
+    const v = doc[f];
+    meta[f] = Array.isArray(v) ? [...v] : v ?? "";
+  }
+  return meta;
+}
+
+function buildEntry(doc, version, { changedBy, changedByEmail, changedByRole, changedAt, note }) {
+  return {
+    version,
+    storageKey: doc.storageKey || "",
+    filePath: doc.filePath || "",
+    fileHash: doc.fileHash || "",
+    fileSize: doc.fileSize || 0,
+    scanStatus: doc.scan?.status || "",
+    fileName: doc.fileName || "",
+    fileType: doc.fileType || "",
+    metadata: snapshotMetadata(doc),
+    changedBy: changedBy || null,
+    changedByEmail: changedByEmail || "",
+    changedByRole: changedByRole || "",
+    changedAt: changedAt || new Date(),
+    note: note || "",
+  };
+}
+
+/** Records the pre-history state as version 1 for documents created before versioning. */
+function beginRevision(doc) {
+  if (Array.isArray(doc.versions) && doc.versions.length) return;
+  doc.versions = [
+    buildEntry(doc, 1, {
+      changedBy: doc.uploadedBy,
+      changedByEmail: doc.student || doc.author || "",
+      changedByRole: doc.uploaderRole || "",
+      changedAt: doc.createdAt,
+      note: "Initial submission",
+    }),
+  ];
+  doc.version = 1;
+}
+
+/** Appends the document's current state as the next version. */
+function commitRevision(doc, user, note = "") {
+  const last = doc.versions.length ? doc.versions[doc.versions.length - 1].version : 0;
+  const next = last + 1;
+  doc.versions.push(
+    buildEntry(doc, next, {
+      changedBy: user?.id,
+      changedByEmail: String(user?.email || "").toLowerCase(),
+      changedByRole: user?.role,
+      note,
+    })
+  );
+  doc.version = next;
+  return next;
+}
+
+function findVersion(doc, version) {
+  const n = Number(version);
+  if (!Number.isInteger(n) || n < 1) return null;
+  return (doc.versions || []).find((v) => v.version === n) || null;
+}
+
+/** Copies a past version back onto the document and records it as a new version. */
+function restoreVersion(doc, version, user) {
+  beginRevision(doc);
+  const v = findVersion(doc, version);
+  if (!v) return null;
+
+  for (const f of TRACKED_FIELDS) {
+    if (v.metadata && Object.prototype.hasOwnProperty.call(v.metadata, f)) {
+      doc[f] = v.metadata[f];
+    }
+  }
+  doc.storageKey = v.storageKey || "";
+  doc.filePath = v.filePath || "";
+  doc.fileHash = v.fileHash || "";
+  doc.fileSize = v.fileSize || 0;
+  doc.scan = { status: v.scanStatus || "", signature: "", engine: "", scannedAt: null };
+  doc.fileName = v.fileName;
+  doc.fileType = v.fileType;
+
+  return commitRevision(doc, user, `Restored from version ${v.version}`);
+}
+
+/** Every distinct storage key (or legacy path) referenced by the document (current + history + PDF rendition). */
+function allFileKeys(doc) {
+  const keys = [doc, ...(doc.versions || []), doc.rendition || {}].map((v) => v.storageKey || v.filePath);
+  return [...new Set(keys.filter(Boolean))];
+}
+
+/** Public view of the history (no storage internals). */
+function listVersions(doc) {
+  const versions = doc.versions && doc.versions.length
+    ? doc.versions
+    : [buildEntry(doc, doc.version || 1, {
+        changedBy: doc.uploadedBy,
+        changedByEmail: doc.student || doc.author || "",
+        changedByRole: doc.uploaderRole || "",
+        changedAt: doc.createdAt,
+        note: "Initial submission",
+      })];
+
+  return versions.map((entry) => {
+    const { filePath, storageKey, fileHash, ...v } = typeof entry.toObject === "function" ? entry.toObject() : entry;
+    return {
+      ...v,
+      hasFile: !!(storageKey || filePath),
+      current: v.version === (doc.version || 1),
+    };
+  });
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  beginRevision,
+  commitRevision,
+  findVersion,
+  restoreVersion,
+  allFileKeys,
+  listVersions,
+};
@@ -0,0 +1,114 @@
+// utils/scanner.js
+const fs = require("fs");
+const net = require("net");
+
+/* =========================================================
+   🦠 Malware scanner hook
+   SCANNER=clamav | stub | none   (default: clamav when CLAMAV_HOST
+   or CLAMAV_SOCKET is set, otherwise none)
+   - clamav: clamd INSTREAM over TCP (CLAMAV_HOST, CLAMAV_PORT=3310)
+             or a unix socket (CLAMAV_SOCKET)
+   - stub:   flags files containing the EICAR test string (tests/dev
+             only: everything else is marked clean)
+   - none:   skips scanning (status "skipped")
+   scanFile() → { status: clean | infected | error | skipped, signature, engine }
+   "infected" uploads are rejected; files whose scan errored (or a
+   rescan found infected) are quarantined and never streamed.
+   SCAN_FAIL_OPEN=true treats scanner errors as clean.
+========================================================= */
+
+const EICAR = "X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*";
+const TIMEOUT_MS = Number(process.env.CLAMAV_TIMEOUT_MS) || 30000;
+const QUARANTINED = ["infected", "error"];
+
+const DRIVERS = ["clamav", "stub", "none"];
+
+function driverName() {
+  const name = String(process.env.SCANNER || "").toLowerCase();
+  if (DRIVERS.includes(name)) return name;
+  return process.env.CLAMAV_HOST || process.env.CLAMAV_SOCKET ? "clamav" : "none";
+}
+
+if (process.env.SCANNER && !DRIVERS.includes(String(process.env.SCANNER).toLowerCase())) {
+  console.warn(`⚠️ Unknown SCANNER "${process.env.SCANNER}" (use ${DRIVERS.join(" | ")}); falling back to ${driverName()}.`);
+}
+if (driverName() === "none" && !process.env.SCANNER) {
+  console.warn("⚠️ No malware scanner configured (CLAMAV_HOST / CLAMAV_SOCKET); uploads are stored unscanned.");
+}
+
+/* ---------- clamd INSTREAM ---------- */
+function clamavScan(absPath) {
+  return new Promise((resolve) => {
+    const socket = process.env.CLAMAV_SOCKET
+      ? net.createConnection(process.env.CLAMAV_SOCKET)
+      : net.createConnection(Number(process.env.CLAMAV_PORT) || 3310, process.env.CLAMAV_HOST);
+
+    let reply = "";
+    let done = false;
+    const finish = (result) => {
+      if (done) return;
+      done = true;
+      socket.destroy();
+      resolve({ engine: "clamav", signature: "", ...result });
+    };
+
+    socket.setTimeout(TIMEOUT_MS, () => finish({ status: "error", error: "clamd timed out" }));
+    socket.on("error", (err) => finish({ status: "error", error: err.message }));
+    socket.on("data", (d) => (reply += d.toString()));
+    socket.on("end", () => {
+      const text = reply.replace(/\0/g, "").trim(); // "stream: OK" | "stream: <sig> FOUND"
+      if (/:\s*OK$/.test(text)) return finish({ status: "clean" });
+      const found = /:\s*(.+)\s+FOUND$/.exec(text);
+      if (found) return finish({ status: "infected", signature: found[1] });
+      finish({ status: "error", error: text || "empty clamd reply" });
+    });
+
+    socket.on("connect", () => {
+      socket.write("zINSTREAM\0");
+      const stream = fs.createReadStream(absPath, { highWaterMark: 64 * 1024 });
+      stream.on("data", (chunk) => {
+        const len = Buffer.alloc(4);
+        len.writeUInt32BE(chunk.length);
+        socket.write(len);
+        socket.write(chunk);
+      });
+      stream.on("end", () => socket.write(Buffer.alloc(4))); // zero-length chunk ends the stream
+      stream.on("error", (err) => finish({ status: "error", error: err.message }));
+    });
+  });
+}
+
+/* ---------- stub ---------- */
+async function stubScan(absPath) {
+  const buf = await fs.promises.readFile(absPath);
+  return buf.includes(EICAR)
+    ? { status: "infected", signature: "Eicar-Test-Signature", engine: "stub" }
+    : { status: "clean", signature: "", engine: "stub" };
+}
+
+/** Scans a local file with the configured engine. Never throws. */
+async function scanFile(absPath) {
+  const name = driverName();
+  let result;
+  try {
+    if (name === "none") result = { status: "skipped", signature: "", engine: "none" };
+    else if (name === "clamav") result = await clamavScan(absPath);
+    else if (name === "stub") result = await stubScan(absPath);
+  } catch (err) {
+    result = { status: "error", signature: "", engine: name, error: err.message };
+  }
+
+  if (result.status === "error") {
+    console.error("❌ Malware scan failed:", { engine: result.engine, error: result.error });
+    if (String(process.env.SCAN_FAIL_OPEN).toLowerCase() === "true") result.status = "skipped";
+  }
+  return { ...result, scannedAt: new Date() };
+}
+
+/** Quarantined records (or version entries) must never be streamed. */
+function isQuarantined(doc) {
+  const status = doc?.scan?.status ?? doc?.scanStatus ?? "";
+  return QUARANTINED.includes(status);
+}
+
+module.exports = { EICAR, QUARANTINED, scanFile, isQuarantined };
@@ -0,0 +1,219 @@
+// utils/search.js
+/* =========================================================
+   🔎 Repository full-text search helpers
+   Queries go through MongoDB $text (weighted "research_text"
+   index on models/Research.js) — user input is never compiled
+   into a RegExp except after escaping, for highlighting.
+
+   Syntax:  word   "exact phrase"   -excluded
+========================================================= */
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_TOKENS = 20;
+const SNIPPET_RADIUS = 90;
+const EXCERPT_RADIUS = 400; // chars of extractedText fetched around the first hit
+const TEXT_INDEX_NAME = "research_text";
+
+const escapeRegExp = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const escapeHtml = (s) =>
+  String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Splits raw user input into terms, phrases and negated terms.
+ * Returns null when nothing searchable remains (e.g. only "-foo").
+ */
+function parseSearchQuery(raw) {
+  const input = String(raw || "")
+    .replace(/[\u0000-\u001f]/g, " ")
+    .slice(0, MAX_QUERY_LENGTH);
+
+  const terms = [];
+  const phrases = [];
+  const excluded = [];
+
+  const re = /(-?)"([^"]*)"|(-?)([^\s"]+)/g;
+  let m;
+  while ((m = re.exec(input)) && terms.length + phrases.length + excluded.length < MAX_TOKENS) {
+    if (m[2] !== undefined) {
+      const phrase = m[2].replace(/\s+/g, " ").trim();
+      if (!phrase) continue;
+      if (m[1]) excluded.push(phrase);
+      else phrases.push(phrase);
+    } else {
+      const word = m[4].replace(/^-+/, "");
+      if (!/[\p{L}\p{N}]/u.test(word)) continue; // punctuation-only tokens
+      if (m[3]) excluded.push(word);
+      else terms.push(word);
+    }
+  }
+
+  if (!terms.length && !phrases.length) return null;
+
+  // Rebuilt from tokens so stray quotes/dashes cannot change the meaning
+  const $search = [
+    ...terms,
+    ...phrases.map((p) => `"${p}"`),
+    ...excluded.map((e) => (/\s/.test(e) ? `-"${e}"` : `-${e}`)),
+  ].join(" ");
+
+  return { terms, phrases, excluded, $search };
+}
+
+/** `{ $text }` clause for a parsed query. */
+function textClause(parsed) {
+  return { $text: { $search: parsed.$search, $caseSensitive: false, $diacriticSensitive: false } };
+}
+
+function highlightRegex(parsed) {
+  const parts = [
+    ...parsed.phrases.map((p) => escapeRegExp(p).replace(/\s+/g, "\\s+")),
+    // prefix match so stemmed hits ("model" → "models") still light up
+    ...parsed.terms.map((t) => `${escapeRegExp(t)}\\w*`),
+  ];
+  if (!parts.length) return null;
+  return new RegExp(`\\b(?:${parts.join("|")})`, "gi");
+}
+
+/** HTML-escaped text with matches wrapped in <mark>. */
+function highlight(text, regex) {
+  const src = String(text || "");
+  if (!regex) return escapeHtml(src);
+
+  let out = "";
+  let last = 0;
+  regex.lastIndex = 0;
+  let m;
+  while ((m = regex.exec(src))) {
+    if (!m[0]) { regex.lastIndex++; continue; }
+    out += escapeHtml(src.slice(last, m.index)) + `<mark>${escapeHtml(m[0])}</mark>`;
+    last = m.index + m[0].length;
+  }
+  return out + escapeHtml(src.slice(last));
+}
+
+/** Short window around the first match, highlighted; null if no match. */
+function snippet(text, regex, radius = SNIPPET_RADIUS) {
+  const src = String(text || "").replace(/\s+/g, " ").trim();
+  if (!src || !regex) return null;
+
+  regex.lastIndex = 0;
+  const m = regex.exec(src);
+  if (!m) return null;
+
+  const start = Math.max(0, m.index - radius);
+  const end = Math.min(src.length, m.index + m[0].length + radius);
+  const body = highlight(src.slice(start, end), regex);
+  return `${start > 0 ? "…" : ""}${body}${end < src.length ? "…" : ""}`;
+}
+
+/**
+ * Highlighted fragments for one search hit:
+ *   { title, abstract, keywords, body } — only fields that matched.
+ * `body` is cut from doc.bodyExcerpt (see bodyExcerpts()).
+ */
+function buildHighlights(doc, parsed) {
+  const regex = highlightRegex(parsed);
+  if (!regex) return {};
+
+  const out = {};
+  const test = (s) => { regex.lastIndex = 0; return regex.test(String(s || "")); };
+
+  if (test(doc.title)) out.title = highlight(doc.title, regex);
+
+  const abs = snippet(doc.abstract, regex);
+  if (abs) out.abstract = abs;
+
+  const kws = (doc.keywords || []).filter(test).map((k) => highlight(k, regex));
+  if (kws.length) out.keywords = kws;
+
+  const body = snippet(doc.bodyExcerpt, regex);
+  if (body) out.body = body;
+
+  return out;
+}
+
+/**
+ * Aggregation expression: a window of extractedText around the first
+ * term/phrase found (case-insensitive), or "" — so search hits never
+ * load the whole thesis text just to build a body snippet.
+ */
+function bodyExcerpt(parsed, radius = EXCERPT_RADIUS) {
+  const needles = [...parsed.phrases, ...parsed.terms].map((s) => s.toLowerCase());
+  return {
+    $let: {
+      vars: {
+        text: { $ifNull: ["$extractedText", ""] },
+        lower: { $toLower: { $ifNull: ["$extractedText", ""] } },
+      },
+      in: {
+        $let: {
+          vars: {
+            at: {
+              $min: {
+                $filter: {
+                  input: needles.map((n) => ({ $indexOfCP: ["$$lower", n] })),
+                  cond: { $gte: ["$$this", 0] },
+                },
+              },
+            },
+          },
+          in: {
+            $cond: [
+              { $eq: ["$$at", null] },
+              "",
+              { $substrCP: ["$$text", { $max: [{ $subtract: ["$$at", radius] }, 0] }, radius * 2] },
+            ],
+          },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Body snippet source for the given hits: Map(id → excerpt).
+ * Only the excerpt leaves the database.
+ */
+async function bodyExcerpts(Model, ids, parsed) {
+  if (!ids.length) return new Map();
+  const rows = await Model.aggregate([
+    { $match: { _id: { $in: ids } } },
+    { $project: { excerpt: bodyExcerpt(parsed) } },
+  ]);
+  return new Map(rows.map((r) => [String(r._id), r.excerpt]));
+}
+
+/**
+ * Replaces any older text index (MongoDB allows only one per collection)
+ * so the weighted index declared on the schema can be built.
+ */
+async function ensureTextIndex(Model) {
+  try {
+    const indexes = await Model.collection.indexes();
+    for (const idx of indexes) {
+      const isText = Object.values(idx.key || {}).includes("text");
+      if (isText && idx.name !== TEXT_INDEX_NAME) {
+        await Model.collection.dropIndex(idx.name);
+        console.log(`🔎 Dropped legacy text index ${idx.name}`);
+      }
+    }
+    await Model.createIndexes();
+  } catch (err) {
+    console.error("❌ Text index setup failed:", err.message);
+  }
+}
+
+module.exports = {
+  TEXT_INDEX_NAME,
+  escapeRegExp,
+  parseSearchQuery,
+  textClause,
+  buildHighlights,
+  bodyExcerpts,
+  ensureTextIndex,
+};
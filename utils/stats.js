@@ -0,0 +1,308 @@
+// utils/stats.js
+const Research = require("../models/Research");
+const User = require("../models/User");
+const { OUTCOMES, adviserQueueFilter } = require("./workflow");
+
+/* =========================================================
+   📊 Repository statistics for GET /api/admin/stats
+   Everything is an aggregation pipeline over Research / User:
+   - submissions by status, submissionType, college, year and
+     uploaderRole (all time) plus a series over the window
+   - average time from a student upload to the first review decision
+   - pending items per adviser
+   - embargoes lifting within N days
+   - storage: distinct stored files and bytes per backend (shared
+     files counted once; fileSize is filled in by the storage check)
+   Periods are cut in ANALYTICS_TZ (default Asia/Manila).
+========================================================= */
+
+const TZ = process.env.ANALYTICS_TZ || "Asia/Manila";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const PERIOD_FORMATS = { day: "%Y-%m-%d", week: "%G-W%V", month: "%Y-%m", year: "%Y" };
+const DIMENSIONS = ["status", "submissionType", "college", "year", "uploaderRole"];
+
+/**
+ * Options from the query string:
+ *   from, to   dates (default: the last 12 months)
+ *   interval   day | week | month | year (default month)
+ *   college    limit everything to one college
+ *   embargoDays  look-ahead for lifting embargoes (default 30)
+ * → options or { error }
+ */
+function parseStatsQuery(query = {}) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 365 * DAY_MS);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) return { error: "Invalid from/to date" };
+  if (from >= to) return { error: "from must be before to" };
+
+  const interval = String(query.interval || "month");
+  if (!PERIOD_FORMATS[interval]) return { error: `interval must be one of ${Object.keys(PERIOD_FORMATS).join(", ")}` };
+
+  return {
+    from,
+    to,
+    interval,
+    college: query.college ? String(query.college) : null,
+    embargoDays: Math.min(Math.max(parseInt(query.embargoDays, 10) || 30, 1), 365),
+  };
+}
+
+// [{ _id, count }] → [{ key, count }]
+const keyed = (rows) => rows.map((r) => ({ key: r._id ?? "", count: r.count }));
+
+async function submissionStats(scope, { from, to, interval }) {
+  const facets = {};
+  for (const dim of DIMENSIONS) {
+    facets[dim] = [{ $group: { _id: `$${dim}`, count: { $sum: 1 } } }, { $sort: { count: -1, _id: 1 } }];
+  }
+  facets.total = [{ $count: "count" }];
+
+  // per period: a total, plus one { period, value } count per split dimension
+  const SPLITS = ["status", "submissionType", "uploaderRole"];
+  const period = { $dateToString: { format: PERIOD_FORMATS[interval], date: "$createdAt", timezone: TZ } };
+  const inWindow = { $match: { createdAt: { $gte: from, $lt: to } } };
+  facets.overTime = [inWindow, { $group: { _id: period, total: { $sum: 1 } } }, { $sort: { _id: 1 } }];
+  for (const dim of SPLITS) {
+    facets[`overTime_${dim}`] = [
+      inWindow,
+      {
+        $group: {
+          _id: { period, value: { $ifNull: [{ $cond: [{ $eq: [`$${dim}`, ""] }, null, `$${dim}`] }, "unknown"] } },
+          count: { $sum: 1 },
+        },
+      },
+    ];
+  }
+
+  const [res] = await Research.aggregate([{ $match: scope }, { $facet: facets }]);
+
+  const out = { total: res.total[0]?.count || 0 };
+  for (const dim of DIMENSIONS) out[dim] = keyed(res[dim]);
+  const periods = new Map(
+    res.overTime.map((p) => [p._id, { period: p._id, total: p.total, status: {}, submissionType: {}, uploaderRole: {} }])
+  );
+  for (const dim of SPLITS) {
+    for (const row of res[`overTime_${dim}`]) {
+      const p = periods.get(row._id.period);
+      if (p) p[dim][row._id.value] = row.count;
+    }
+  }
+  out.overTime = [...periods.values()];
+  return out;
+}
+
+/**
+ * Student uploads created in the window → hours until the first review
+ * decision (approve / reject / request revision), whoever made it —
+ * an admin deciding the adviser stage counts too.
+ */
+async function decisionTimes(scope, { from, to }) {
+  const toHours = (ms) => (ms == null ? null : Math.round((ms / HOUR_MS) * 10) / 10);
+  const rows = await Research.aggregate([
+    { $match: { ...scope, uploaderRole: "student", createdAt: { $gte: from, $lt: to } } },
+    {
+      $project: {
+        college: 1,
+        decidedAt: {
+          $min: {
+            $map: {
+              input: {
+                $filter: {
+                  input: { $ifNull: ["$workflow.history", []] },
+                  cond: { $in: ["$$this.outcome", OUTCOMES] },
+                },
+              },
+              in: "$$this.at",
+            },
+          },
+        },
+        createdAt: 1,
+      },
+    },
+    { $match: { decidedAt: { $ne: null } } },
+    { $project: { college: 1, ms: { $subtract: ["$decidedAt", "$createdAt"] } } },
+    {
+      $facet: {
+        overall: [
+          { $group: { _id: null, samples: { $sum: 1 }, avg: { $avg: "$ms" }, min: { $min: "$ms" }, max: { $max: "$ms" } } },
+        ],
+        byCollege: [
+          { $group: { _id: "$college", samples: { $sum: 1 }, avg: { $avg: "$ms" } } },
+          { $sort: { avg: -1 } },
+        ],
+      },
+    },
+  ]);
+
+  const overall = rows[0]?.overall[0];
+  return {
+    samples: overall?.samples || 0,
+    avgHours: toHours(overall?.avg),
+    minHours: toHours(overall?.min),
+    maxHours: toHours(overall?.max),
+    byCollege: (rows[0]?.byCollege || []).map((r) => ({
+      college: r._id || "",
+      samples: r.samples,
+      avgHours: toHours(r.avg),
+    })),
+  };
+}
+
+/** Items waiting on each adviser, oldest first. */
+async function adviserBacklog(scope) {
+  const rows = await Research.aggregate([
+    { $match: { ...scope, ...adviserQueueFilter() } },
+    {
+      $group: {
+        _id: { $toLower: { $ifNull: ["$adviser", ""] } },
+        pending: { $sum: 1 },
+        oldest: { $min: "$createdAt" },
+      },
+    },
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: "_id",
+        foreignField: "email",
+        pipeline: [{ $project: { firstName: 1, lastName: 1, college: 1 } }],
+        as: "user",
+      },
+    },
+    { $sort: { pending: -1, oldest: 1 } },
+  ]);
+
+  const now = Date.now();
+  return rows.map((r) => ({
+    adviser: r._id || null, // null = no adviser set
+    name: r.user[0] ? `${r.user[0].firstName} ${r.user[0].lastName}`.trim() : "",
+    college: r.user[0]?.college || "",
+    pending: r.pending,
+    oldest: r.oldest,
+    oldestDays: r.oldest ? Math.floor((now - new Date(r.oldest).getTime()) / DAY_MS) : null,
+  }));
+}
+
+async function embargoesLifting(scope, days) {
+  const now = new Date();
+  const until = new Date(now.getTime() + days * DAY_MS);
+  const items = await Research.aggregate([
+    { $match: { ...scope, visibility: "embargo", embargoUntil: { $gte: now, $lte: until } } },
+    { $sort: { embargoUntil: 1 } },
+    { $project: { title: 1, author: 1, college: 1, status: 1, embargoUntil: 1 } },
+  ]);
+  return { withinDays: days, count: items.length, items };
+}
+
+/** Distinct stored files (current, past versions, renditions) per backend. */
+async function storageUsage(scope) {
+  const slot = (key, size) => ({ key, size: { $ifNull: [size, 0] } });
+  const [res] = await Research.aggregate([
+    { $match: scope },
+    {
+      $project: {
+        slots: {
+          $concatArrays: [
+            [slot({ $cond: [{ $gt: ["$storageKey", ""] }, "$storageKey", "$filePath"] }, "$fileSize")],
+            {
+              $map: {
+                input: { $ifNull: ["$versions", []] },
+                in: slot({ $cond: [{ $gt: ["$$this.storageKey", ""] }, "$$this.storageKey", "$$this.filePath"] }, "$$this.fileSize"),
+              },
+            },
+            [slot("$rendition.storageKey", "$rendition.fileSize")],
+          ],
+        },
+      },
+    },
+    { $unwind: "$slots" },
+    { $match: { "slots.key": { $nin: [null, ""] } } },
+    {
+      $facet: {
+        references: [{ $group: { _id: null, count: { $sum: 1 }, bytes: { $sum: "$slots.size" } } }],
+        byDriver: [
+          // equal bytes share one stored file: count each key once
+          { $group: { _id: "$slots.key", size: { $max: "$slots.size" } } },
+          {
+            $group: {
+              _id: {
+                $cond: [
+                  { $regexMatch: { input: "$_id", regex: /^[a-z0-9]+:/ } },
+                  { $arrayElemAt: [{ $split: ["$_id", ":"] }, 0] },
+                  "legacy",
+                ],
+              },
+              files: { $sum: 1 },
+              bytes: { $sum: "$size" },
+              unsized: { $sum: { $cond: [{ $gt: ["$size", 0] }, 0, 1] } },
+            },
+          },
+          { $sort: { bytes: -1 } },
+        ],
+      },
+    },
+  ]);
+
+  const byDriver = (res?.byDriver || []).map((d) => ({
+    driver: d._id,
+    files: d.files,
+    bytes: d.bytes,
+    unsized: d.unsized,
+  }));
+  const sum = (k) => byDriver.reduce((n, d) => n + d[k], 0);
+  const refs = res?.references[0] || { count: 0, bytes: 0 };
+  return {
+    files: sum("files"),
+    bytes: sum("bytes"),
+    unsized: sum("unsized"), // size unknown until the next storage check
+    references: refs.count,
+    referencedBytes: refs.bytes, // what the same files would take without dedup
+    byDriver,
+  };
+}
+
+async function userStats() {
+  const [res] = await User.aggregate([
+    {
+      $facet: {
+        byRole: [{ $group: { _id: "$role", count: { $sum: 1 } } }, { $sort: { count: -1 } }],
+        byCollege: [{ $group: { _id: "$college", count: { $sum: 1 } } }, { $sort: { count: -1 } }],
+        verified: [{ $group: { _id: "$verified", count: { $sum: 1 } } }],
+      },
+    },
+  ]);
+  return {
+    byRole: keyed(res.byRole),
+    byCollege: keyed(res.byCollege),
+    verified: res.verified.find((v) => v._id === true)?.count || 0,
+    unverified: res.verified.filter((v) => v._id !== true).reduce((n, v) => n + v.count, 0),
+  };
+}
+
+/** Full report for the admin dashboard (see parseStatsQuery for options). */
+async function repositoryStats(opts) {
+  const scope = opts.college ? { college: opts.college } : {};
+  const [submissions, turnaround, backlog, embargoes, storage, users] = await Promise.all([
+    submissionStats(scope, opts),
+    decisionTimes(scope, opts),
+    adviserBacklog(scope),
+    embargoesLifting(scope, opts.embargoDays),
+    storageUsage(scope),
+    userStats(),
+  ]);
+
+  return {
+    window: { from: opts.from, to: opts.to, interval: opts.interval, timezone: TZ },
+    college: opts.college,
+    submissions,
+    decisionTime: turnaround,
+    adviserBacklog: backlog,
+    embargoesLifting: embargoes,
+    storage,
+    users,
+    generatedAt: new Date(),
+  };
+}
+
+module.exports = { parseStatsQuery, repositoryStats };
@@ -0,0 +1,94 @@
+// utils/storage/gridfs.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const mongoose = require("mongoose");
+const { pipeline } = require("stream/promises");
+
+/* =========================================================
+   🍃 GridFS driver — files live in MongoDB next to the records
+   Keys look like "gridfs:<ObjectId>". Uses the driver's own
+   GridFSBucket: gridfs-stream only speaks the 2.x driver API
+   and does not work with the driver bundled in mongoose 8.
+   Bucket name: GRIDFS_BUCKET (default "researchFiles").
+========================================================= */
+
+let bucketInstance = null;
+function bucket() {
+  if (bucketInstance) return bucketInstance;
+  const db = mongoose.connection.db;
+  if (!db) throw new Error("MongoDB is not connected");
+  bucketInstance = new mongoose.mongo.GridFSBucket(db, {
+    bucketName: process.env.GRIDFS_BUCKET || "researchFiles",
+  });
+  return bucketInstance;
+}
+
+function idFor(key) {
+  const raw = String(key || "").replace(/^gridfs:/, "");
+  if (!mongoose.isValidObjectId(raw)) throw new Error("Invalid storage key");
+  return new mongoose.Types.ObjectId(raw);
+}
+
+async function putStream(readable, name, { contentType } = {}) {
+  const upload = bucket().openUploadStream(name, { metadata: { contentType: contentType || "" } });
+  await pipeline(readable, upload);
+  return `gridfs:${upload.id}`;
+}
+
+async function putFile(srcPath, name, opts = {}) {
+  const key = await putStream(fs.createReadStream(srcPath), name, opts);
+  await fs.promises.unlink(srcPath).catch(() => {});
+  return key;
+}
+
+async function copy(key, name) {
+  const src = await findFile(key);
+  return putStream(bucket().openDownloadStream(idFor(key)), name, {
+    contentType: src?.metadata?.contentType,
+  });
+}
+
+async function findFile(key) {
+  const [file] = await bucket().find({ _id: idFor(key) }).limit(1).toArray();
+  return file || null;
+}
+
+async function stat(key) {
+  try {
+    const file = await findFile(key);
+    if (!file) return null;
+    return { size: file.length, mtime: file.uploadDate, etag: `"${file._id}-${file.length}"` };
+  } catch {
+    return null;
+  }
+}
+
+function createReadStream(key, { start, end } = {}) {
+  const opts = {};
+  if (start != null) opts.start = start;
+  if (end != null) opts.end = end + 1; // GridFS end is exclusive
+  return bucket().openDownloadStream(idFor(key), opts);
+}
+
+async function remove(key) {
+  try {
+    await bucket().delete(idFor(key));
+  } catch (err) {
+    if (!/FileNotFound|not found/i.test(err.message)) throw err;
+  }
+}
+
+async function toLocalFile(key) {
+  const file = await findFile(key);
+  const tmp = path.join(os.tmpdir(), `gridfs-${Date.now()}-${Math.round(Math.random() * 1e9)}${path.extname(file?.filename || "")}`);
+  await pipeline(createReadStream(key), fs.createWriteStream(tmp));
+  return { path: tmp, cleanup: () => fs.promises.unlink(tmp).catch(() => {}) };
+}
+
+async function* list() {
+  const cursor = bucket().find({}, { projection: { _id: 1 } });
+  for await (const f of cursor) yield `gridfs:${f._id}`;
+}
+
+module.exports = { name: "gridfs", putFile, copy, stat, createReadStream, remove, toLocalFile, list };
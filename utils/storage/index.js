@@ -0,0 +1,203 @@
+// utils/storage/index.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const Research = require("../../models/Research");
+
+/* =========================================================
+   🗄️ Storage layer — every upload, copy, stream and delete
+   goes through here. Research stores an opaque `storageKey`
+   ("<driver>:<id>"); the driver is picked from the key when
+   reading, and from STORAGE_DRIVER (local | s3 | gridfs) when
+   writing, so records on different backends can coexist
+   during a migration. Old records without a key still carry
+   a legacy `filePath`, which the local driver resolves.
+
+   Uploads are content-addressed: the SHA-256 of the bytes is
+   kept as `fileHash`, and a file whose hash is already stored
+   reuses that key instead of writing a second copy. A stored
+   file is removed only when no record (current file or
+   version history) references its key any more.
+========================================================= */
+
+const DRIVERS = {
+  local: require("./local"),
+  s3: require("./s3"),
+  gridfs: require("./gridfs"),
+};
+
+const DEFAULT_DRIVER = DRIVERS[process.env.STORAGE_DRIVER] ? process.env.STORAGE_DRIVER : "local";
+
+function driverFor(key) {
+  const m = /^(local|s3|gridfs):/.exec(String(key || ""));
+  return DRIVERS[m ? m[1] : "local"];
+}
+
+function writer(name = DEFAULT_DRIVER) {
+  const d = DRIVERS[name];
+  if (!d) throw new Error(`Unknown storage driver "${name}"`);
+  return d;
+}
+
+/** The key to read a record's current file with ("" if it has none). */
+const fileKey = (doc) => (doc && (doc.storageKey || doc.filePath)) || "";
+
+/** Mongo filter matching records whose current file is `key`. */
+function keyFilter(key) {
+  return {
+    $or: [{ storageKey: key }, { storageKey: { $in: ["", null] }, filePath: key }],
+  };
+}
+
+/** Points a record at a stored file ({ storageKey, fileHash, fileSize }; legacy filePath cleared). */
+function setFile(doc, { storageKey, fileHash = "", fileSize = 0 }, { fileName, fileType, scan } = {}) {
+  doc.storageKey = storageKey;
+  doc.fileHash = fileHash;
+  doc.fileSize = fileSize;
+  doc.filePath = "";
+  if (fileName !== undefined) doc.fileName = fileName;
+  if (fileType !== undefined) doc.fileType = fileType;
+  if (scan !== undefined) doc.scan = scan;
+}
+
+function uniqueName(originalName = "document") {
+  const safe = String(originalName).replace(/[^a-z0-9._-]+/gi, "_").slice(-100) || "document";
+  return `${Date.now()}-${Math.round(Math.random() * 1e9)}-${safe}`;
+}
+
+/** SHA-256 (hex) of a local file. */
+function hashFile(absPath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(absPath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+/** Key of an already stored file with these bytes (null if none is left). */
+async function findByHash(fileHash) {
+  const hit = await Research.findOne({
+    $or: [{ fileHash }, { "versions.fileHash": fileHash }, { "rendition.fileHash": fileHash }],
+  })
+    .select("storageKey fileHash versions.storageKey versions.fileHash rendition.storageKey rendition.fileHash")
+    .lean();
+  if (!hit) return null;
+
+  const slots = [hit, ...(hit.versions || []), hit.rendition || {}];
+  const slot = slots.find((s) => s.fileHash === fileHash && s.storageKey);
+  if (!slot || !(await exists(slot.storageKey))) return null;
+  return slot.storageKey;
+}
+
+/** Stores a local temp file once per hash; returns { storageKey, fileHash, fileSize, deduplicated }. */
+async function store(srcPath, { fileName, contentType, driver }) {
+  const fileHash = await hashFile(srcPath);
+  const { size: fileSize } = await fs.promises.stat(srcPath);
+
+  const existing = await findByHash(fileHash);
+  if (existing) {
+    await fs.promises.unlink(srcPath).catch(() => {});
+    return { storageKey: existing, fileHash, fileSize, deduplicated: true };
+  }
+
+  const storageKey = await writer(driver).putFile(srcPath, uniqueName(fileName), { contentType });
+  return { storageKey, fileHash, fileSize, deduplicated: false };
+}
+
+/** Moves a multer temp file into storage. */
+async function saveUpload(file, { driver } = {}) {
+  return store(file.path, { fileName: file.originalname, contentType: file.mimetype, driver });
+}
+
+/** Stores an in-memory buffer (base64 uploads). */
+async function saveBuffer(buffer, { fileName, contentType, driver } = {}) {
+  const tmp = path.join(os.tmpdir(), `upload-${Date.now()}-${Math.round(Math.random() * 1e9)}`);
+  await fs.promises.writeFile(tmp, buffer);
+  return store(tmp, { fileName, contentType, driver });
+}
+
+/** Copies a stored file (possibly across backends); returns the new key. */
+async function copy(key, { fileName, driver } = {}) {
+  const src = driverFor(key);
+  const dest = writer(driver);
+  const name = uniqueName(fileName || path.basename(String(key)));
+
+  if (src === dest) return dest.copy(key, name);
+
+  const local = await src.toLocalFile(key);
+  try {
+    const tmp = `${local.path}.copy`;
+    await fs.promises.copyFile(local.path, tmp);
+    return await dest.putFile(tmp, name, {});
+  } finally {
+    await local.cleanup();
+  }
+}
+
+const stat = (key) => (key ? driverFor(key).stat(key) : Promise.resolve(null));
+const exists = async (key) => !!(await stat(key));
+const createReadStream = (key, range) => driverFor(key).createReadStream(key, range);
+const remove = (key) => (key ? driverFor(key).remove(key) : Promise.resolve());
+
+/** Number of records whose current file, history or PDF rendition points at `key`. */
+function countReferences(key) {
+  return Research.countDocuments({
+    $or: [
+      { storageKey: key },
+      { "versions.storageKey": key },
+      { filePath: key },
+      { "versions.filePath": key },
+      { "rendition.storageKey": key },
+    ],
+  });
+}
+
+/**
+ * Drops the given keys from storage once nothing references them.
+ * Call after the owning record has been deleted.
+ */
+async function release(keys) {
+  for (const key of new Set((keys || []).filter(Boolean))) {
+    try {
+      if ((await countReferences(key)) === 0) await remove(key);
+    } catch (err) {
+      console.error("❌ Release stored file failed:", { key, error: err.message });
+    }
+  }
+}
+
+/**
+ * Runs `fn(absPath)` against a local copy of the file (downloaded for
+ * remote backends and removed afterwards).
+ */
+async function withLocalFile(key, fn) {
+  const local = await driverFor(key).toLocalFile(key);
+  try {
+    return await fn(local.path);
+  } finally {
+    await local.cleanup();
+  }
+}
+
+module.exports = {
+  DRIVERS,
+  DEFAULT_DRIVER,
+  driverFor,
+  fileKey,
+  keyFilter,
+  setFile,
+  hashFile,
+  saveUpload,
+  saveBuffer,
+  copy,
+  stat,
+  exists,
+  createReadStream,
+  remove,
+  countReferences,
+  release,
+  withLocalFile,
+};
@@ -0,0 +1,95 @@
+// utils/storage/local.js
+const fs = require("fs");
+const path = require("path");
+const { resolveAbsPathFromDB } = require("../filePaths");
+
+/* =========================================================
+   💾 Local disk driver
+   Keys look like "local:research/<name>" (relative to
+   LOCAL_STORAGE_ROOT, default <project>/uploads). Anything
+   without a scheme is a legacy filePath from before the
+   storage layer and is resolved the old way, read-only.
+========================================================= */
+
+const ROOT = path.resolve(
+  process.env.LOCAL_STORAGE_ROOT || path.join(__dirname, "..", "..", "uploads")
+);
+
+function absFor(key) {
+  const raw = String(key || "");
+  if (!raw.startsWith("local:")) return resolveAbsPathFromDB(raw); // legacy path
+
+  const abs = path.resolve(ROOT, raw.slice("local:".length));
+  if (!abs.startsWith(ROOT + path.sep)) throw new Error("Invalid storage key");
+  return abs;
+}
+
+async function putFile(srcPath, name) {
+  const rel = `research/${name}`;
+  const dest = path.join(ROOT, rel);
+  await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+  try {
+    await fs.promises.rename(srcPath, dest);
+  } catch {
+    // different device (e.g. tmp on another volume)
+    await fs.promises.copyFile(srcPath, dest);
+    await fs.promises.unlink(srcPath).catch(() => {});
+  }
+  return `local:${rel}`;
+}
+
+async function copy(key, name) {
+  const rel = `research/${name}`;
+  const dest = path.join(ROOT, rel);
+  await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+  await fs.promises.copyFile(absFor(key), dest);
+  return `local:${rel}`;
+}
+
+async function stat(key) {
+  try {
+    const s = await fs.promises.stat(absFor(key));
+    if (!s.isFile()) return null;
+    return { size: s.size, mtime: s.mtime };
+  } catch {
+    return null;
+  }
+}
+
+function createReadStream(key, { start, end } = {}) {
+  return fs.createReadStream(absFor(key), { start, end });
+}
+
+async function remove(key) {
+  await fs.promises.unlink(absFor(key)).catch((err) => {
+    if (err.code !== "ENOENT") throw err;
+  });
+}
+
+/** Key for an absolute path inside ROOT (null when it lives elsewhere). */
+function keyForPath(abs) {
+  const rel = path.relative(ROOT, path.resolve(abs));
+  if (!rel || rel.startsWith("..") || path.isAbsolute(rel)) return null;
+  return `local:${rel.split(path.sep).join("/")}`;
+}
+
+/** Local files are already on disk — no download or cleanup needed. */
+async function toLocalFile(key) {
+  return { path: absFor(key), cleanup: async () => {} };
+}
+
+/** Every stored key under research/ (for integrity checks). */
+async function* list() {
+  const dir = path.join(ROOT, "research");
+  let entries = [];
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch {
+    return;
+  }
+  for (const e of entries) {
+    if (e.isFile()) yield `local:research/${e.name}`;
+  }
+}
+
+module.exports = { name: "local", ROOT, absFor, keyForPath, putFile, copy, stat, createReadStream, remove, toLocalFile, list };
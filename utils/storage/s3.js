@@ -0,0 +1,127 @@
+// utils/storage/s3.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+
+/* =========================================================
+   ☁️ S3-compatible driver (AWS S3, MinIO, R2, …)
+   Keys look like "s3:research/<name>".
+   Env:
+     S3_BUCKET, S3_REGION (default us-east-1)
+     S3_ENDPOINT            e.g. http://localhost:9000 for MinIO
+     S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+     S3_FORCE_PATH_STYLE    "true" for MinIO
+========================================================= */
+
+let client = null;
+function s3() {
+  if (client) return client;
+  const { S3Client } = require("@aws-sdk/client-s3");
+  client = new S3Client({
+    region: process.env.S3_REGION || "us-east-1",
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: String(process.env.S3_FORCE_PATH_STYLE || "").toLowerCase() === "true",
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || "",
+        }
+      : undefined,
+  });
+  return client;
+}
+
+const cmd = () => require("@aws-sdk/client-s3");
+
+function bucket() {
+  if (!process.env.S3_BUCKET) throw new Error("S3_BUCKET is not configured");
+  return process.env.S3_BUCKET;
+}
+
+const objectKey = (key) => String(key).replace(/^s3:/, "");
+
+async function putFile(srcPath, name, { contentType } = {}) {
+  const Key = `research/${name}`;
+  const { size } = await fs.promises.stat(srcPath);
+  await s3().send(
+    new (cmd().PutObjectCommand)({
+      Bucket: bucket(),
+      Key,
+      Body: fs.createReadStream(srcPath),
+      ContentLength: size,
+      ContentType: contentType || "application/octet-stream",
+    })
+  );
+  await fs.promises.unlink(srcPath).catch(() => {});
+  return `s3:${Key}`;
+}
+
+async function copy(key, name) {
+  const Key = `research/${name}`;
+  await s3().send(
+    new (cmd().CopyObjectCommand)({
+      Bucket: bucket(),
+      Key,
+      CopySource: encodeURI(`${bucket()}/${objectKey(key)}`),
+    })
+  );
+  return `s3:${Key}`;
+}
+
+async function stat(key) {
+  try {
+    const head = await s3().send(
+      new (cmd().HeadObjectCommand)({ Bucket: bucket(), Key: objectKey(key) })
+    );
+    return {
+      size: Number(head.ContentLength || 0),
+      mtime: head.LastModified || new Date(0),
+      etag: head.ETag || undefined,
+    };
+  } catch (err) {
+    if (err?.$metadata?.httpStatusCode === 404 || err?.name === "NotFound") return null;
+    throw err;
+  }
+}
+
+/** Readable stream; the request is made lazily so callers can pipe synchronously. */
+function createReadStream(key, { start, end } = {}) {
+  const { PassThrough } = require("stream");
+  const out = new PassThrough();
+  const Range = start != null ? `bytes=${start}-${end != null ? end : ""}` : undefined;
+
+  s3()
+    .send(new (cmd().GetObjectCommand)({ Bucket: bucket(), Key: objectKey(key), Range }))
+    .then((res) => {
+      res.Body.on("error", (err) => out.destroy(err));
+      res.Body.pipe(out);
+    })
+    .catch((err) => out.destroy(err));
+
+  return out;
+}
+
+async function remove(key) {
+  await s3().send(new (cmd().DeleteObjectCommand)({ Bucket: bucket(), Key: objectKey(key) }));
+}
+
+/** Downloads to a temp file for tools that need a real path (pdf-parse, OCR, previews). */
+async function toLocalFile(key) {
+  const tmp = path.join(os.tmpdir(), `s3-${Date.now()}-${Math.round(Math.random() * 1e9)}${path.extname(objectKey(key))}`);
+  await pipeline(createReadStream(key), fs.createWriteStream(tmp));
+  return { path: tmp, cleanup: () => fs.promises.unlink(tmp).catch(() => {}) };
+}
+
+async function* list() {
+  let ContinuationToken;
+  do {
+    const page = await s3().send(
+      new (cmd().ListObjectsV2Command)({ Bucket: bucket(), Prefix: "research/", ContinuationToken })
+    );
+    for (const obj of page.Contents || []) yield `s3:${obj.Key}`;
+    ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+  } while (ContinuationToken);
+}
+
+module.exports = { name: "s3", putFile, copy, stat, createReadStream, remove, toLocalFile, list };
@@ -0,0 +1,250 @@
+// utils/storageIntegrity.js
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const Research = require("../models/Research");
+const storage = require("./storage");
+const { resolveAbsPathFromDB } = require("./filePaths");
+
+/* =========================================================
+   🧹 Storage integrity check / migration
+   Walks every Research record (current file + version history):
+   - normalizes legacy filePath values (absolute student/faculty
+     paths, /uploads/research/... staff paths) into storage keys
+   - reports missing and zero-byte files
+   - fills in missing SHA-256 fileHash values (used for dedup) and
+     fileSize values (used by the admin storage stats)
+   - reports files in storage that no record references (orphans)
+   - optionally copies everything into another backend
+   With dryRun nothing is written; the report shows what would change.
+   Used by scripts/storageCheck.js and POST /api/admin/storage/check.
+========================================================= */
+
+const local = storage.DRIVERS.local;
+
+/** Storage key for a legacy filePath, copying files that live outside the local root. */
+async function keyForLegacyPath(filePath, { dryRun, fileName, copies }) {
+  const abs = resolveAbsPathFromDB(filePath);
+  if (!abs || !fs.existsSync(abs)) return { key: null };
+
+  const inRoot = local.keyForPath(abs);
+  if (inRoot) return { key: inRoot };
+
+  // outside uploads/ (e.g. an old absolute path): bring a copy under the root
+  if (dryRun) return { key: `local:research/<copy of ${path.basename(abs)}>`, copied: true };
+  if (!copies.has(abs)) {
+    copies.set(abs, await storage.copy(filePath, { fileName: fileName || path.basename(abs), driver: "local" }));
+  }
+  return { key: copies.get(abs), copied: true };
+}
+
+/** Drivers worth listing for orphans (remote ones only when configured). */
+function scannedDrivers() {
+  const names = ["local"];
+  if (process.env.S3_BUCKET) names.push("s3");
+  if (mongoose.connection.readyState === 1) names.push("gridfs");
+  return names;
+}
+
+/** Applies a new key to the current file, one version entry or the PDF rendition, guarded by the old one. */
+async function repoint(researchId, slot, from, to) {
+  if (slot.rendition) {
+    const res = await Research.updateOne(
+      { _id: researchId, "rendition.storageKey": from },
+      { $set: { "rendition.storageKey": to } }
+    );
+    return res.modifiedCount > 0;
+  }
+  if (slot.version == null) {
+    const res = await Research.updateOne(
+      { _id: researchId, ...storage.keyFilter(from) },
+      { $set: { storageKey: to, filePath: "" } }
+    );
+    // previews were rendered from the same bytes; keep them valid
+    await Research.updateOne(
+      { _id: researchId, "preview.sourcePath": from },
+      { $set: { "preview.sourcePath": to } }
+    );
+    return res.modifiedCount > 0;
+  }
+
+  const res = await Research.updateOne(
+    { _id: researchId, "versions.version": slot.version },
+    { $set: { "versions.$.storageKey": to, "versions.$.filePath": "" } }
+  );
+  return res.modifiedCount > 0;
+}
+
+/** Sets file fields ({ fileHash, fileSize }) on the current file, one version entry or the rendition. */
+async function setFields(researchId, slot, fields) {
+  const prefix = slot.rendition ? "rendition." : slot.version == null ? "" : "versions.$.";
+  const $set = {};
+  for (const [k, v] of Object.entries(fields)) $set[prefix + k] = v;
+
+  if (slot.rendition || slot.version == null) {
+    await Research.updateOne({ _id: researchId }, { $set });
+  } else {
+    await Research.updateOne({ _id: researchId, "versions.version": slot.version }, { $set });
+  }
+}
+
+/**
+ * runStorageCheck({
+ *   dryRun       = false,   // report only
+ *   migrateTo,              // "local" | "s3" | "gridfs" (optional)
+ *   deleteSource = false,   // remove the old copy after a migration
+ *   log          = () => {} // progress lines
+ * }) → report
+ */
+async function runStorageCheck({ dryRun = false, migrateTo, deleteSource = false, log = () => {} } = {}) {
+  if (migrateTo && !storage.DRIVERS[migrateTo]) {
+    throw new Error(`Unknown storage driver "${migrateTo}"`);
+  }
+
+  const report = {
+    dryRun: !!dryRun,
+    migrateTo: migrateTo || null,
+    startedAt: new Date(),
+    finishedAt: null,
+    records: 0,
+    files: 0,
+    hashed: 0,
+    sized: 0,
+    normalized: [],
+    missing: [],
+    zeroByte: [],
+    migrated: [],
+    orphans: [],
+    errors: [],
+  };
+  const referenced = new Set();
+  const moved = new Map(); // old key → new key (shared keys are copied once)
+  const copies = new Map(); // legacy path outside the root → local copy
+
+  const cursor = Research.find({})
+    .select(
+      "title filePath storageKey fileHash fileSize fileName " +
+        "versions.version versions.storageKey versions.filePath versions.fileHash versions.fileSize versions.fileName " +
+        "rendition.storageKey rendition.fileHash rendition.fileSize rendition.fileName"
+    )
+    .lean()
+    .cursor();
+
+  for await (const r of cursor) {
+    report.records++;
+    const slots = [
+      {
+        version: null,
+        storageKey: r.storageKey,
+        filePath: r.filePath,
+        fileHash: r.fileHash,
+        fileSize: r.fileSize,
+        fileName: r.fileName,
+      },
+      ...(r.versions || []).map((v) => ({ ...v })),
+      { version: "rendition", rendition: true, ...(r.rendition || {}) },
+    ];
+
+    for (const slot of slots) {
+      let key = slot.storageKey || slot.filePath;
+      if (!key) continue;
+      report.files++;
+      const where = { id: String(r._id), title: r.title, version: slot.version };
+
+      try {
+        // 1. legacy filePath → storage key
+        if (!slot.storageKey) {
+          const { key: normalized, copied } = await keyForLegacyPath(slot.filePath, {
+            dryRun,
+            fileName: slot.fileName,
+            copies,
+          });
+          if (!normalized) {
+            report.missing.push({ ...where, key });
+            continue;
+          }
+          if (!dryRun) await repoint(r._id, slot, key, normalized);
+          report.normalized.push({ ...where, from: key, to: normalized, copied: !!copied });
+          key = normalized;
+          if (dryRun && copied) continue; // nothing to stat yet
+        }
+
+        // 2. presence / size
+        const st = await storage.stat(key);
+        if (!st) {
+          referenced.add(key);
+          report.missing.push({ ...where, key });
+          continue;
+        }
+        if (st.size === 0) report.zeroByte.push({ ...where, key });
+
+        // 2b. hash older files so later uploads of the same bytes reuse them
+        if (!slot.fileHash) {
+          if (!dryRun) await setFields(r._id, slot, { fileHash: await storage.withLocalFile(key, storage.hashFile) });
+          report.hashed++;
+        }
+        if (!slot.fileSize && st.size) {
+          if (!dryRun) await setFields(r._id, slot, { fileSize: st.size });
+          report.sized++;
+        }
+
+        // 3. migration into another backend
+        if (!migrateTo || storage.driverFor(key).name === migrateTo) {
+          referenced.add(key);
+          continue;
+        }
+        if (dryRun) {
+          referenced.add(key);
+          report.migrated.push({ ...where, from: key, to: `${migrateTo}:…` });
+          continue;
+        }
+
+        const to = moved.get(key) || (await storage.copy(key, { fileName: slot.fileName, driver: migrateTo }));
+        moved.set(key, to);
+        if (await repoint(r._id, slot, key, to)) {
+          referenced.add(to);
+          report.migrated.push({ ...where, from: key, to });
+        } else {
+          referenced.add(key); // record changed meanwhile; keep the source
+        }
+      } catch (err) {
+        report.errors.push({ ...where, key, error: err.message });
+      }
+    }
+
+    if (report.records % 100 === 0) log(`… ${report.records} records checked`);
+  }
+
+  // drop copies no record took; sources go only once nothing points at them
+  for (const [from, to] of moved) {
+    if (!referenced.has(to)) {
+      await storage.remove(to).catch(() => {});
+    } else if (deleteSource && !referenced.has(from)) {
+      await storage.remove(from).catch((err) => {
+        report.errors.push({ key: from, error: `Remove failed: ${err.message}` });
+      });
+    }
+  }
+
+  // 4. orphans: stored files no record points at
+  for (const name of scannedDrivers()) {
+    try {
+      for await (const key of storage.DRIVERS[name].list()) {
+        if (!referenced.has(key)) report.orphans.push(key);
+      }
+    } catch (err) {
+      report.errors.push({ driver: name, error: `Listing failed: ${err.message}` });
+    }
+  }
+
+  report.finishedAt = new Date();
+  log(
+    `✅ Storage check: ${report.records} records, ${report.files} files, ` +
+      `${report.normalized.length} normalized, ${report.hashed} hashed, ${report.sized} sized, ${report.missing.length} missing, ` +
+      `${report.zeroByte.length} zero-byte, ${report.orphans.length} orphans, ` +
+      `${report.migrated.length} migrated${dryRun ? " (dry run)" : ""}`
+  );
+  return report;
+}
+
+module.exports = { runStorageCheck };
@@ -0,0 +1,153 @@
+// utils/textExtraction.js
+const fs = require("fs");
+const pdfParse = require("pdf-parse");
+const Research = require("../models/Research");
+const storage = require("./storage");
+const { queueOcr } = require("./ocrQueue");
+const { pdfSource, needsRendition, queueRendition } = require("./renditions");
+
+/* =========================================================
+   📄 Full-text extraction, once per uploaded file
+   Upload routes call queueTextExtraction() after saving; the
+   text lands in `textPages` (one entry per page) and the flat
+   `extractedText` used by search and the AI tools.
+   Jobs run one at a time in-process so big theses don't pile up;
+   image-only PDFs are handed to the OCR queue (utils/ocrQueue.js).
+   DOC/DOCX records are read from their PDF rendition; until it
+   exists the conversion is queued instead (utils/renditions.js).
+========================================================= */
+
+// below this many characters per page the PDF is treated as scanned
+const MIN_CHARS_PER_PAGE = 25;
+
+/** Rebuilds reading order of one page from pdf.js text items. */
+function renderPage(pageData) {
+  return pageData
+    .getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then((content) => {
+      let lastY;
+      let text = "";
+      for (const item of content.items) {
+        const y = item.transform[5];
+        text += lastY === undefined || lastY === y ? item.str : `\n${item.str}`;
+        lastY = y;
+      }
+      return text;
+    });
+}
+
+/** { pages: string[], numPages } — pages keep their boundaries. */
+async function extractPdfPages(absPath) {
+  const pages = [];
+  // plain Uint8Array copy: pdf.js mis-reads small (pooled) Buffers
+  const data = await pdfParse(new Uint8Array(fs.readFileSync(absPath)), {
+    pagerender: (pageData) =>
+      renderPage(pageData).then((text) => {
+        pages.push(text);
+        return text;
+      }),
+  });
+  return { pages, numPages: data.numpages || pages.length };
+}
+
+const joinPages = (pages) => pages.map((p) => String(p || "").trim()).join("\n\n");
+
+function looksScanned(pages) {
+  if (!pages.length) return true;
+  const chars = pages.reduce((n, p) => n + String(p || "").replace(/\s+/g, "").length, 0);
+  return chars / pages.length < MIN_CHARS_PER_PAGE;
+}
+
+/**
+ * Extracts text for one research record and stores it.
+ * `key` guards against a newer revision uploaded meanwhile;
+ * `source` is the PDF read (the rendition for DOC/DOCX).
+ */
+async function extractAndStore(researchId, key, source = key) {
+  const guard = { _id: researchId, ...storage.keyFilter(key) };
+
+  try {
+    const { pages, numPages } = await storage.withLocalFile(source, extractPdfPages);
+    const scanned = looksScanned(pages);
+
+    const text = scanned ? "" : joinPages(pages);
+    await Research.updateOne(guard, {
+      $set: {
+        textPages: scanned ? [] : pages,
+        extractedText: text,
+        textExtraction: {
+          status: text ? "done" : "empty",
+          method: "pdf-parse",
+          pages: numPages || pages.length,
+          chars: text.length,
+          extractedAt: new Date(),
+          error: "",
+        },
+        ...(scanned ? {} : { "ocr.status": "not_needed" }),
+      },
+    });
+
+    if (scanned) await queueOcr({ researchId, key, source });
+  } catch (err) {
+    console.error("❌ Text extraction failed:", { id: String(researchId), error: err.message });
+    await Research.updateOne(guard, {
+      $set: { "textExtraction.status": "failed", "textExtraction.error": err.message },
+    }).catch(() => {});
+  }
+}
+
+let chain = Promise.resolve();
+
+/**
+ * Schedules extraction for a saved research doc's current file.
+ * Never throws and never blocks the upload response.
+ */
+function queueTextExtraction(doc) {
+  const key = storage.fileKey(doc);
+  if (!doc?._id || !key) return;
+  const researchId = doc._id;
+  const guard = { _id: researchId, ...storage.keyFilter(key) };
+
+  const pdf = pdfSource(doc);
+  if (!pdf) {
+    // extraction is queued again once the rendition exists
+    if (needsRendition(doc)) return queueRendition(doc);
+    Research.updateOne(guard, {
+      $set: { textPages: [], extractedText: "", "textExtraction.status": "unsupported" },
+    }).catch(() => {});
+    return;
+  }
+
+  Research.updateOne(guard, {
+    $set: { "textExtraction.status": "pending", "textExtraction.error": "" },
+  }).catch(() => {});
+
+  chain = chain
+    .then(() => extractAndStore(researchId, key, pdf.key))
+    .catch((err) => console.error("❌ Extraction queue error:", err.message));
+}
+
+/**
+ * Stored text for the AI tools, by record id or legacy filePath.
+ * Returns "" when nothing has been extracted (callers fall back to parsing).
+ */
+async function getStoredText({ researchId, filePath } = {}) {
+  try {
+    let query = null;
+    if (researchId && Research.base.isValidObjectId(researchId)) query = { _id: researchId };
+    else if (filePath) query = { filePath: String(filePath) };
+    if (!query) return "";
+
+    const r = await Research.findOne(query).select("+extractedText").lean();
+    return r?.extractedText || "";
+  } catch {
+    return "";
+  }
+}
+
+module.exports = {
+  extractPdfPages,
+  looksScanned,
+  queueTextExtraction,
+  getStoredText,
+};
@@ -0,0 +1,195 @@
+// utils/usage.js
+const mongoose = require("mongoose");
+const Research = require("../models/Research");
+const UsageEvent = require("../models/UsageEvent");
+const { isMsuiitG } = require("../middleware/authMiddleware");
+
+/* =========================================================
+   📈 Usage tracking & analytics
+   Routes call recordView / recordDownload once access is granted
+   and recordDetail when a repository record is opened. A file read
+   is counted on the request that starts the transfer (no Range, or
+   a range from byte 0) and not on cache revalidations, so resumed
+   or chunked transfers count once.
+   usageReport() aggregates the events by day, affiliation (campus
+   vs external), college and role. Days are cut in ANALYTICS_TZ
+   (default Asia/Manila).
+========================================================= */
+
+const TYPES = ["view", "download", "detail"];
+const TZ = process.env.ANALYTICS_TZ || "Asia/Manila";
+const MAX_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function startsTransfer(req) {
+  if (req.method !== "GET") return false;
+  if (req.headers["if-none-match"] || req.headers["if-modified-since"]) return false;
+  const range = req.headers.range;
+  return !range || /^bytes=0-/.test(String(range).trim());
+}
+
+/** Fire-and-forget: logs one UsageEvent (downloads also bump Research.downloadCount). */
+function recordUsage(req, doc, type, route = "") {
+  if (!doc?._id) return;
+  const email = String(req.user?.email || "").toLowerCase();
+  const userId = mongoose.isValidObjectId(req.user?.id) ? req.user.id : null;
+
+  Promise.all([
+    // timestamps off: a download must not bump updatedAt ("recent" sort, stamped-copy cache key)
+    type === "download" &&
+      Research.updateOne({ _id: doc._id }, { $inc: { downloadCount: 1 } }, { timestamps: false }),
+    UsageEvent.create({
+      research: doc._id,
+      type,
+      user: userId,
+      email,
+      role: req.user?.role || "",
+      affiliation: req.user?.isCampus || isMsuiitG(email) ? "campus" : "external",
+      college: doc.college || "",
+      route,
+    }),
+  ]).catch((err) => console.error("❌ Usage tracking failed:", { type, error: err.message }));
+}
+
+function recordView(req, doc, route) {
+  if (startsTransfer(req)) recordUsage(req, doc, "view", route);
+}
+
+function recordDownload(req, doc, route) {
+  if (startsTransfer(req)) recordUsage(req, doc, "download", route);
+}
+
+function recordDetail(req, doc) {
+  recordUsage(req, doc, "detail", "repository.detail");
+}
+
+/**
+ * Report window from ?from=&to= (dates) or ?days=N (default 30),
+ * capped at MAX_DAYS. → { from, to } or { error }
+ */
+function parseWindow(query = {}) {
+  const to = query.to ? new Date(query.to) : new Date();
+  let from;
+  if (query.from) {
+    from = new Date(query.from);
+  } else {
+    const days = Math.min(Math.max(parseInt(query.days, 10) || 30, 1), MAX_DAYS);
+    from = new Date(to.getTime() - days * DAY_MS);
+  }
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) return { error: "Invalid from/to date" };
+  if (from >= to) return { error: "from must be before to" };
+  if (to - from > MAX_DAYS * DAY_MS) return { error: `Window is limited to ${MAX_DAYS} days` };
+  return { from, to };
+}
+
+// { key, counts: { view: n, ... } } rows → { [name]: key, view, download, detail, total }
+const flatten = (name) => (row) => {
+  const out = { [name]: row._id ?? "" };
+  for (const t of TYPES) out[t] = row.counts?.[t] || 0;
+  out.total = TYPES.reduce((n, t) => n + out[t], 0);
+  return out;
+};
+
+const countsBy = (key) => [
+  { $group: { _id: { key, type: "$type" }, count: { $sum: 1 } } },
+  { $group: { _id: "$_id.key", counts: { $push: { k: "$_id.type", v: "$count" } } } },
+  { $project: { counts: { $arrayToObject: "$counts" } } },
+  { $sort: { _id: 1 } },
+];
+
+/**
+ * Aggregates the events matching `match` inside the window.
+ *   top: also list the N most-read items
+ * → { from, to, totals, byDay, byAffiliation, byCollege, byRole, topItems? }
+ */
+async function usageReport(match, { from, to, top = 0 } = {}) {
+  const facets = {
+    totals: [
+      {
+        $group: {
+          _id: "$type",
+          count: { $sum: 1 },
+          viewers: { $addToSet: { $ifNull: ["$user", "$email"] } },
+        },
+      },
+      { $project: { count: 1, uniqueViewers: { $size: "$viewers" } } },
+    ],
+    byDay: countsBy({ $dateToString: { format: "%Y-%m-%d", date: "$createdAt", timezone: TZ } }),
+    byAffiliation: countsBy("$affiliation"),
+    byCollege: countsBy("$college"),
+    byRole: countsBy("$role"),
+  };
+  if (top) {
+    facets.topItems = [
+      ...countsBy("$research"),
+      { $addFields: { total: { $sum: TYPES.map((t) => ({ $ifNull: [`$counts.${t}`, 0] })) } } },
+      { $sort: { total: -1, _id: 1 } },
+      { $limit: top },
+      {
+        $lookup: {
+          from: Research.collection.name,
+          localField: "_id",
+          foreignField: "_id",
+          pipeline: [{ $project: { title: 1, author: 1, college: 1, year: 1 } }],
+          as: "research",
+        },
+      },
+    ];
+  }
+
+  const [res] = await UsageEvent.aggregate([
+    { $match: { ...match, createdAt: { $gte: from, $lt: to } } },
+    { $facet: facets },
+  ]);
+
+  const totals = {};
+  for (const t of TYPES) {
+    const row = res.totals.find((r) => r._id === t);
+    totals[t] = { count: row?.count || 0, uniqueViewers: row?.uniqueViewers || 0 };
+  }
+
+  const report = {
+    from,
+    to,
+    timezone: TZ,
+    totals,
+    byDay: res.byDay.map(flatten("day")),
+    byAffiliation: res.byAffiliation.map(flatten("affiliation")),
+    byCollege: res.byCollege.map(flatten("college")),
+    byRole: res.byRole.map(flatten("role")),
+  };
+  if (top) {
+    report.topItems = res.topItems.map((row) => ({
+      ...flatten("researchId")(row),
+      title: row.research[0]?.title || "",
+      author: row.research[0]?.author || "",
+      college: row.research[0]?.college || "",
+      year: row.research[0]?.year || "",
+    }));
+  }
+  return report;
+}
+
+/** Per-item counts for `ids` inside the window → Map(researchId → { view, download, detail, total }). */
+async function countsByItem(ids, { from, to }) {
+  const rows = await UsageEvent.aggregate([
+    { $match: { research: { $in: ids }, createdAt: { $gte: from, $lt: to } } },
+    ...countsBy("$research"),
+  ]);
+  return new Map(
+    rows.map((row) => {
+      const { researchId, ...counts } = flatten("researchId")(row);
+      return [String(researchId), counts];
+    })
+  );
+}
+
+module.exports = {
+  TYPES,
+  recordView,
+  recordDownload,
+  recordDetail,
+  parseWindow,
+  usageReport,
+  countsByItem,
+};
@@ -0,0 +1,205 @@
+// utils/watermark.js
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const storage = require("./storage");
+const { isOwner } = require("./accessPolicy");
+
+/* =========================================================
+   🏷️ Per-viewer stamped PDFs
+   Pages get a footer with the viewer's email, the date/time and the
+   visibility level (plus a faint diagonal mark); an optional cover
+   page carries the citation and the repository link.
+   Policy per visibility, env WATERMARK_POLICY (JSON), e.g.
+     {"public":{"stamp":false,"cover":false},"campus":{"stamp":true,"cover":true}}
+   Owners/uploaders always get their file untouched.
+   Output is cached per (file, record edit, viewer, day, policy) under
+   uploads/stamped/<researchId>/ and swept after STAMP_CACHE_HOURS.
+========================================================= */
+
+const STAMP_ROOT = path.join(__dirname, "..", "uploads", "stamped");
+const CACHE_MS = (Number(process.env.STAMP_CACHE_HOURS) || 24) * 60 * 60 * 1000;
+const REPOSITORY_NAME = process.env.REPOSITORY_NAME || "MSU-IIT Research Repository";
+
+const DEFAULT_POLICY = {
+  public:  { stamp: false, cover: false },
+  campus:  { stamp: true, cover: true },
+  private: { stamp: true, cover: true },
+  embargo: { stamp: true, cover: true },
+};
+
+function policyFor(visibility) {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.WATERMARK_POLICY || "{}");
+  } catch {
+    console.warn("⚠️ WATERMARK_POLICY is not valid JSON; using defaults");
+  }
+  const vis = String(visibility || "campus").toLowerCase();
+  const p = { ...(DEFAULT_POLICY[vis] || DEFAULT_POLICY.campus), ...(overrides[vis] || {}) };
+  return { stamp: !!p.stamp, cover: !!p.cover };
+}
+
+/** Link printed on the cover page. */
+function recordUrl(req, doc) {
+  if (process.env.PUBLIC_APP_URL) {
+    return `${process.env.PUBLIC_APP_URL.replace(/\/+$/, "")}/research/${doc._id}`;
+  }
+  const api = (process.env.PUBLIC_API_BASE || `${req.protocol}://${req.get("host")}/api`).replace(/\/+$/, "");
+  return `${api}/repository/${doc._id}`;
+}
+
+function citationOf(doc, url) {
+  const authors = [doc.author, ...(doc.coAuthors || [])].filter(Boolean).join(", ") || "Unknown author";
+  const year = doc.year ? ` (${doc.year}).` : ".";
+  return `${authors}${year} ${doc.title || "Untitled"}. ${REPOSITORY_NAME}. ${url}`;
+}
+
+// pdf-lib's standard fonts only encode WinAnsi
+const winAnsi = (s) => String(s || "").replace(/[^\x20-\x7e\xa0-\xff]/g, "?");
+
+/** Greedy word wrap for a standard font. */
+function wrap(text, font, size, width) {
+  const lines = [];
+  let line = "";
+  for (const word of winAnsi(text).split(/\s+/)) {
+    const next = line ? `${line} ${word}` : word;
+    if (line && font.widthOfTextAtSize(next, size) > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = next;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+/** Builds the stamped copy of `srcPath` at `outPath`. */
+async function renderStamped(srcPath, outPath, { doc, viewer, policy, url, at }) {
+  const { PDFDocument, StandardFonts, rgb, degrees } = require("pdf-lib");
+
+  const pdf = await PDFDocument.load(await fs.promises.readFile(srcPath), { updateMetadata: false });
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const vis = String(doc.visibility || "campus").toUpperCase();
+  const when = at.toISOString().replace("T", " ").slice(0, 16) + " UTC";
+  const footer = winAnsi(`${viewer} - ${when} - ${vis}`);
+
+  if (policy.stamp) {
+    for (const page of pdf.getPages()) {
+      const { width, height } = page.getSize();
+      page.drawText(footer, { x: 24, y: 14, size: 8, font, color: rgb(0.45, 0.45, 0.45) });
+      page.drawText(winAnsi(viewer), {
+        x: width * 0.18,
+        y: height * 0.3,
+        size: Math.min(36, width / 16),
+        font,
+        color: rgb(0.6, 0.6, 0.6),
+        opacity: 0.12,
+        rotate: degrees(35),
+      });
+    }
+  }
+
+  if (policy.cover) {
+    const first = pdf.getPageCount() ? pdf.getPage(0).getSize() : { width: 612, height: 792 };
+    const cover = pdf.insertPage(0, [first.width, first.height]);
+    const margin = 56;
+    const width = first.width - margin * 2;
+    let y = first.height - margin - 10;
+    const line = (text, f, size, gap = 4) => {
+      for (const l of wrap(text, f, size, width)) {
+        cover.drawText(l, { x: margin, y, size, font: f });
+        y -= size + gap;
+      }
+    };
+
+    line(REPOSITORY_NAME, bold, 12);
+    y -= 24;
+    line(doc.title || "Untitled", bold, 18, 6);
+    y -= 8;
+    line([doc.author, ...(doc.coAuthors || [])].filter(Boolean).join(", "), font, 12);
+    if (doc.year) line(String(doc.year), font, 12);
+    y -= 24;
+    line("Cite as:", bold, 10);
+    line(citationOf(doc, url), font, 10);
+    y -= 16;
+    line(url, font, 10);
+    y -= 24;
+    line(`Provided to ${viewer} on ${when}. Visibility: ${vis}.`, font, 9);
+    line("This copy is for personal research use and may not be redistributed.", font, 9);
+  }
+
+  const tmp = `${outPath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmp, await pdf.save());
+  await fs.promises.rename(tmp, outPath);
+}
+
+const inFlight = new Map(); // cache path → Promise
+
+/**
+ * streamFile() options for delivering `file` (from utils/renditions) of
+ * `doc` to req.user: the stored key, or a cached stamped copy when the
+ * visibility policy asks for one. Non-PDFs are never stamped.
+ */
+async function deliveryFor(req, doc, file) {
+  const plain = { key: file.key, fileName: file.fileName, fileType: file.fileType };
+  const policy = policyFor(doc.visibility);
+  const isPdfFile = String(file.fileType || "").toLowerCase() === "application/pdf";
+  if ((!policy.stamp && !policy.cover) || !isPdfFile || isOwner(doc, req.user)) return plain;
+
+  const viewer = String(req.user?.email || req.user?.id || "anonymous").toLowerCase();
+  const at = new Date();
+  const day = at.toISOString().slice(0, 10);
+  const id = crypto
+    .createHash("sha1")
+    .update(
+      [file.fileHash || file.key, viewer, day, JSON.stringify(policy), doc.visibility, doc.updatedAt].join("|")
+    )
+    .digest("hex");
+  const dir = path.join(STAMP_ROOT, String(doc._id));
+  const outPath = path.join(dir, `${id}.pdf`);
+
+  if (!fs.existsSync(outPath)) {
+    if (!inFlight.has(outPath)) {
+      const job = (async () => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        await storage.withLocalFile(file.key, (srcPath) =>
+          renderStamped(srcPath, outPath, { doc, viewer, policy, url: recordUrl(req, doc), at })
+        );
+      })().finally(() => inFlight.delete(outPath));
+      inFlight.set(outPath, job);
+    }
+    await inFlight.get(outPath);
+  }
+
+  return { absPath: outPath, fileName: file.fileName, fileType: file.fileType, cacheControl: "private, no-store" };
+}
+
+/** Drops every cached copy of a record (file replaced, visibility changed, deleted). */
+function removeStamped(researchId) {
+  try {
+    fs.rmSync(path.join(STAMP_ROOT, String(researchId)), { recursive: true, force: true });
+  } catch {}
+}
+
+/* ---------- sweep expired copies ---------- */
+async function sweepStamped() {
+  try {
+    const cutoff = Date.now() - CACHE_MS;
+    for (const dir of await fs.promises.readdir(STAMP_ROOT).catch(() => [])) {
+      const abs = path.join(STAMP_ROOT, dir);
+      for (const name of await fs.promises.readdir(abs).catch(() => [])) {
+        const p = path.join(abs, name);
+        const st = await fs.promises.stat(p).catch(() => null);
+        if (st && st.mtimeMs < cutoff) await fs.promises.unlink(p).catch(() => {});
+      }
+    }
+  } catch (err) {
+    console.error("❌ Stamped copy sweep failed:", err.message);
+  }
+}
+setInterval(sweepStamped, 60 * 60 * 1000).unref();
+
+module.exports = { policyFor, deliveryFor, removeStamped };
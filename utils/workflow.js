@@ -0,0 +1,326 @@
+// utils/workflow.js
+const { escapeRegExp } = require("./search");
+
+/* =========================================================
+   🧭 Review workflow (replaces the old `source` string juggling)
+
+   A submission walks an ordered list of stages. Each stage is
+   gated to roles and can end with:
+     approved            → next stage (or done)
+     revision_requested  → back to the student, same stage
+     rejected            → workflow ends, status = rejected
+
+   Stage config:
+     key          unique id stored on the document
+     label        human label
+     roles        roles allowed to decide at this stage
+     adviserOnly  only the paper's adviser (or admin) may decide
+     publishing   library/staff stage: paper is approved and waits
+                  to be published; completed by the publish routes
+     appliesTo    submission types that go through the stage
+
+   Override with REVIEW_WORKFLOW (JSON): either an array of stages
+   for everyone, or { "default": [...], "<college>": [...] }.
+   Example with panel + dean sign-off:
+     [{"key":"adviser","roles":["faculty","admin"],"adviserOnly":true},
+      {"key":"panel","roles":["faculty","admin"],"appliesTo":["final"]},
+      {"key":"dean","roles":["admin"],"appliesTo":["final"]},
+      {"key":"library","roles":["staff","admin"],"publishing":true,"appliesTo":["final"]}]
+========================================================= */
+
+const OUTCOMES = ["approved", "rejected", "revision_requested"];
+const STATES = ["", "in_review", "revision_requested", "completed", "rejected"];
+
+const DEFAULT_STAGES = [
+  {
+    key: "adviser",
+    label: "Adviser review",
+    roles: ["faculty", "admin"],
+    adviserOnly: true,
+    appliesTo: ["draft", "final"],
+  },
+  {
+    key: "library",
+    label: "Library publishing",
+    roles: ["staff", "admin"],
+    publishing: true,
+    appliesTo: ["final"],
+  },
+];
+
+function normalizeStage(s) {
+  const key = String(s?.key || "").trim();
+  if (!key) return null;
+  return {
+    key,
+    label: String(s.label || key),
+    roles: Array.isArray(s.roles) && s.roles.length ? s.roles.map(String) : ["admin"],
+    adviserOnly: !!s.adviserOnly,
+    publishing: !!s.publishing,
+    appliesTo: Array.isArray(s.appliesTo) && s.appliesTo.length ? s.appliesTo : ["draft", "final"],
+  };
+}
+
+function loadConfig() {
+  const raw = process.env.REVIEW_WORKFLOW;
+  const fallback = { default: DEFAULT_STAGES };
+  if (!raw) return fallback;
+
+  try {
+    const parsed = JSON.parse(raw);
+    const byCollege = Array.isArray(parsed) ? { default: parsed } : parsed || {};
+    const out = {};
+    for (const [college, stages] of Object.entries(byCollege)) {
+      const list = (Array.isArray(stages) ? stages : []).map(normalizeStage).filter(Boolean);
+      if (list.length) out[college] = list;
+    }
+    if (!out.default) out.default = DEFAULT_STAGES;
+    return out;
+  } catch (err) {
+    console.warn("⚠️ Invalid REVIEW_WORKFLOW config, using defaults:", err.message);
+    return fallback;
+  }
+}
+
+const CONFIG = loadConfig();
+
+/** Full stage list configured for a college (falls back to "default"). */
+function stagesForCollege(college) {
+  return CONFIG[String(college || "").trim()] || CONFIG.default;
+}
+
+/** Stage list a given document walks through. */
+function pipelineFor(doc) {
+  const type = doc.submissionType === "final" ? "final" : "draft";
+  return stagesForCollege(doc.college).filter((s) => s.appliesTo.includes(type));
+}
+
+function stageDef(doc, key = doc?.workflow?.stage) {
+  return pipelineFor(doc).find((s) => s.key === key) || null;
+}
+
+function allStages() {
+  const seen = new Map();
+  Object.values(CONFIG).flat().forEach((s) => { if (!seen.has(s.key)) seen.set(s.key, s); });
+  return [...seen.values()];
+}
+
+/** Status implied by the current workflow position. */
+function statusFor(doc) {
+  const wf = doc.workflow || {};
+  if (wf.state === "rejected") return "rejected";
+  if (wf.state === "completed") return "approved";
+  if (wf.state === "in_review" && stageDef(doc)?.publishing) return "approved";
+  return "pending";
+}
+
+function pushHistory(doc, user, stage, outcome, comment = "") {
+  doc.workflow.history.push({
+    stage,
+    outcome,
+    comment: String(comment || ""),
+    by: user?.id || null,
+    byEmail: String(user?.email || "").toLowerCase(),
+    role: user?.role || "",
+    at: new Date(),
+  });
+}
+
+function moveTo(doc, index) {
+  const pipeline = pipelineFor(doc);
+  if (index >= pipeline.length) {
+    doc.workflow.stage = "";
+    doc.workflow.state = "completed";
+  } else {
+    doc.workflow.stage = pipeline[index].key;
+    doc.workflow.state = "in_review";
+  }
+  doc.status = statusFor(doc);
+}
+
+/**
+ * Puts a document at the start of its pipeline.
+ * `skipAdviser`: author is faculty, so adviser-only stages are skipped.
+ */
+function startWorkflow(doc, { skipAdviser = false } = {}) {
+  if (!doc.workflow) doc.workflow = {};
+  if (!Array.isArray(doc.workflow.history)) doc.workflow.history = [];
+
+  const pipeline = pipelineFor(doc);
+  let i = 0;
+  while (skipAdviser && i < pipeline.length && pipeline[i].adviserOnly) i++;
+  moveTo(doc, i);
+}
+
+/** Documents created before the workflow existed get one lazily, mapped from status/source. */
+function ensureWorkflow(doc) {
+  if (doc.workflow?.state) return;
+  if (!doc.workflow) doc.workflow = {};
+  if (!Array.isArray(doc.workflow.history)) doc.workflow.history = [];
+
+  const pipeline = pipelineFor(doc);
+  const publishAt = pipeline.findIndex((s) => s.publishing);
+
+  if (doc.source === "faculty-approved-used") return moveTo(doc, pipeline.length);
+  if (doc.source === "faculty-approved" && doc.status === "approved") {
+    return moveTo(doc, publishAt >= 0 ? publishAt : pipeline.length);
+  }
+  if (doc.status === "approved") return moveTo(doc, pipeline.length);
+  if (doc.status === "rejected") {
+    doc.workflow.stage = pipeline[0]?.key || "";
+    doc.workflow.state = "rejected";
+    return;
+  }
+  startWorkflow(doc, { skipAdviser: doc.uploaderRole === "faculty" });
+}
+
+/** May this user decide at the document's current stage? */
+function canAct(doc, user) {
+  const wf = doc.workflow || {};
+  if (wf.state !== "in_review") return false;
+
+  const def = stageDef(doc);
+  if (!def || def.publishing) return false;
+
+  const role = String(user?.role || "");
+  if (!def.roles.includes(role)) return false;
+  if (def.adviserOnly && role !== "admin") {
+    const email = String(user?.email || "").toLowerCase();
+    return !!email && String(doc.adviser || "").toLowerCase() === email;
+  }
+  return true;
+}
+
+/**
+ * Applies a reviewer decision at the current stage.
+ * Returns { ok, error?, stage, next? }.
+ */
+function applyDecision(doc, user, outcome, comment = "") {
+  if (!OUTCOMES.includes(outcome)) return { ok: false, error: "Invalid decision" };
+  if (!canAct(doc, user)) return { ok: false, error: "Not allowed to review this stage" };
+
+  const pipeline = pipelineFor(doc);
+  const stage = doc.workflow.stage;
+  const index = pipeline.findIndex((s) => s.key === stage);
+
+  pushHistory(doc, user, stage, outcome, comment);
+
+  if (outcome === "approved") {
+    moveTo(doc, index + 1);
+  } else if (outcome === "revision_requested") {
+    doc.workflow.state = "revision_requested";
+    doc.status = "pending";
+  } else {
+    doc.workflow.state = "rejected";
+    doc.status = "rejected";
+  }
+
+  return { ok: true, stage, next: doc.workflow.stage || null };
+}
+
+/** Student sent a new revision after "revision requested". */
+function resubmit(doc, user) {
+  if (doc.workflow?.state !== "revision_requested") return false;
+  pushHistory(doc, user, doc.workflow.stage, "resubmitted");
+  doc.workflow.state = "in_review";
+  doc.status = statusFor(doc);
+  return true;
+}
+
+/* ---------- Library / publishing stage ---------- */
+
+/** Waiting at a publishing stage (includes records from before the workflow existed). */
+function publishQueueFilter() {
+  const keys = allStages().filter((s) => s.publishing).map((s) => s.key);
+  return {
+    status: "approved",
+    submissionType: "final",
+    $or: [
+      { "workflow.stage": { $in: keys }, "workflow.state": "in_review" },
+      // legacy records: forwarded via source before workflows existed
+      { source: "faculty-approved", "workflow.state": { $in: [null, ""] } },
+    ],
+  };
+}
+
+/** Waiting at an adviser-only stage (includes pending records from before the workflow existed). */
+function adviserQueueFilter() {
+  const keys = allStages().filter((s) => s.adviserOnly).map((s) => s.key);
+  return {
+    status: "pending",
+    $or: [
+      { "workflow.stage": { $in: keys }, "workflow.state": "in_review" },
+      // legacy records: student uploads never reviewed before workflows existed
+      { uploaderRole: "student", "workflow.state": { $in: [null, ""] } },
+    ],
+  };
+}
+
+function isInPublishQueue(doc) {
+  const wf = doc.workflow || {};
+  if (!wf.state) return doc.source === "faculty-approved" && doc.status === "approved";
+  return wf.state === "in_review" && !!stageDef(doc)?.publishing;
+}
+
+/** Already handed to staff — authors can no longer edit or delete. */
+function isForwarded(doc) {
+  return isInPublishQueue(doc) || doc.workflow?.state === "completed";
+}
+
+/** Closes the publishing stage once staff have published the paper. */
+function markPublished(doc, user, comment = "") {
+  if (!isInPublishQueue(doc)) return false;
+  ensureWorkflow(doc);
+  const pipeline = pipelineFor(doc);
+  const index = pipeline.findIndex((s) => s.key === doc.workflow.stage);
+  pushHistory(doc, user, doc.workflow.stage, "published", comment);
+  moveTo(doc, index + 1);
+  return true;
+}
+
+/**
+ * Mongo filter for items the user can decide on right now. Records from
+ * before the workflow existed match too; run ensureWorkflow() + canAct()
+ * on the results to place them.
+ */
+function reviewQueueFilter(user) {
+  const role = String(user?.role || "");
+  const email = String(user?.email || "").toLowerCase();
+  // adviser emails are stored as typed
+  const adviser = new RegExp(`^${escapeRegExp(email)}$`, "i");
+
+  const stages = allStages().filter((s) => !s.publishing && s.roles.includes(role));
+  const ors = stages.map((s) => {
+    const clause = { "workflow.stage": s.key, "workflow.state": "in_review" };
+    if (s.adviserOnly && role !== "admin") clause.adviser = adviser;
+    return clause;
+  });
+
+  if (stages.length) {
+    const legacy = { status: "pending", "workflow.state": { $in: [null, ""] } };
+    if (role !== "admin" && stages.every((s) => s.adviserOnly)) legacy.adviser = adviser;
+    ors.push(legacy);
+  }
+
+  return ors.length ? { $or: ors } : { _id: null };
+}
+
+module.exports = {
+  OUTCOMES,
+  STATES,
+  stagesForCollege,
+  pipelineFor,
+  stageDef,
+  statusFor,
+  startWorkflow,
+  ensureWorkflow,
+  canAct,
+  applyDecision,
+  resubmit,
+  publishQueueFilter,
+  adviserQueueFilter,
+  isInPublishQueue,
+  isForwarded,
+  markPublished,
+  reviewQueueFilter,
+};